@@ -1,4 +1,5 @@
 import React, { useState, useMemo, useEffect } from 'react';
+import axios from 'axios';
 import {
     Box,
     Typography,
@@ -15,7 +16,7 @@ import {
     ToggleButton,
     FormLabel,
 } from '@mui/material';
-import { RideRequest, createRideRequest, CreateRideData } from '../../services/rideService';
+import { RideRequest, Destination, createRideRequest, getDestinations, CreateRideData } from '../../services/rideService';
 
 interface CreateRideFormProps {
     onSuccess: (newRide: RideRequest) => void;
@@ -57,13 +58,35 @@ const generateTimeSlots = (selectedDateStr: string): string[] => {
 };
 
 const CreateRideForm: React.FC<CreateRideFormProps> = ({ onSuccess }) => {
-    const [destination, setDestination] = useState<'Airport' | 'Train Station' | 'Bus Terminal' | null>(null);
+    const [destinations, setDestinations] = useState<Destination[]>([]);
+    const [destinationsLoading, setDestinationsLoading] = useState(true);
+    const [destinationId, setDestinationId] = useState<string | null>(null);
     const [departureDateStr, setDepartureDateStr] = useState('');
     const [departureTimeSlot, setDepartureTimeSlot] = useState('');
 
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState<string | null>(null);
 
+    // Destinations come from the campus catalog, so ones added by an admin show up without a client release
+    useEffect(() => {
+        let cancelled = false;
+        getDestinations()
+            .then((list) => {
+                if (!cancelled) setDestinations(list);
+            })
+            .catch((err: unknown) => {
+                if (cancelled) return;
+                const message = axios.isAxiosError(err) ? err.response?.data?.message : undefined;
+                setError(message || 'Failed to load destinations.');
+            })
+            .finally(() => {
+                if (!cancelled) setDestinationsLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
     const availableTimeSlots = useMemo(() => generateTimeSlots(departureDateStr), [departureDateStr]);
 
     useEffect(() => {
@@ -74,10 +97,10 @@ const CreateRideForm: React.FC<CreateRideFormProps> = ({ onSuccess }) => {
 
     const handleDestinationChange = (
         event: React.MouseEvent<HTMLElement>,
-        newDestination: 'Airport' | 'Train Station' | 'Bus Terminal' | null,
+        newDestinationId: string | null,
     ) => {
-        if (newDestination !== null) {
-            setDestination(newDestination);
+        if (newDestinationId !== null) {
+            setDestinationId(newDestinationId);
         }
     };
 
@@ -89,7 +112,7 @@ const CreateRideForm: React.FC<CreateRideFormProps> = ({ onSuccess }) => {
         event.preventDefault();
         setError(null);
 
-        if (!destination || !departureDateStr || !departureTimeSlot) {
+        if (!destinationId || !departureDateStr || !departureTimeSlot) {
             setError('Please select a destination, date, and time slot.');
             return;
         }
@@ -105,7 +128,7 @@ const CreateRideForm: React.FC<CreateRideFormProps> = ({ onSuccess }) => {
         }
 
         const rideData: CreateRideData = {
-            destination,
+            destinationId,
             departureTime: departureDateTime.toISOString(),
         };
 
@@ -149,18 +172,27 @@ const CreateRideForm: React.FC<CreateRideFormProps> = ({ onSuccess }) => {
 
             <FormControl component="fieldset" required disabled={isLoading}>
                 <FormLabel component="legend" sx={{ mb: 1, fontWeight: 'medium' }}>Destination</FormLabel>
-                <ToggleButtonGroup
-                    value={destination}
-                    exclusive
-                    onChange={handleDestinationChange}
-                    aria-label="Destination"
-                    fullWidth
-                    color="primary"
-                >
-                    <ToggleButton value="Airport" aria-label="Airport" sx={{ flexGrow: 1 }}>Airport</ToggleButton>
-                    <ToggleButton value="Train Station" aria-label="Train Station" sx={{ flexGrow: 1 }}>Train Station</ToggleButton>
-                    <ToggleButton value="Bus Terminal" aria-label="Bus Terminal" sx={{ flexGrow: 1 }}>Bus Terminal</ToggleButton>
-                </ToggleButtonGroup>
+                {destinationsLoading && <CircularProgress size={24} sx={{ alignSelf: 'center' }} />}
+                {!destinationsLoading && destinations.length === 0 && (
+                    <Typography variant="body2" color="text.secondary">No destinations are available for your campus yet.</Typography>
+                )}
+                {destinations.length > 0 && (
+                    <ToggleButtonGroup
+                        value={destinationId}
+                        exclusive
+                        onChange={handleDestinationChange}
+                        aria-label="Destination"
+                        fullWidth
+                        color="primary"
+                        sx={{ flexWrap: 'wrap' }}
+                    >
+                        {destinations.map((option) => (
+                            <ToggleButton key={option._id} value={option._id} aria-label={option.name} sx={{ flexGrow: 1 }}>
+                                {option.name}
+                            </ToggleButton>
+                        ))}
+                    </ToggleButtonGroup>
+                )}
             </FormControl>
 
             <TextField
@@ -209,7 +241,7 @@ const CreateRideForm: React.FC<CreateRideFormProps> = ({ onSuccess }) => {
             <Button
                 type="submit"
                 variant="contained"
-                disabled={isLoading || !destination || !departureDateStr || !departureTimeSlot}
+                disabled={isLoading || !destinationId || !departureDateStr || !departureTimeSlot}
                 size="large"
                 sx={{
                     py: 1.5,
@@ -1,5 +1,6 @@
 import React, { createContext, useState, useContext, useEffect, ReactNode } from 'react';
 import { io, Socket } from 'socket.io-client'; // Import socket.io-client
+import { logoutUser } from '../services/authService';
 
 // Define the shape of the user object
 interface User {
@@ -150,6 +151,11 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     // Logout function: Clears state and storage
     const logout = () => {
         console.log("AuthContext: logout called");
+        // Revoke the server-side session; fire-and-forget so the UI logs out immediately
+        const currentToken = localStorage.getItem('accessToken');
+        if (currentToken) {
+            void logoutUser(currentToken);
+        }
         localStorage.removeItem('accessToken');
         localStorage.removeItem('user');
         setAuthState({
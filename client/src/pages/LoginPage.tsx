@@ -11,11 +11,14 @@ import {
     Link, 
 } from '@mui/material';
 import { useAuth } from '../contexts/AuthContext';
-import { loginUser } from '../services/authService'; 
+import { loginUser, requestLoginCode } from '../services/authService'; 
 
 const LoginPage: React.FC = () => {
     const [email, setEmail] = useState('');
     const [phoneNumber, setPhoneNumber] = useState('');
+    const [code, setCode] = useState('');
+    const [codeSent, setCodeSent] = useState(false); // step 2 once the code has been emailed
+    const [info, setInfo] = useState<string | null>(null);
     const [error, setError] = useState<string | null>(null);
     const [loading, setLoading] = useState(false);
     const { login } = useAuth(); 
@@ -25,23 +28,48 @@ const LoginPage: React.FC = () => {
         event.preventDefault();
         setError(null); 
 
-        // basic validation
-        if (!email || !phoneNumber) {
-            setError('Please enter both email and phone number.');
+        if (!codeSent) {
+            // basic validation
+            if (!email || !phoneNumber) {
+                setError('Please enter both email and phone number.');
+                return;
+            }
+            // More specific email validation can be added here if needed
+
+            setLoading(true);
+            try {
+                const response = await requestLoginCode({ email, phoneNumber });
+
+                if (response.success) {
+                    setCodeSent(true);
+                    setInfo(response.message || 'A verification code has been sent to your email.');
+                } else {
+                    setError(response.message || 'Could not send the verification code.');
+                }
+            } catch (err) {
+                setError('An unexpected error occurred. Please try again.');
+                console.error("Login Page Error:", err);
+            } finally {
+                setLoading(false);
+            }
+            return;
+        }
+
+        if (!code) {
+            setError('Please enter the code sent to your email.');
             return;
         }
-        // More specific email validation can be added here if needed
 
         setLoading(true);
         try {
-            const response = await loginUser({ email, phoneNumber });
+            const response = await loginUser({ email, code });
 
             if (response.success && response.accessToken && response.user) {
                 // call context login function on successful API response
                 login(response.accessToken, response.user);
                 navigate('/'); // redirect to home page on success
             } else {
-                setError(response.message || 'Login failed. Please check your credentials.');
+                setError(response.message || 'Login failed. Please check the code and try again.');
             }
         } catch (err) {
             // Catch errors not handled by authService (e.g., network errors)
@@ -52,6 +80,14 @@ const LoginPage: React.FC = () => {
         }
     };
 
+    // Go back to step 1 (e.g. typo in the email)
+    const handleChangeEmail = () => {
+        setCodeSent(false);
+        setCode('');
+        setInfo(null);
+        setError(null);
+    };
+
     return (
         <Container component="main" maxWidth="xs"> {/* xs for smaller login box */}
             <Box
@@ -80,6 +116,7 @@ const LoginPage: React.FC = () => {
                 </Typography>
                 <Box component="form" onSubmit={handleSubmit} noValidate sx={{ mt: 1, width: '100%' }}>
                     {error && <Alert severity="error" sx={{ mb: 2, width: '100%' }}>{error}</Alert>}
+                    {info && !error && <Alert severity="info" sx={{ mb: 2, width: '100%' }}>{info}</Alert>}
                     <TextField
                         margin="normal"
                         required
@@ -92,7 +129,7 @@ const LoginPage: React.FC = () => {
                         placeholder="user@bennett.edu.in" 
                         value={email}
                         onChange={(e) => setEmail(e.target.value)}
-                        disabled={loading}
+                        disabled={loading || codeSent}
                         sx={{ mb: 1.5 }} 
                     />
                     <TextField
@@ -107,9 +144,27 @@ const LoginPage: React.FC = () => {
                         placeholder="Your phone number" 
                         value={phoneNumber}
                         onChange={(e) => setPhoneNumber(e.target.value)}
-                        disabled={loading}
-                        sx={{ mb: 3 }}
+                        disabled={loading || codeSent}
+                        sx={{ mb: codeSent ? 1.5 : 3 }}
                     />
+                    {codeSent && (
+                        <TextField
+                            margin="normal"
+                            required
+                            fullWidth
+                            name="code"
+                            label="Verification Code"
+                            id="code"
+                            autoComplete="one-time-code"
+                            autoFocus
+                            placeholder="6-digit code"
+                            inputMode="numeric"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value.trim())}
+                            disabled={loading}
+                            sx={{ mb: 3 }}
+                        />
+                    )}
                     <Button
                         type="submit"
                         fullWidth
@@ -129,8 +184,13 @@ const LoginPage: React.FC = () => {
                             position: 'relative', // Needed for potential CircularProgress overlay
                         }}
                     >
-                        {loading ? <CircularProgress size={24} color="inherit" /> : 'Login / Register'}
+                        {loading ? <CircularProgress size={24} color="inherit" /> : codeSent ? 'Verify & Login' : 'Send Login Code'}
                     </Button>
+                    {codeSent && (
+                        <Button fullWidth variant="text" onClick={handleChangeEmail} disabled={loading} sx={{ mt: 1 }}>
+                            Use a different email
+                        </Button>
+                    )}
                     <Typography variant="caption" display="block" color="text.secondary" textAlign="center" sx={{ mt: 2 }}>
                         Fast & secure login via Bennett email.
                     </Typography>
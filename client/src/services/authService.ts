@@ -1,3 +1,4 @@
+import axios from 'axios';
 import apiClient from './api';
 
 interface LoginCredentials {
@@ -5,6 +6,17 @@ interface LoginCredentials {
     phoneNumber: string;
 }
 
+interface VerifyCodeCredentials {
+    email: string;
+    code: string;
+}
+
+interface RequestCodeResponse {
+    success: boolean;
+    message: string;
+    expiresAt?: string;
+}
+
 interface LoginResponse {
     success: boolean;
     message: string;
@@ -15,17 +27,39 @@ interface LoginResponse {
         phoneNumber: string;
         displayName: string;
         avatarUrl: string;
+        isEmailVerified?: boolean;
     };
 }
 
 /**
- * Calls the backend login endpoint.
+ * Calls the backend login endpoint, which emails a one-time code.
  * @param credentials - User's email and phone number.
+ * @returns Promise resolving to the RequestCodeResponse data.
+ */
+export const requestLoginCode = async (credentials: LoginCredentials): Promise<RequestCodeResponse> => {
+    try {
+        const response = await apiClient.post<RequestCodeResponse>('/auth/login', credentials);
+        return response.data;
+    } catch (error) {
+        console.error('Request Login Code API error:', axios.isAxiosError(error) ? error.response?.data || error.message : error);
+        if (axios.isAxiosError(error) && error.response?.data) {
+            return error.response.data as RequestCodeResponse;
+        }
+        return {
+            success: false,
+            message: 'An unknown error occurred while requesting the login code.',
+        };
+    }
+};
+
+/**
+ * Exchanges the emailed one-time code for an access token.
+ * @param credentials - User's email and the code they received.
  * @returns Promise resolving to the LoginResponse data.
  */
-export const loginUser = async (credentials: LoginCredentials): Promise<LoginResponse> => {
+export const loginUser = async (credentials: VerifyCodeCredentials): Promise<LoginResponse> => {
     try {
-        const response = await apiClient.post<LoginResponse>('/auth/login', credentials);
+        const response = await apiClient.post<LoginResponse>('/auth/verify', credentials);
         return response.data;
     } catch (error: any) {
         // Handle and re-throw or return a structured error
@@ -48,4 +82,16 @@ export const loginUser = async (credentials: LoginCredentials): Promise<LoginRes
  */
 // export const registerUser = async (credentials: RegisterCredentials): Promise<RegisterResponse> => { ... }
 
-// Add other auth-related API functions (e.g., verify, logout if needed)
+/**
+ * Revokes the current session on the backend (this device only).
+ * The token is passed explicitly because callers clear localStorage right after calling this.
+ * Errors are logged and swallowed: local logout should proceed regardless.
+ * @param token - The access token of the session to revoke.
+ */
+export const logoutUser = async (token: string): Promise<void> => {
+    try {
+        await apiClient.post('/auth/logout', null, { headers: { Authorization: `Bearer ${token}` } });
+    } catch (error) {
+        console.error('Logout API error:', axios.isAxiosError(error) ? error.response?.data || error.message : error);
+    }
+};
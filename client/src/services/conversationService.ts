@@ -1,4 +1,5 @@
 import apiClient from './api';
+import { Reputation } from './rideService';
 
 // Interface for the request body
 interface InitiateConversationRequest {
@@ -9,8 +10,15 @@ interface InitiateConversationRequest {
 // Assuming 'Conversation' type is defined elsewhere or we define relevant parts here
 interface Conversation {
     _id: string;
-    rideRequestA: string;
-    rideRequestB: string;
+    participants: {
+        rideId: string;
+        userId: string;
+        seats: number;
+        approved: boolean;
+        confirmedAt: string | null;
+        leftAt: string | null;
+    }[];
+    capacity: number; // Seats in the cab shared by the group
     messages: any[]; // Define message type later if needed
     expiresAt: string;
     // Add other fields if returned and needed
@@ -24,6 +32,14 @@ interface InitiateConversationResponse {
     targetRideStatus?: string;
 }
 
+// Estimated cab fare of a confirmed group, split by seats
+export interface FareEstimate {
+    total: number;
+    currency: string;
+    band: string; // e.g. '22:00-06:00'
+    shares: { userId: string; seats: number; amount: number }[];
+}
+
 // --- NEW: Interface for the formatted conversation list from GET /api/conversations ---
 export interface FormattedConversation {
     conversationId: string;
@@ -34,6 +50,7 @@ export interface FormattedConversation {
         // phoneNumber?: string; // Consider privacy
         displayName?: string; // Add if backend populates this
         avatarUrl?: string;   // Add if backend populates this
+        reputation?: Reputation;
     };
     otherRideDetails: {
         destination: string;
@@ -48,6 +65,19 @@ export interface FormattedConversation {
     };
     initiatedAt?: string; // Optional
     expiresAt?: string;
+    participants?: { // Everyone in the ride group, including the current user
+        rideId: string;
+        user: { _id: string; email?: string; displayName?: string; avatarUrl?: string; reputation?: Reputation };
+        isMe: boolean;
+        seats: number;
+        luggage?: number;
+        approved: boolean;
+        status: 'pending' | 'awaiting_confirmation' | 'confirmed' | 'declined' | 'unknown';
+    }[];
+    systemProposed?: boolean; // proposed automatically shortly before departure
+    capacity?: number;
+    seatsTaken?: number;
+    fareEstimate?: FareEstimate | null; // Set once the group is confirmed and the destination has a fare for that time
 }
 
 interface GetConversationsResponse {
@@ -1,13 +1,53 @@
+import axios from 'axios';
 import apiClient from './api';
 
 // --- TypeScript Interfaces (Align with Backend Models) ---
 
+// Aggregated ratings from ride partners
+export interface Reputation {
+    average: number | null; // null until rated
+    count: number;
+    tags: { tag: string; count: number }[];
+}
+
+// Active destination of the user's campus, as listed by GET /api/destinations
+export interface Destination {
+    _id: string;
+    name: string;
+    location?: { lat: number; lng: number };
+    typicalTravelMinutes?: number;
+}
+
+interface GetDestinationsResponse {
+    success: boolean;
+    destinations: Destination[];
+}
+
+// Preferences of a ride request (new rides default to the profile preferences)
+export interface RidePreferences {
+    luggageCount: number; // large bags, 0-4
+    openToMoreRiders: boolean; // false: share with one other rider only
+    autoPair: boolean; // false: no partner proposed automatically shortly before departure
+    quietRide: boolean;
+    preferredCabType: 'Any' | 'Hatchback' | 'Sedan' | 'SUV';
+}
+
 // Based on server/model/index.js RideRequest schema
 export interface RideRequest {
     _id: string;
     userId: string; // Or populate with User object if backend does
-    destination: 'Airport' | 'Train Station' | 'Bus Terminal';
+    destinationId?: string; // Catalog entry (see getDestinations)
+    destination: string; // Destination name at the time the ride was saved
     departureTime: string; // ISO Date string
+    earliestDeparture?: string; // ISO Date string, start of the window the rider can leave in
+    latestDeparture?: string; // ISO Date string, end of that window
+    preferences?: RidePreferences;
+    travelService?: { // flight or train the rider is catching
+        mode?: 'flight' | 'train';
+        carrier: string;
+        serviceNumber: string;
+        scheduledAt?: string; // ISO Date string, from the timetable
+    };
     status: 'Available' | 'Pending' | 'Confirmed';
     conversations: {
         conversationId: string;
@@ -21,13 +61,44 @@ export interface RideRequest {
         _id: string; // Include ID if populated
         displayName: string;
         avatarUrl: string;
+        reputation?: Reputation;
     }
+    // Set on matches: the interval in which both riders can leave
+    departureOverlap?: {
+        start: string;
+        end: string;
+    };
+    travelServiceMatch?: 'same' | 'nearby' | null; // Set on matches: how well the two riders' services line up
+    score?: number; // Set on matches: 0-1, higher is better
+    whyThisMatch?: MatchFactor[]; // Set on matches: what the score is made of
+}
+
+// One factor of a match score
+export interface MatchFactor {
+    factor: 'timeProximity' | 'pendingLoad' | 'reputation' | 'travelService';
+    weight: number;
+    points: number; // 0-1
+    detail: string;
 }
 
 // Interface for creating a new ride request
 export interface CreateRideData {
-    destination: 'Airport' | 'Train Station' | 'Bus Terminal';
+    destinationId: string; // _id of one of the campus destinations (see getDestinations)
     departureTime: string; // ISO Date string
+    earliestDeparture?: string; // ISO Date string, defaults to 30 minutes before departureTime
+    latestDeparture?: string; // ISO Date string, defaults to 30 minutes after departureTime
+    preferences?: Partial<RidePreferences>;
+}
+
+// Optional filters and order of the match list
+export interface MatchQuery {
+    quietRide?: boolean;
+    openToMoreRiders?: boolean;
+    cabType?: RidePreferences['preferredCabType'];
+    maxLuggage?: number;
+    sort?: 'relevance' | 'departureTime' | 'departureGap' | 'luggage' | 'rating';
+    limit?: number; // page size, default 20
+    cursor?: string; // nextCursor of the previous page
 }
 
 // Interface for the response when getting matches
@@ -52,6 +123,8 @@ export interface GetMatchesApiResponse {
     success: boolean;
     message: string;
     matches: RideRequest[]; // The array of matches is nested
+    total: number | null; // matches across all pages (null when sorted by departureTime or departureGap)
+    nextCursor: string | null; // pass as cursor for the next page
 }
 // --- END FIX ---
 
@@ -77,9 +150,23 @@ export const getCurrentRideRequest = async (): Promise<GetCurrentRideResponse> =
 };
 // --- END FIX ---
 
+/**
+ * Fetches the destinations riders of the current user's campus can choose from.
+ * @returns Promise resolving to the active destinations (admins manage the catalog, no client release needed).
+ */
+export const getDestinations = async (): Promise<Destination[]> => {
+    try {
+        const response = await apiClient.get<GetDestinationsResponse>('/destinations');
+        return response.data?.destinations || [];
+    } catch (error: unknown) {
+        console.error('Get Destinations API error:', axios.isAxiosError(error) ? error.response?.data || error.message : error);
+        throw error;
+    }
+};
+
 /**
  * Creates a new ride request for the current user.
- * @param data - Destination and departure time.
+ * @param data - Destination (catalog ID) and departure time.
  * @returns Promise resolving to the newly created RideRequest.
  */
 export const createRideRequest = async (data: CreateRideData): Promise<RideRequest> => {
@@ -108,13 +195,14 @@ export const deleteRideRequest = async (): Promise<SuccessResponse> => {
 
 /**
  * Fetches potential matches for the current user's ride request.
+ * @param query - Optional preference filters and sort order.
  * @returns Promise resolving to an array of matching RideRequests.
  */
 // --- FIX: Update return type and extract matches array ---
-export const getMatchesForCurrentRide = async (): Promise<RideRequest[]> => {
+export const getMatchesForCurrentRide = async (query: MatchQuery = {}): Promise<RideRequest[]> => {
     try {
         // Backend returns { success: boolean, message: string, matches: RideRequest[] }
-        const response = await apiClient.get<GetMatchesApiResponse>('/rides/current/matches');
+        const response = await apiClient.get<GetMatchesApiResponse>('/rides/current/matches', { params: query });
         // Return only the matches array, or an empty array if it doesn't exist
         return response.data?.matches || [];
     } catch (error: any) {
@@ -0,0 +1,240 @@
+const { User, RideRequest, Conversation } = require('../model/index');
+const mongoose = require('mongoose');
+const { formatUserResponse } = require('../services/userService');
+const { revokeAllSessions } = require('../services/sessionService');
+const { cancelRide } = require('../services/rideService');
+const { getAccountStanding } = require('../services/standingService');
+const { disconnectSessions } = require('../socketManager');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// --- Helpers ---
+// User object as seen by moderators (profile plus moderation fields)
+const formatAdminUser = (user) => ({
+    ...formatUserResponse(user),
+    accountStatus: user.accountStatus,
+    suspendedUntil: user.suspendedUntil,
+    moderationReason: user.moderationReason,
+    activeRideRequests: user.activeRideRequests,
+    createdAt: user.createdAt
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Logs the user out everywhere and pulls their active rides, used when restricting an account
+const restrictAccountAccess = async (user) => {
+    const revokedSessionIds = await revokeAllSessions(user._id);
+    disconnectSessions(revokedSessionIds);
+
+    for (const rideId of user.activeRideRequests) {
+        try {
+            await cancelRide(rideId);
+        } catch (error) {
+            if (error.status !== 404) throw error; // already gone is fine
+        }
+    }
+};
+
+// Loads the target user for a moderation action, rejecting invalid IDs and other admins
+const findModerationTarget = async (req) => {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw { status: 400, message: 'Invalid user ID.' };
+    }
+    const user = await User.findById(userId);
+    if (!user) {
+        throw { status: 404, message: 'User not found.' };
+    }
+    if (user.role === 'admin') {
+        throw { status: 409, message: 'Admin accounts cannot be moderated. Remove the admin role first.' };
+    }
+    return user;
+};
+
+const handleError = (res, error, logMessage, clientMessage) => {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error(logMessage, error);
+    return res.status(500).json({ success: false, message: clientMessage });
+};
+// --- End Helpers ---
+
+// Controller to list/search users
+// Query: ?search=<email or display name fragment>&status=active|suspended|banned&page=1&limit=20
+const listUsers = async (req, res) => {
+    try {
+        const { search, status } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        const filter = {};
+        if (search) {
+            const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+            filter.$or = [{ email: pattern }, { displayName: pattern }];
+        }
+        if (status) {
+            const allowedStatuses = User.schema.path('accountStatus').enumValues;
+            if (!allowedStatuses.includes(status)) {
+                return res.status(400).json({ success: false, message: `Invalid status. Allowed statuses are: ${allowedStatuses.join(', ')}` });
+            }
+            filter.accountStatus = status;
+        }
+
+        const [users, total] = await Promise.all([
+            User.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            User.countDocuments(filter)
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            users: users.map(formatAdminUser),
+            page,
+            limit,
+            total
+        });
+    } catch (error) {
+        return handleError(res, error, 'Admin error listing users:', 'Failed to list users.');
+    }
+};
+
+// Controller to get a single user with their active rides
+const getUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ success: false, message: 'Invalid user ID.' });
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        const activeRides = await RideRequest.find({ _id: { $in: user.activeRideRequests } })
+            .sort({ departureTime: 1 })
+            .lean();
+
+        return res.status(200).json({
+            success: true,
+            user: formatAdminUser(user),
+            currentRide: activeRides[0] || null, // ride departing next, as before multiple rides
+            activeRides,
+            standing: await getAccountStanding(user._id)
+        });
+    } catch (error) {
+        return handleError(res, error, 'Admin error fetching user:', 'Failed to fetch user.');
+    }
+};
+
+// Controller to permanently ban a user
+// Body (optional): { "reason": "..." }
+const banUser = async (req, res) => {
+    try {
+        const user = await findModerationTarget(req);
+
+        user.accountStatus = 'banned';
+        user.suspendedUntil = null;
+        user.moderationReason = req.body?.reason;
+        await user.save();
+        await restrictAccountAccess(user);
+
+        console.log(`[Admin] ${req.user.email} banned user ${user.email}`);
+        return res.status(200).json({ success: true, message: 'User banned.', user: formatAdminUser(user) });
+    } catch (error) {
+        return handleError(res, error, 'Admin error banning user:', 'Failed to ban user.');
+    }
+};
+
+// Controller to suspend a user until a given time
+// Body requires: { "until": "<ISO date in the future>" }, optional "reason"
+const suspendUser = async (req, res) => {
+    try {
+        const until = new Date(req.body?.until);
+        if (isNaN(until.getTime()) || until <= new Date()) {
+            return res.status(400).json({ success: false, message: 'A future "until" date is required to suspend a user.' });
+        }
+
+        const user = await findModerationTarget(req);
+
+        user.accountStatus = 'suspended';
+        user.suspendedUntil = until;
+        user.moderationReason = req.body?.reason;
+        await user.save();
+        await restrictAccountAccess(user);
+
+        console.log(`[Admin] ${req.user.email} suspended user ${user.email} until ${until.toISOString()}`);
+        return res.status(200).json({ success: true, message: 'User suspended.', user: formatAdminUser(user) });
+    } catch (error) {
+        return handleError(res, error, 'Admin error suspending user:', 'Failed to suspend user.');
+    }
+};
+
+// Controller to lift a ban or suspension
+const reinstateUser = async (req, res) => {
+    try {
+        const user = await findModerationTarget(req);
+
+        user.accountStatus = 'active';
+        user.suspendedUntil = null;
+        user.moderationReason = undefined;
+        await user.save();
+
+        console.log(`[Admin] ${req.user.email} reinstated user ${user.email}`);
+        return res.status(200).json({ success: true, message: 'User reinstated.', user: formatAdminUser(user) });
+    } catch (error) {
+        return handleError(res, error, 'Admin error reinstating user:', 'Failed to reinstate user.');
+    }
+};
+
+// Controller to force-cancel any ride request (declines its conversations like an owner cancel)
+const forceCancelRide = async (req, res) => {
+    try {
+        const { rideId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(rideId)) {
+            return res.status(400).json({ success: false, message: 'Invalid ride ID.' });
+        }
+
+        const cancelledRide = await cancelRide(rideId);
+
+        console.log(`[Admin] ${req.user.email} force-cancelled ride ${rideId} of user ${cancelledRide.userId}`);
+        return res.status(200).json({ success: true, message: 'Ride request cancelled.', rideRequest: cancelledRide });
+    } catch (error) {
+        return handleError(res, error, 'Admin error cancelling ride:', 'Failed to cancel ride request.');
+    }
+};
+
+// Controller to view any conversation (with participants) for abuse review
+const getConversation = async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+            return res.status(400).json({ success: false, message: 'Invalid conversation ID.' });
+        }
+
+        const conversation = await Conversation.findById(conversationId)
+            .populate('participants.userId', 'email displayName accountStatus')
+            .populate('participants.rideId', 'destination departureTime status seatsNeeded')
+            .populate('messages.senderId', 'email displayName')
+            .lean();
+
+        if (!conversation) {
+            return res.status(404).json({ success: false, message: 'Conversation not found.' });
+        }
+
+        console.log(`[Admin] ${req.user.email} viewed conversation ${conversationId}`);
+        return res.status(200).json({ success: true, conversation });
+    } catch (error) {
+        return handleError(res, error, 'Admin error fetching conversation:', 'Failed to fetch conversation.');
+    }
+};
+
+module.exports = {
+    listUsers,
+    getUser,
+    banUser,
+    suspendUser,
+    reinstateUser,
+    forceCancelRide,
+    getConversation
+};
@@ -1,63 +1,72 @@
 const { User } = require('../model/index');
-const crypto = require('crypto');
-
-// --- Helper for Display Name Generation ---
-const adjectives = ["Quick", "Bright", "Silent", "Happy", "Lucky", "Clever", "Brave", "Calm", "Eager", "Gentle", "Swift", "Wise", "Bold", "Keen", "Vivid"];
-const nouns = ["Fox", "Tiger", "Panda", "Eagle", "Wolf", "Lion", "Bear", "Shark", "Hawk", "Jaguar", "Sparrow", "Robin", "Falcon", "Owl", "Badger"];
-
-// Basic generator, collisions possible but less likely with number
-async function generateUniqueDisplayName() {
-    let displayName = '';
-    let isUnique = false;
-    let attempts = 0;
-    const maxAttempts = 10; // Prevent infinite loops
-
-    while (!isUnique && attempts < maxAttempts) {
-        const adj = adjectives[Math.floor(Math.random() * adjectives.length)];
-        const noun = nouns[Math.floor(Math.random() * nouns.length)];
-        const num = Math.floor(Math.random() * 900) + 100; // 100-999
-        displayName = `${adj}${noun}${num}`;
-
-        // Check if displayName already exists (optional but recommended)
-        const existingUser = await User.findOne({ displayName: displayName }).lean();
-        if (!existingUser) {
-            isUnique = true;
-        }
-        attempts++;
+const mongoose = require('mongoose');
+const { issueCode, verifyCode, CODE_TTL_MINUTES } = require('../services/verificationService');
+const { sendMail } = require('../services/mailService');
+const { createSession, listSessions, revokeSession, revokeAllSessions } = require('../services/sessionService');
+const { disconnectSessions } = require('../socketManager');
+const { generateUniqueDisplayName, generateAvatarUrl, formatUserResponse, getAccountRestriction, isValidPhoneNumber, PHONE_NUMBER_MESSAGE } = require('../services/userService');
+const { resolveCampusForEmail, getCampusForUser } = require('../services/campusService');
+
+// Controller for step 1 of passwordless login/registration: email a one-time code
+const requestLoginCode = async (req, res) => {
+    const { email, phoneNumber } = req.body || {};
+
+    if (!email || !phoneNumber) {
+        return res.status(400).json({ success: false, message: 'Email and phone number are required.' });
     }
-    if (!isUnique) {
-        // Fallback if unique name not found after attempts (e.g., use email prefix or timestamp)
-        console.warn("Could not generate unique display name, using fallback.");
-        displayName = `User${Date.now().toString().slice(-6)}`;
+    if (typeof email !== 'string' || typeof phoneNumber !== 'string') {
+        return res.status(400).json({ success: false, message: 'Email and phone number must be strings.' });
+    }
+    const trimmedPhoneNumber = phoneNumber.trim();
+    if (!isValidPhoneNumber(trimmedPhoneNumber)) {
+        return res.status(400).json({ success: false, message: PHONE_NUMBER_MESSAGE });
+    }
+
+    // Only emails from a configured campus domain may sign in
+    if (!resolveCampusForEmail(email)) {
+        return res.status(400).json({ success: false, message: 'Please provide a valid email address from a supported campus.' });
     }
-    return displayName;
-}
 
-// Helper to generate avatar URL
-function generateAvatarUrl(seed) {
-    // Using a public placeholder service. Replace with your preferred service or logic.
-    // Using encodeURIComponent ensures the seed works correctly in the URL
-    return `https://api.dicebear.com/8.x/initials/svg?seed=${encodeURIComponent(seed)}`;
-    // Alternative: https://avatar.iran.liara.run/public/boy?username=${encodeURIComponent(seed)}
-}
-// --- End Helpers ---
+    try {
+        const normalizedEmail = String(email).trim().toLowerCase();
+        const { code, expiresAt } = await issueCode({ email: normalizedEmail, purpose: 'login', phoneNumber: trimmedPhoneNumber });
 
+        await sendMail({
+            to: normalizedEmail,
+            subject: 'Your BU Hub login code',
+            text: `Your BU Hub login code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes. If you did not request this, you can ignore this email.`
+        });
 
-// Controller for user login/registration (Passwordless)
-const login = async (req, res) => {
-    const { email, phoneNumber } = req.body;
+        // Same response for new and existing users so the endpoint doesn't reveal who is registered
+        return res.status(200).json({
+            success: true,
+            message: 'A verification code has been sent to your email.',
+            expiresAt
+        });
 
-    if (!email || !phoneNumber) {
-        return res.status(400).json({ success: false, message: 'Email and phone number are required.' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Login code request error:', error);
+        return res.status(500).json({ success: false, message: 'Server error while sending the verification code.' });
     }
+};
+
+// Controller for step 2 of passwordless login/registration: exchange the code for an access token
+const verifyLoginCode = async (req, res) => {
+    const { email, code } = req.body;
 
-    // Validate email format (simple check)
-    if (!/.+@bennett\.edu\.in$/.test(email)) {
-        return res.status(400).json({ success: false, message: 'Please provide a valid Bennett University email address.' });
+    if (!email || !code) {
+        return res.status(400).json({ success: false, message: 'Email and verification code are required.' });
     }
 
+    const normalizedEmail = String(email).trim().toLowerCase();
+
     try {
-        let user = await User.findOne({ email: email });
+        const verification = await verifyCode({ email: normalizedEmail, purpose: 'login', code });
+
+        let user = await User.findOne({ email: normalizedEmail });
         let isNewUser = false;
 
         if (!user) {
@@ -67,45 +76,54 @@ const login = async (req, res) => {
             const avatarUrl = generateAvatarUrl(displayName); // Generate avatar based on name
 
             user = new User({
-                email,
-                phoneNumber,
+                email: normalizedEmail,
+                phoneNumber: verification.phoneNumber,
                 displayName, // Save generated name
                 avatarUrl,   // Save generated avatar URL
-                // Initialize other fields if necessary
             });
-            // Note: accessToken will be generated and saved below
-        } else {
-            // --- User exists, update phone number if different (optional) ---
-            if (user.phoneNumber !== phoneNumber) {
-                user.phoneNumber = phoneNumber;
-                // Consider if re-verification is needed on phone number change
-            }
+            // Note: the session (access token) is created below once the user is saved
+        } else if (verification.phoneNumber && user.phoneNumber !== verification.phoneNumber) {
+            // --- User exists, update phone number supplied with the code request ---
+            user.phoneNumber = verification.phoneNumber;
         }
 
-        // Generate or update access token (simple random token for example)
-        const accessToken = crypto.randomBytes(32).toString('hex');
-        user.accessToken = accessToken;
+        // Banned/suspended accounts can't log in
+        const restriction = getAccountRestriction(user);
+        if (restriction) {
+            return res.status(403).json({ success: false, message: restriction.message });
+        }
+
+        // Owning the inbox proves the email address
+        user.isEmailVerified = true;
+
+        // Bootstrap admins from ADMIN_EMAILS (comma-separated); other roles are managed in the database
+        const adminEmails = (process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+        if (adminEmails.includes(user.email)) {
+            user.role = 'admin';
+        }
+
+        // Assign (or refresh) the campus from the email domain
+        if (!getCampusForUser(user)) {
+            return res.status(403).json({ success: false, message: 'Your email domain is no longer associated with a supported campus.' });
+        }
 
         await user.save();
 
-        // Prepare user object for response (exclude sensitive fields like accessToken)
-        const userResponse = {
-            _id: user._id,
-            email: user.email,
-            phoneNumber: user.phoneNumber,
-            displayName: user.displayName,
-            avatarUrl: user.avatarUrl,
-            // Include other fields needed by the frontend
-        };
+        // Each login gets its own session, so other devices stay logged in
+        const { accessToken, session } = await createSession(user, req);
 
         return res.status(200).json({
             success: true,
             message: isNewUser ? 'User registered and logged in successfully.' : 'User logged in successfully.',
             accessToken: accessToken,
-            user: userResponse // Send user data back
+            expiresAt: session.expiresAt,
+            user: formatUserResponse(user) // Send user data back
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error('Login/Register error:', error);
         // Handle potential duplicate key error for displayName if unique index is added
         if (error.code === 11000 && error.keyPattern?.displayName) {
@@ -115,6 +133,88 @@ const login = async (req, res) => {
     }
 };
 
+// Controller to log out the current device (revokes the session behind the presented token)
+const logout = async (req, res) => {
+    try {
+        await revokeSession(req.user._id, req.authSession._id);
+        disconnectSessions([req.authSession._id]);
+
+        return res.status(200).json({ success: true, message: 'Logged out successfully.' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        return res.status(500).json({ success: false, message: 'Server error during logout.' });
+    }
+};
+
+// Controller to list the current user's active sessions (devices)
+const getSessions = async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user._id);
+        const currentSessionId = req.authSession._id.toString();
+
+        return res.status(200).json({
+            success: true,
+            sessions: sessions.map(session => ({
+                _id: session._id,
+                deviceName: session.deviceName,
+                userAgent: session.userAgent,
+                ipAddress: session.ipAddress,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                isCurrent: session._id.toString() === currentSessionId
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        return res.status(500).json({ success: false, message: 'Failed to fetch sessions.' });
+    }
+};
+
+// Controller to revoke one of the current user's sessions
+const deleteSession = async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        return res.status(400).json({ success: false, message: 'Invalid session ID.' });
+    }
+
+    try {
+        const revoked = await revokeSession(req.user._id, sessionId);
+        if (!revoked) {
+            return res.status(404).json({ success: false, message: 'Session not found.' });
+        }
+        disconnectSessions([sessionId]);
+
+        return res.status(200).json({ success: true, message: 'Session revoked successfully.' });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        return res.status(500).json({ success: false, message: 'Failed to revoke session.' });
+    }
+};
+
+// Controller to revoke every session except the one making the request ("log out other devices")
+const deleteOtherSessions = async (req, res) => {
+    try {
+        const revokedIds = await revokeAllSessions(req.user._id, req.authSession._id);
+        disconnectSessions(revokedIds);
+
+        return res.status(200).json({
+            success: true,
+            message: `Revoked ${revokedIds.length} other session(s).`,
+            revokedCount: revokedIds.length
+        });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        return res.status(500).json({ success: false, message: 'Failed to revoke sessions.' });
+    }
+};
+
 module.exports = {
-    login
-};
\ No newline at end of file
+    requestLoginCode,
+    verifyLoginCode,
+    logout,
+    getSessions,
+    deleteSession,
+    deleteOtherSessions
+};
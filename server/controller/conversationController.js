@@ -1,10 +1,25 @@
 const { User, RideRequest, Conversation } = require('../model/index');
 const mongoose = require('mongoose');
 const { emitToConversation } = require('../socketManager');
-
-const CONVERSATION_EXPIRY_BUFFER_HOURS = 2; // Conversation expires 2 hours after the ride departs
-
-// Controller to initiate a conversation between two ride requests
+const { computeConversationExpiry, findUserRide } = require('../services/rideService');
+const {
+    getActiveParticipants,
+    getSeatsTaken,
+    isGroupConfirmed,
+    capacityWith,
+    getJoinBlocker,
+    toParticipant,
+    syncRideStatus,
+    finalizeIfApproved,
+    leaveConversation,
+    emitConversationUpdates
+} = require('../services/conversationService');
+const { createPairConversation } = require('../services/pairingService');
+const { getFareEstimate, computeSettlement } = require('../services/fareService');
+const { formatReputation } = require('../services/ratingService');
+
+// Controller to initiate a conversation between two ride requests, or to ask to join a confirmed ride group
+// The initiating ride is :rideId (POST /api/rides/:rideId/conversations), or the ride departing next
 const initiateConversation = async (req, res) => {
     const { targetRideId } = req.body;
     const initiatorUserId = req.user._id; // From authenticate middleware
@@ -19,35 +34,44 @@ const initiateConversation = async (req, res) => {
         let newConversationDoc;
         let initiatorRide;
         let targetRide;
+        let joinedGroup = false;
 
         await session.withTransaction(async () => {
-            // fetch initiator user's data and their active ride request ID
-            const initiatorUser = await User.findById(initiatorUserId).select('currentRideRequest').session(session);
-            if (!initiatorUser || !initiatorUser.currentRideRequest) {
-                throw { status: 404, message: 'You do not have an active ride request.' };
-            }
-            const initiatorRideId = initiatorUser.currentRideRequest;
+            joinedGroup = false;
 
-            if (initiatorRideId.toString() === targetRideId) {
-                 throw { status: 400, message: 'Cannot initiate a conversation with your own ride request.' };
+            // fetch initiator user's data and the ride request they are initiating from
+            const initiatorUser = await User.findById(initiatorUserId).select('activeRideRequests').session(session);
+            if (!initiatorUser) {
+                throw { status: 404, message: 'User not found.' };
+            }
+            initiatorRide = await findUserRide(initiatorUser, req.params.rideId, session);
+            if (!initiatorRide) {
+                throw { status: 404, message: 'You do not have an active ride request.' };
             }
 
-            // fetch both ride requests (initiator's and target's) and lock them
-            initiatorRide = await RideRequest.findById(initiatorRideId).session(session);
+            // fetch the target's ride request
             targetRide = await RideRequest.findById(targetRideId).session(session);
 
-            if (!initiatorRide || !targetRide) {
+            if (!targetRide) {
                 throw { status: 404, message: 'One or both ride requests could not be found.' };
             }
+            if (targetRide.userId.equals(initiatorUserId)) {
+                 throw { status: 400, message: 'Cannot initiate a conversation with your own ride request.' };
+            }
+
+            // Rides only ever pair up within the same campus
+            if (initiatorRide.campus !== targetRide.campus) {
+                throw { status: 400, message: 'Cannot initiate a conversation with a ride from a different campus.' };
+            }
+            if (initiatorRide.direction !== targetRide.direction) {
+                throw { status: 400, message: 'Cannot initiate a conversation with a ride travelling in the opposite direction.' };
+            }
 
             // --- MODIFIED STATUS CHECK ---
-            // 3. Check statuses: Initiator can be Available/Pending. Target must NOT be Confirmed.
+            // 3. Check statuses: Initiator can be Available/Pending. A Confirmed target means asking to join its group.
             if (initiatorRide.status === 'Confirmed') {
                  throw { status: 409, message: 'Your ride request is already confirmed and cannot initiate new conversations.' };
             }
-            if (targetRide.status === 'Confirmed') {
-                throw { status: 409, message: 'The target ride request is already confirmed.' };
-            }
             // --- END MODIFIED STATUS CHECK ---
 
             // --- NEW: Check if this specific interaction was previously declined ---
@@ -59,12 +83,9 @@ const initiateConversation = async (req, res) => {
             }
             // --- END NEW ---
 
-            // check if a conversation already exists between these two rides
+            // check if a conversation already exists between these two rides (including groups they were both in)
             const existingConversation = await Conversation.findOne({
-                $or: [
-                    { rideRequestA: initiatorRideId, rideRequestB: targetRideId },
-                    { rideRequestA: targetRideId, rideRequestB: initiatorRideId }
-                ]
+                'participants.rideId': { $all: [initiatorRide._id, targetRide._id] }
             }).session(session);
 
             // --- MODIFIED: Adjust existing conversation check message ---
@@ -73,51 +94,59 @@ const initiateConversation = async (req, res) => {
             }
             // --- END MODIFIED ---
 
-            // determine conversation expiry time (based on the EARLIER departure time)
-            const earlierDepartureTime = initiatorRide.departureTime < targetRide.departureTime
-                ? initiatorRide.departureTime
-                : targetRide.departureTime;
-            const expiresAt = new Date(earlierDepartureTime.getTime() + CONVERSATION_EXPIRY_BUFFER_HOURS * 60 * 60 * 1000);
-
-            // create the Conversation document
-            newConversationDoc = new Conversation({
-                rideRequestA: initiatorRideId,
-                rideRequestB: targetRideId,
-                messages: [], // start with empty messages
-                expiresAt: expiresAt
-            });
-            await newConversationDoc.save({ session });
-
-            // update both RideRequest documents
-            const conversationEntry = {
-                rideId: null, // will be set below
-                status: 'pending',
-                conversationId: newConversationDoc._id
-            };
-
-            // Update initiator's ride status to Pending (if not already)
-            if (initiatorRide.status === 'Available') {
-                 initiatorRide.status = 'Pending';
-            }
-            initiatorRide.conversations.push({ ...conversationEntry, rideId: targetRideId });
+            // --- Joining a confirmed group that still has free seats ---
+            if (targetRide.status === 'Confirmed') {
+                const groupRef = targetRide.conversations.find(c => c.status === 'confirmed');
+                const group = groupRef && await Conversation.findById(groupRef.conversationId).session(session);
+                if (!group) {
+                    throw { status: 409, message: 'The target ride request is already confirmed.' };
+                }
+                // One ride per user in a group (participants are told apart by user)
+                if (getActiveParticipants(group).some(p => p.userId.equals(initiatorUserId))) {
+                    throw { status: 409, message: 'You already have a ride in this group.' };
+                }
+                const joinBlocker = getJoinBlocker(group, initiatorRide);
+                if (joinBlocker) {
+                    throw { status: 409, message: joinBlocker };
+                }
 
-            // Update target's ride status to Pending (if not already)
-            if (targetRide.status === 'Available') {
-                 targetRide.status = 'Pending';
+                // Every member has to approve the new line-up, including the newcomer
+                getActiveParticipants(group).forEach(participant => { participant.approved = false; });
+                group.participants.push(toParticipant(initiatorRide));
+                group.capacity = capacityWith(group.capacity, initiatorRide);
+                const joinExpiresAt = computeConversationExpiry(initiatorRide, targetRide);
+                if (joinExpiresAt < group.expiresAt) {
+                    group.expiresAt = joinExpiresAt;
+                }
+                await group.save({ session });
+                newConversationDoc = group;
+                joinedGroup = true;
+
+                initiatorRide.conversations.push({ rideId: targetRide._id, status: 'pending', conversationId: group._id });
+                syncRideStatus(initiatorRide);
+                await initiatorRide.save({ session });
+                return;
             }
-            targetRide.conversations.push({ ...conversationEntry, rideId: initiatorRideId });
+            // --- End joining ---
 
-            await initiatorRide.save({ session });
-            await targetRide.save({ session });
+            // New conversation between the two rides (both become Pending)
+            newConversationDoc = await createPairConversation(initiatorRide, targetRide, session);
 
         }); // Transaction ends here
 
         await session.endSession();
 
+        if (joinedGroup) {
+            // Let the group members know someone is asking to join
+            await emitConversationUpdates([newConversationDoc._id]);
+        }
+
         // Return the newly created conversation details
         return res.status(201).json({
             success: true,
-            message: 'Conversation initiated successfully. Both ride requests are now Pending.',
+            message: joinedGroup
+                ? 'Request to join the ride group sent. Every member has to confirm before you are in.'
+                : 'Conversation initiated successfully. Both ride requests are now Pending.',
             conversation: newConversationDoc, // Send the created conversation back
             initiatorRideStatus: initiatorRide.status, // Confirm status change
             targetRideStatus: targetRide.status      // Confirm status change
@@ -133,78 +162,83 @@ const initiateConversation = async (req, res) => {
     }
 };
 
-// Controller to get conversations related to the user's current ride
+// Controller to get conversations related to one of the user's rides
+// GET /api/conversations covers the ride departing next, GET /api/rides/:rideId/conversations a specific one
 const getConversationsForCurrentRide = async (req, res) => {
     try {
         const userId = req.user._id;
 
-        // 1. Get the user's current active ride request ID
-        const user = await User.findById(userId).select('currentRideRequest').lean();
-        if (!user || !user.currentRideRequest) {
+        // 1. Get the user's active ride request IDs
+        const user = await User.findById(userId).select('activeRideRequests').lean();
+        if (!user) {
             return res.status(200).json({ success: true, conversations: [] });
         }
 
-        // 2. Fetch the user's ride request and populate details
-        const userRide = await RideRequest.findById(user.currentRideRequest)
-            .populate({
-                path: 'conversations.conversationId', // Populate the Conversation document
-                model: 'Conversation',
-                select: 'messages expiresAt rideRequestA rideRequestB', // Select necessary fields
-            })
-            .populate({
-                path: 'conversations.rideId', // Populate the other RideRequest document
-                model: 'RideRequest',
-                select: 'userId destination departureTime conversations',
-                populate: { // Populate the user associated with the other ride
-                    path: 'userId',
-                    model: 'User',
-                    select: 'email displayName avatarUrl' // Select fields needed for display
-                }
-            })
-            .lean(); // Use lean for performance
-
+        // 2. Fetch the user's ride request, its conversations and every participant's ride
+        const userRide = await findUserRide(user, req.params.rideId);
         if (!userRide) {
-            console.warn(`Data inconsistency: RideRequest ${user.currentRideRequest} not found for user ${userId}`);
-            return res.status(404).json({ success: false, message: 'Your active ride request could not be found.' });
+            return res.status(200).json({ success: true, conversations: [] });
         }
 
-        // Filter/map the populated data for a cleaner response including both statuses
-        const formattedConversations = userRide.conversations.map(conv => {
-            const conversationDoc = conv.conversationId; // Populated Conversation
-            const otherRideDoc = conv.rideId; // Populated other RideRequest (now includes its 'conversations' array)
-            const myStatus = conv.status; // Status from the current user's perspective
-
-            let otherPartyStatus = 'unknown'; // Default if not found
-            if (otherRideDoc && otherRideDoc.conversations && conversationDoc) {
-                // Find the corresponding conversation entry in the *other* ride's document
-                const counterpartConvRef = otherRideDoc.conversations.find(
-                    c => c.conversationId && c.conversationId.toString() === conversationDoc._id.toString()
-                );
-                if (counterpartConvRef) {
-                    otherPartyStatus = counterpartConvRef.status;
-                } else {
-                     console.warn(`Could not find counterpart conversation ref for ${conversationDoc._id} in ride ${otherRideDoc._id}`);
-                }
-            } else {
-                 console.warn(`Missing data needed to determine other party status for conversation ${conversationDoc?._id}`);
-            }
+        const conversations = await Conversation.find({ _id: { $in: userRide.conversations.map(c => c.conversationId) } })
+            .select('participants capacity systemProposed fareEstimate messages expiresAt')
+            .populate('participants.userId', 'email displayName avatarUrl reputation') // Fields needed for display
+            .lean();
+        const participantRides = await RideRequest.find({ _id: { $in: conversations.flatMap(c => c.participants.map(p => p.rideId)) } })
+            .select('destination direction pickupPoint departureTime conversations')
+            .lean();
+
+        const conversationById = new Map(conversations.map(c => [c._id.toString(), c]));
+        const rideById = new Map(participantRides.map(r => [r._id.toString(), r]));
+
+        // Status of a ride within a conversation, from that ride's own reference
+        const statusOf = (rideId, conversationId) => {
+            const ride = rideById.get(rideId.toString());
+            const convRef = ride?.conversations.find(c => c.conversationId.equals(conversationId));
+            return convRef ? convRef.status : 'unknown';
+        };
+        const formatUser = (populatedUser) => ({
+            _id: populatedUser?._id,
+            email: populatedUser?.email,
+            displayName: populatedUser?.displayName,
+            avatarUrl: populatedUser?.avatarUrl,
+            reputation: formatReputation(populatedUser)
+        });
 
+        // Filter/map the populated data for a cleaner response including every participant's status
+        // otherUser/otherRideDetails describe the ride this one paired with (or asked to join through)
+        const formattedConversations = userRide.conversations.map(conv => {
+            const conversationDoc = conversationById.get(conv.conversationId.toString()); // missing once expired
+            const otherRideDoc = rideById.get(conv.rideId.toString());
+            const otherParticipant = conversationDoc?.participants.find(p => p.rideId.equals(conv.rideId));
 
             return {
                 conversationId: conversationDoc?._id,
-                otherRideId: otherRideDoc?._id,
-                otherUser: {
-                    _id: otherRideDoc?.userId?._id,
-                    email: otherRideDoc?.userId?.email,
-                    displayName: otherRideDoc?.userId?.displayName,
-                    avatarUrl: otherRideDoc?.userId?.avatarUrl
-                },
+                otherRideId: conv.rideId,
+                otherUser: formatUser(otherParticipant?.userId),
                 otherRideDetails: {
                     destination: otherRideDoc?.destination,
+                    direction: otherRideDoc?.direction,
+                    pickupPoint: otherRideDoc?.pickupPoint,
                     departureTime: otherRideDoc?.departureTime,
                 },
-                myStatus: myStatus, // e.g., 'awaiting_confirmation'
-                otherPartyStatus: otherPartyStatus, // e.g., 'pending'
+                myStatus: conv.status, // e.g., 'awaiting_confirmation'
+                otherPartyStatus: statusOf(conv.rideId, conv.conversationId), // e.g., 'pending'
+                participants: (conversationDoc?.participants || []).map(participant => ({
+                    rideId: participant.rideId,
+                    user: formatUser(participant.userId),
+                    isMe: participant.rideId.equals(userRide._id),
+                    seats: participant.seats,
+                    luggage: participant.luggage,
+                    approved: participant.approved,
+                    status: participant.leftAt ? 'declined' : statusOf(participant.rideId, conv.conversationId),
+                    departureTime: rideById.get(participant.rideId.toString())?.departureTime,
+                    pickupPoint: rideById.get(participant.rideId.toString())?.pickupPoint
+                })),
+                systemProposed: Boolean(conversationDoc?.systemProposed), // proposed by the auto-pair job
+                capacity: conversationDoc?.capacity,
+                seatsTaken: conversationDoc ? getSeatsTaken(conversationDoc) : undefined,
+                fareEstimate: conversationDoc ? getFareEstimate(conversationDoc) : null,
                 lastMessage: conversationDoc?.messages?.[conversationDoc.messages.length - 1],
                 initiatedAt: conv.initiatedAt,
                 expiresAt: conversationDoc?.expiresAt
@@ -217,6 +251,9 @@ const getConversationsForCurrentRide = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error('Error fetching conversations:', error);
         return res.status(500).json({ success: false, message: 'Failed to fetch conversations.' });
     }
@@ -233,17 +270,14 @@ const getMessagesForConversation = async (req, res) => {
         }
 
         // Fetch the conversation
-        const conversation = await Conversation.findById(conversationId)
-            .populate('rideRequestA', 'userId') // Populate only userId to check participation
-            .populate('rideRequestB', 'userId');
+        const conversation = await Conversation.findById(conversationId);
 
         if (!conversation) {
             return res.status(404).json({ success: false, message: 'Conversation not found.' });
         }
 
-        // Validate user participation
-        const isParticipant = conversation.rideRequestA?.userId.equals(userId) ||
-                              conversation.rideRequestB?.userId.equals(userId);
+        // Validate user participation (members who left the group lose access to its messages)
+        const isParticipant = getActiveParticipants(conversation).some(p => p.userId.equals(userId));
 
         if (!isParticipant) {
             return res.status(403).json({ success: false, message: 'You are not authorized to view this conversation.' });
@@ -280,17 +314,14 @@ const sendMessage = async (req, res) => {
 
         // Fetch the conversation and validate participation
         // Use findOneAndUpdate for atomicity and efficiency
-        const conversation = await Conversation.findById(conversationId)
-            .populate('rideRequestA', 'userId')
-            .populate('rideRequestB', 'userId');
+        const conversation = await Conversation.findById(conversationId);
 
         if (!conversation) {
             return res.status(404).json({ success: false, message: 'Conversation not found.' });
         }
 
-        // Validate user participation
-        const isParticipant = conversation.rideRequestA?.userId.equals(senderId) ||
-                              conversation.rideRequestB?.userId.equals(senderId);
+        // Validate user participation (members who left can't post any more)
+        const isParticipant = getActiveParticipants(conversation).some(p => p.userId.equals(senderId));
 
         if (!isParticipant) {
             return res.status(403).json({ success: false, message: 'You are not authorized to send messages in this conversation.' })
@@ -340,50 +371,29 @@ const sendMessage = async (req, res) => {
     }
 };
 
-// --- MODIFIED Helper function for transaction ---
-// Processes other pending/awaiting conversations for a ride when one is mutually confirmed
-async function processOtherPending(rideToProcess, mutuallyConfirmedConversationId, session) {
-    let needsSave = false;
-    const otherConversations = rideToProcess.conversations || [];
-
-    for (const convRef of otherConversations) {
-        // Skip the one just confirmed or ones already declined/confirmed
-        if (convRef.conversationId.equals(mutuallyConfirmedConversationId) ||
-            ['confirmed', 'declined'].includes(convRef.status)) {
-            continue;
-        }
+// --- Helper: load a conversation and the acting user's ride in it ---
+const loadParticipation = async (conversationId, userId, session) => {
+    const conversation = await Conversation.findById(conversationId).session(session);
+    if (!conversation) throw { status: 404, message: 'Conversation not found.' };
 
-        // Only process 'pending' or 'awaiting_confirmation'
-        if (['pending', 'awaiting_confirmation'].includes(convRef.status)) {
-            needsSave = true; // Mark rideToProcess as needing save
-            convRef.status = 'declined'; // Decline this conversation reference
-
-            // Now update the *other* ride involved in *this* declined conversation
-            const otherRideInConv = await RideRequest.findById(convRef.rideId).session(session);
-            if (otherRideInConv) {
-                const counterpartConvRef = otherRideInConv.conversations.find(c => c.conversationId.equals(convRef.conversationId));
-                // Check if counterpart exists and is not already finalized
-                if (counterpartConvRef && ['pending', 'awaiting_confirmation'].includes(counterpartConvRef.status)) {
-                    counterpartConvRef.status = 'declined';
-
-                    // Check if the other ride should become Available
-                    const hasOtherActive = otherRideInConv.conversations.some(c => ['pending', 'awaiting_confirmation'].includes(c.status));
-                    if (!hasOtherActive && otherRideInConv.status === 'Pending') {
-                        otherRideInConv.status = 'Available';
-                    }
-                    await otherRideInConv.save({ session }); // Save the counterpart ride
-                }
-            } else {
-                console.warn(`Could not find counterpart ride ${convRef.rideId} to update during confirmation cleanup.`);
-            }
-        }
+    const participant = getActiveParticipants(conversation).find(p => p.userId.equals(userId));
+    if (!participant) {
+        throw { status: 403, message: 'You are not an active participant of this conversation.' };
     }
-    return needsSave; // Indicate if rideToProcess was modified
-}
-// --- End MODIFIED Helper ---
+
+    const ride = await RideRequest.findById(participant.rideId).session(session);
+    const convRef = ride?.conversations.find(c => c.conversationId.equals(conversationId));
+    if (!ride || !convRef) {
+        throw { status: 404, message: 'Your ride request for this conversation could not be found.' };
+    }
+    return { conversation, participant, ride, convRef };
+};
+// --- End Helper ---
 
 
-// --- MODIFIED Controller to confirm a ride share arrangement (Mutual Confirmation) ---
+// --- MODIFIED Controller to confirm a ride group (every active participant has to confirm) ---
+// In a new conversation this is the mutual confirmation of both riders; in a confirmed group
+// with someone asking to join, the members and the newcomer all confirm the new line-up.
 const confirmRide = async (req, res) => {
     const { conversationId } = req.params;
     const confirmerUserId = req.user._id;
@@ -393,103 +403,49 @@ const confirmRide = async (req, res) => {
     }
 
     const session = await mongoose.startSession();
-    let finalMessage = ''; 
-    let rideA, rideB, conversation; 
+    let finalMessage = '';
+    let affectedConversationIds = [];
 
     try {
         await session.withTransaction(async () => {
-            // 1. Fetch Conversation and associated Ride Requests
-            conversation = await Conversation.findById(conversationId).session(session);
-            if (!conversation) throw { status: 404, message: 'Conversation not found.' };
-
-            rideA = await RideRequest.findById(conversation.rideRequestA).session(session);
-            rideB = await RideRequest.findById(conversation.rideRequestB).session(session);
-            if (!rideA || !rideB) throw { status: 404, message: 'One or both associated ride requests not found.' };
-
-            // Identify which ride belongs to the confirmer and which is the other party
-            let confirmerRide, otherPartyRide;
-            if (rideA.userId.equals(confirmerUserId)) {
-                confirmerRide = rideA;
-                otherPartyRide = rideB;
-            } else if (rideB.userId.equals(confirmerUserId)) {
-                confirmerRide = rideB;
-                otherPartyRide = rideA;
-            } else {
-                throw { status: 403, message: 'You are not authorized to confirm this ride.' };
-            }
+            affectedConversationIds = [conversationId];
 
-            // 2. Validate Ride Statuses (must not be Confirmed already)
-            if (confirmerRide.status === 'Confirmed' || otherPartyRide.status === 'Confirmed') {
-                 throw { status: 409, message: 'One or both rides are already confirmed.' };
-            }
-
-            // 3. Find conversation references in both rides
-            const convRefConfirmer = confirmerRide.conversations.find(c => c.conversationId.equals(conversationId));
-            const convRefOtherParty = otherPartyRide.conversations.find(c => c.conversationId.equals(conversationId));
+            // 1. Fetch Conversation and the confirmer's ride
+            const { conversation, participant, ride, convRef } = await loadParticipation(conversationId, confirmerUserId, session);
 
-            if (!convRefConfirmer || !convRefOtherParty) {
-                 throw { status: 500, message: 'Internal error: Conversation reference missing in ride document.' }; // Should not happen
+            // 2. Validate: nothing to confirm twice
+            if (participant.approved || convRef.status === 'awaiting_confirmation') {
+                throw { status: 409, message: 'You have already confirmed this ride.' };
             }
-
-            // --- Mutual Confirmation Logic ---
-            if (convRefConfirmer.status === 'confirmed') {
-                 throw { status: 409, message: 'You have already confirmed this ride.' }; // Or just return success silently
+            if (convRef.status === 'declined') {
+                throw { status: 409, message: 'This conversation was declined and can no longer be confirmed.' };
             }
 
-            if (convRefOtherParty.status === 'awaiting_confirmation') {
-                // --- Stage 2: Mutual Confirmation Achieved ---
-                convRefConfirmer.status = 'confirmed';
-                convRefOtherParty.status = 'confirmed'; // Ensure both are marked
-
-                confirmerRide.status = 'Confirmed';
-                otherPartyRide.status = 'Confirmed';
-
-                // Process and Decline Other Pending/Awaiting Conversations
-                await processOtherPending(confirmerRide, conversation._id, session);
-                await processOtherPending(otherPartyRide, conversation._id, session);
-
-                finalMessage = 'Ride mutually confirmed successfully. Other pending conversations declined.';
-
-            } else if (convRefOtherParty.status === 'pending') {
-                // --- Stage 1: First Confirmation, Awaiting Other Party ---
-                convRefConfirmer.status = 'awaiting_confirmation';
-                // Rides remain Pending
-                finalMessage = 'Confirmation recorded. Waiting for the other party to confirm.';
-
-            } else { // Other party is 'confirmed' or 'declined'
-                 throw { status: 409, message: `Cannot confirm: The other party's status for this conversation is '${convRefOtherParty.status}'.` };
+            // 3. Record the approval (members of a confirmed group stay 'confirmed' while approving a newcomer)
+            participant.approved = true;
+            if (convRef.status === 'pending') {
+                convRef.status = 'awaiting_confirmation';
             }
+            await ride.save({ session });
+            await conversation.save({ session });
 
-            // 4. Save Rides
-            await confirmerRide.save({ session });
-            await otherPartyRide.save({ session });
+            // 4. Everyone approved: confirm the whole line-up and decline their other open conversations
+            const confirmedConversationIds = await finalizeIfApproved(conversation, session);
+            affectedConversationIds.push(...confirmedConversationIds);
 
+            if (confirmedConversationIds.length > 0) {
+                finalMessage = 'Ride group confirmed successfully. Other pending conversations declined.';
+            } else {
+                const waitingCount = getActiveParticipants(conversation).filter(p => !p.approved).length;
+                finalMessage = `Confirmation recorded. Waiting for ${waitingCount} other participant(s) to confirm.`;
+            }
         }); // Transaction ends
 
         await session.endSession();
 
         // --- Emit WebSocket Event(s) After Successful Transaction ---
-        if (conversation && rideA && rideB) {
-             // Fetch updated refs to get correct statuses after potential changes by processOtherPending
-             const finalRideA = await RideRequest.findById(rideA._id).lean();
-             const finalRideB = await RideRequest.findById(rideB._id).lean();
-
-             const finalConvRefA = finalRideA.conversations.find(c => c.conversationId.equals(conversationId));
-             const finalConvRefB = finalRideB.conversations.find(c => c.conversationId.equals(conversationId));
-
-             // Emit update for the primary conversation
-             emitToConversation(conversationId, 'conversationUpdate', {
-                 conversationId: conversationId,
-                 rideAStatus: finalRideA.status, // Overall ride status
-                 rideBStatus: finalRideB.status, // Overall ride status
-                 conversationStatusA: finalConvRefA?.status, // Status in A's context
-                 conversationStatusB: finalConvRefB?.status  // Status in B's context
-             });
-
-             // TODO: Emit updates for conversations affected by processOtherPending
-             // This requires collecting affected conversation IDs and user IDs during the transaction
-             // or re-querying based on the changes. For MVP, focus on the primary update.
-        }
+        // Includes conversations declined because their riders were confirmed into this group
+        await emitConversationUpdates(affectedConversationIds);
         // --- End Emit ---
 
         return res.status(200).json({ success: true, message: finalMessage });
@@ -505,6 +461,8 @@ const confirmRide = async (req, res) => {
 
 
 // --- MODIFIED Controller to decline a pending/awaiting conversation ---
+// A conversation that is not confirmed yet is declined for everyone. In a confirmed group only a
+// pending join can be declined: by the newcomer withdrawing, or by any member turning them down.
 const declineConversation = async (req, res) => {
     const { conversationId } = req.params;
     const declinerUserId = req.user._id;
@@ -514,89 +472,47 @@ const declineConversation = async (req, res) => {
     }
 
     const session = await mongoose.startSession();
-    let rideA, rideB, conversation; // Define outside transaction scope
+    let affectedConversationIds = [];
 
     try {
         await session.withTransaction(async () => {
-            // 1. Fetch Conversation and associated Ride Requests
-            conversation = await Conversation.findById(conversationId).session(session);
-            if (!conversation) throw { status: 404, message: 'Conversation not found.' };
-
-            rideA = await RideRequest.findById(conversation.rideRequestA).session(session);
-            rideB = await RideRequest.findById(conversation.rideRequestB).session(session);
-            if (!rideA || !rideB) throw { status: 404, message: 'One or both associated ride requests not found.' };
-
-            // 2. Validate Participation
-            const isParticipantA = rideA.userId.equals(declinerUserId);
-            const isParticipantB = rideB.userId.equals(declinerUserId);
-            if (!isParticipantA && !isParticipantB) {
-                throw { status: 403, message: 'You are not authorized to decline this conversation.' };
-            }
+            affectedConversationIds = [conversationId];
 
-            // Prevent declining already confirmed rides via this route
-            if (rideA.status === 'Confirmed' || rideB.status === 'Confirmed') {
-                 throw { status: 409, message: 'Cannot decline a conversation associated with a Confirmed ride.' };
-            }
-
-            // 3. Update Conversation Status in Ride Documents to 'declined'
-            const convRefA = rideA.conversations.find(c => c.conversationId.equals(conversationId));
-            const convRefB = rideB.conversations.find(c => c.conversationId.equals(conversationId));
-
-            let updated = false;
-            // Allow declining from 'pending' or 'awaiting_confirmation'
-            if (convRefA && ['pending', 'awaiting_confirmation'].includes(convRefA.status)) {
-                convRefA.status = 'declined';
-                updated = true;
-            }
-            if (convRefB && ['pending', 'awaiting_confirmation'].includes(convRefB.status)) {
-                convRefB.status = 'declined';
-                updated = true; // Mark true even if already updated by A's ref change
-            }
-
-            if (!updated) {
-                 // If neither was pending/awaiting, maybe it was already declined. Silently succeed.
-                 // Or throw error: throw { status: 409, message: 'Conversation was not in a pending or awaiting state.' };
-                 // Let's silently succeed for idempotency.
-                 console.log(`Conversation ${conversationId} already declined or in final state.`);
-                 // We still need to check ride statuses below in case this is a redundant call after a confirm race condition.
-            }
+            // 1. Fetch Conversation and the decliner's ride
+            const { conversation, participant, ride, convRef } = await loadParticipation(conversationId, declinerUserId, session);
 
-            // 4. Check and Update Ride Statuses if necessary
-            const rideAHasOtherActive = rideA.conversations.some(c => ['pending', 'awaiting_confirmation'].includes(c.status));
-            if (!rideAHasOtherActive && rideA.status === 'Pending') {
-                rideA.status = 'Available';
+            // 2. Work out which rides leave the conversation
+            let leavingRideIds;
+            if (!isGroupConfirmed(conversation) || !participant.confirmedAt) {
+                leavingRideIds = [participant.rideId]; // the decliner (dissolves an unconfirmed conversation)
+            } else {
+                leavingRideIds = getActiveParticipants(conversation).filter(p => !p.confirmedAt).map(p => p.rideId);
+                if (leavingRideIds.length === 0) {
+                    throw { status: 409, message: 'Cannot decline a confirmed ride group. Cancel your ride request to leave it.' };
+                }
             }
 
-            const rideBHasOtherActive = rideB.conversations.some(c => ['pending', 'awaiting_confirmation'].includes(c.status));
-            if (!rideBHasOtherActive && rideB.status === 'Pending') {
-                rideB.status = 'Available';
+            // 3. Decline each leaving ride's reference, then take it out of the group
+            for (const leavingRideId of leavingRideIds) {
+                const leavingRide = leavingRideId.equals(ride._id)
+                    ? ride
+                    : await RideRequest.findById(leavingRideId).session(session);
+                if (leavingRide) {
+                    const leavingConvRef = leavingRide === ride
+                        ? convRef
+                        : leavingRide.conversations.find(c => c.conversationId.equals(conversationId));
+                    if (leavingConvRef) leavingConvRef.status = 'declined';
+                    syncRideStatus(leavingRide);
+                    await leavingRide.save({ session });
+                }
+                affectedConversationIds.push(...await leaveConversation(conversationId, leavingRideId, session));
             }
-
-            // 5. Save Rides
-            await rideA.save({ session });
-            await rideB.save({ session });
-
         }); // Transaction ends
 
         await session.endSession();
 
         // --- Emit WebSocket Event After Successful Transaction ---
-         if (conversation && rideA && rideB) {
-             // Fetch updated refs to get correct statuses
-             const finalRideA = await RideRequest.findById(rideA._id).lean();
-             const finalRideB = await RideRequest.findById(rideB._id).lean();
-
-             const finalConvRefA = finalRideA.conversations.find(c => c.conversationId.equals(conversationId));
-             const finalConvRefB = finalRideB.conversations.find(c => c.conversationId.equals(conversationId));
-
-             emitToConversation(conversationId, 'conversationUpdate', {
-                 conversationId: conversationId,
-                 rideAStatus: finalRideA.status,
-                 rideBStatus: finalRideB.status,
-                 conversationStatusA: finalConvRefA?.status,
-                 conversationStatusB: finalConvRefB?.status
-             });
-         }
+        await emitConversationUpdates(affectedConversationIds);
         // --- End Emit ---
 
         return res.status(200).json({ success: true, message: 'Conversation declined successfully.' });
@@ -611,11 +527,142 @@ const declineConversation = async (req, res) => {
 };
 
 
+// --- Helper: settlement state of a group with member names, as returned and emitted ---
+const buildSettlement = async (conversation) => {
+    const settlement = computeSettlement(conversation);
+    const userIds = settlement.balances.map(b => b.userId).filter(Boolean);
+    const users = await User.find({ _id: { $in: userIds } }).select('displayName avatarUrl').lean();
+    const userById = new Map(users.map(user => [user._id.toString(), user]));
+    const formatUser = (userId) => ({
+        _id: userId,
+        displayName: userId ? userById.get(userId.toString())?.displayName : undefined, // undefined once the account is deleted
+        avatarUrl: userId ? userById.get(userId.toString())?.avatarUrl : undefined
+    });
+
+    return {
+        conversationId: conversation._id,
+        fareEstimate: getFareEstimate(conversation),
+        totalPaid: settlement.totalPaid,
+        payments: conversation.payments,
+        balances: settlement.balances.map(balance => ({ ...balance, user: formatUser(balance.userId) })),
+        transfers: settlement.transfers.map(transfer => ({ ...transfer, fromUser: formatUser(transfer.from), toUser: formatUser(transfer.to) }))
+    };
+};
+// --- End Helper ---
+
+// Controller to get the fare estimate, recorded payments and who owes whom in a confirmed group
+// Open to everyone who was part of a confirmed line-up (including members who left and may be owed money)
+const getSettlement = async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+            return res.status(400).json({ success: false, message: 'Invalid conversation ID.' });
+        }
+
+        const conversation = await Conversation.findById(conversationId).select('participants fareEstimate payments');
+        if (!conversation) {
+            return res.status(404).json({ success: false, message: 'Conversation not found.' });
+        }
+        if (!conversation.participants.some(p => p.userId.equals(userId) && p.confirmedAt)) {
+            return res.status(403).json({ success: false, message: 'Only confirmed members can view the settlement of this ride.' });
+        }
+
+        return res.status(200).json({ success: true, settlement: await buildSettlement(conversation) });
+
+    } catch (error) {
+        console.error('Error fetching settlement:', error);
+        return res.status(500).json({ success: false, message: 'Failed to fetch settlement.' });
+    }
+};
+
+// Controller to record a payment made for the shared cab ("I paid X")
+// Body requires: { "amount": number }, optional "note"
+const recordPayment = async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        const { amount, note } = req.body || {};
+        const userId = req.user._id;
+
+        if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+            return res.status(400).json({ success: false, message: 'Invalid conversation ID.' });
+        }
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0 || Math.abs(Math.round(amount * 100) - amount * 100) > 1e-6) {
+            return res.status(400).json({ success: false, message: 'amount must be a positive number with at most two decimals.' });
+        }
+        if (note !== undefined && (typeof note !== 'string' || note.length > 100)) {
+            return res.status(400).json({ success: false, message: 'note must be a string of at most 100 characters.' });
+        }
+
+        const conversation = await Conversation.findById(conversationId);
+        if (!conversation) {
+            return res.status(404).json({ success: false, message: 'Conversation not found.' });
+        }
+        const member = getActiveParticipants(conversation).find(p => p.userId.equals(userId));
+        if (!member || !member.confirmedAt) {
+            return res.status(403).json({ success: false, message: 'Only confirmed members can record payments for this ride.' });
+        }
+
+        conversation.payments.push({ userId, amount, note: note?.trim() || undefined });
+        await conversation.save();
+
+        const settlement = await buildSettlement(conversation);
+        emitToConversation(conversationId, 'settlementUpdated', settlement);
+
+        return res.status(201).json({ success: true, message: 'Payment recorded.', settlement });
+
+    } catch (error) {
+        console.error('Error recording payment:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        return res.status(500).json({ success: false, message: 'Failed to record payment.' });
+    }
+};
+
+// Controller to remove a payment entry; only whoever recorded it can remove it
+const deletePayment = async (req, res) => {
+    try {
+        const { conversationId, paymentId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.Types.ObjectId.isValid(conversationId) || !mongoose.Types.ObjectId.isValid(paymentId)) {
+            return res.status(400).json({ success: false, message: 'Invalid conversation or payment ID.' });
+        }
+
+        const conversation = await Conversation.findById(conversationId);
+        const payment = conversation?.payments.id(paymentId);
+        if (!payment) {
+            return res.status(404).json({ success: false, message: 'Payment not found.' });
+        }
+        if (!payment.userId.equals(userId)) {
+            return res.status(403).json({ success: false, message: 'You can only remove payments you recorded.' });
+        }
+
+        payment.deleteOne();
+        await conversation.save();
+
+        const settlement = await buildSettlement(conversation);
+        emitToConversation(conversationId, 'settlementUpdated', settlement);
+
+        return res.status(200).json({ success: true, message: 'Payment removed.', settlement });
+
+    } catch (error) {
+        console.error('Error removing payment:', error);
+        return res.status(500).json({ success: false, message: 'Failed to remove payment.' });
+    }
+};
+
+
 module.exports = {
     initiateConversation,
     getConversationsForCurrentRide,
     getMessagesForConversation,
     sendMessage,
     confirmRide,
-    declineConversation
+    declineConversation,
+    getSettlement,
+    recordPayment,
+    deletePayment
 };
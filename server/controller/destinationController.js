@@ -0,0 +1,192 @@
+const { Destination, RideRequest } = require('../model/index');
+const mongoose = require('mongoose');
+const { getCampus, getCampusForUser } = require('../services/campusService');
+const { listActiveDestinations } = require('../services/destinationService');
+
+const EDITABLE_FIELDS = ['name', 'location', 'typicalTravelMinutes', 'fares', 'active'];
+const FARE_TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// --- Validation Helper ---
+// Returns an error message for the first invalid field, or null if valid
+function validateDestinationFields(body, { isCreate }) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return 'Request body must be a JSON object.';
+    }
+
+    const allowedFields = isCreate ? ['campus', ...EDITABLE_FIELDS] : EDITABLE_FIELDS;
+    const unknownKeys = Object.keys(body).filter(key => !allowedFields.includes(key));
+    if (unknownKeys.length > 0) {
+        return `Unknown field(s): ${unknownKeys.join(', ')}. Allowed fields are: ${allowedFields.join(', ')}`;
+    }
+
+    if (isCreate && (!body.campus || !getCampus(body.campus))) {
+        return 'A valid campus slug is required.';
+    }
+    if ((isCreate || body.name !== undefined) &&
+        (typeof body.name !== 'string' || body.name.trim().length === 0 || body.name.length > 100)) {
+        return 'name must be a non-empty string of at most 100 characters.';
+    }
+    if (body.location !== undefined) {
+        const { lat, lng } = body.location || {};
+        if (typeof lat !== 'number' || typeof lng !== 'number' || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return 'location must be { "lat": number, "lng": number } with valid coordinates.';
+        }
+    }
+    if (body.typicalTravelMinutes !== undefined &&
+        (!Number.isInteger(body.typicalTravelMinutes) || body.typicalTravelMinutes < 0)) {
+        return 'typicalTravelMinutes must be a non-negative whole number.';
+    }
+    if (body.fares !== undefined) {
+        if (!Array.isArray(body.fares)) {
+            return 'fares must be an array of { "from": "HH:MM", "until": "HH:MM", "amount": number }.';
+        }
+        const invalidBand = body.fares.find(band =>
+            !band || !FARE_TIME_REGEX.test(band.from) || !FARE_TIME_REGEX.test(band.until) ||
+            typeof band.amount !== 'number' || !Number.isFinite(band.amount) || band.amount < 0);
+        if (invalidBand !== undefined) {
+            return 'Each fare needs "from" and "until" as 24-hour "HH:MM" and a non-negative "amount".';
+        }
+    }
+    if (body.active !== undefined && typeof body.active !== 'boolean') {
+        return 'active must be a boolean.';
+    }
+    return null;
+}
+// --- End Validation Helper ---
+
+// Controller to list the active destinations of the current user's campus (for the ride form)
+const getDestinations = async (req, res) => {
+    try {
+        const campus = getCampusForUser(req.user);
+        if (!campus) {
+            return res.status(403).json({ success: false, message: 'Your account is not associated with a supported campus.' });
+        }
+
+        const destinations = await listActiveDestinations(campus.slug);
+        return res.status(200).json({
+            success: true,
+            destinations: destinations.map(destination => ({
+                _id: destination._id,
+                name: destination.name,
+                location: destination.location,
+                typicalTravelMinutes: destination.typicalTravelMinutes,
+                fares: destination.fares
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching destinations:', error);
+        return res.status(500).json({ success: false, message: 'Failed to fetch destinations.' });
+    }
+};
+
+// --- Admin Controllers ---
+
+// Controller to list all destinations, including inactive ones (?campus=<slug> to filter)
+const adminListDestinations = async (req, res) => {
+    try {
+        const filter = req.query.campus ? { campus: String(req.query.campus) } : {};
+        const destinations = await Destination.find(filter).sort({ campus: 1, name: 1 }).lean();
+        return res.status(200).json({ success: true, destinations });
+    } catch (error) {
+        console.error('Admin error listing destinations:', error);
+        return res.status(500).json({ success: false, message: 'Failed to list destinations.' });
+    }
+};
+
+// Controller to create a destination
+// Body requires: { "campus": "...", "name": "..." }, optional "location", "typicalTravelMinutes", "fares", "active"
+const adminCreateDestination = async (req, res) => {
+    const validationError = validateDestinationFields(req.body, { isCreate: true });
+    if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+    }
+
+    try {
+        const destination = await Destination.create({ ...req.body, name: req.body.name.trim() });
+        console.log(`[Admin] ${req.user.email} created destination '${destination.name}' for campus ${destination.campus}`);
+        return res.status(201).json({ success: true, message: 'Destination created.', destination });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'A destination with this name already exists for the campus.' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('Admin error creating destination:', error);
+        return res.status(500).json({ success: false, message: 'Failed to create destination.' });
+    }
+};
+
+// Controller to update a destination (rename, move, change travel time or fares, (de)activate)
+const adminUpdateDestination = async (req, res) => {
+    const { destinationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(destinationId)) {
+        return res.status(400).json({ success: false, message: 'Invalid destination ID.' });
+    }
+    const validationError = validateDestinationFields(req.body, { isCreate: false });
+    if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+    }
+
+    try {
+        const destination = await Destination.findById(destinationId);
+        if (!destination) {
+            return res.status(404).json({ success: false, message: 'Destination not found.' });
+        }
+
+        Object.keys(req.body).forEach(key => {
+            destination[key] = key === 'name' ? req.body.name.trim() : req.body[key];
+        });
+        await destination.save();
+
+        console.log(`[Admin] ${req.user.email} updated destination ${destinationId}`);
+        return res.status(200).json({ success: true, message: 'Destination updated.', destination });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'A destination with this name already exists for the campus.' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('Admin error updating destination:', error);
+        return res.status(500).json({ success: false, message: 'Failed to update destination.' });
+    }
+};
+
+// Controller to delete a destination; refused while rides still reference it (deactivate instead)
+const adminDeleteDestination = async (req, res) => {
+    const { destinationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(destinationId)) {
+        return res.status(400).json({ success: false, message: 'Invalid destination ID.' });
+    }
+
+    try {
+        const rideCount = await RideRequest.countDocuments({ destinationId });
+        if (rideCount > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Destination is used by ${rideCount} ride request(s). Set it inactive instead.`
+            });
+        }
+
+        const deleted = await Destination.findByIdAndDelete(destinationId);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Destination not found.' });
+        }
+
+        console.log(`[Admin] ${req.user.email} deleted destination '${deleted.name}' (${destinationId})`);
+        return res.status(200).json({ success: true, message: 'Destination deleted.' });
+    } catch (error) {
+        console.error('Admin error deleting destination:', error);
+        return res.status(500).json({ success: false, message: 'Failed to delete destination.' });
+    }
+};
+// --- End Admin Controllers ---
+
+module.exports = {
+    getDestinations,
+    adminListDestinations,
+    adminCreateDestination,
+    adminUpdateDestination,
+    adminDeleteDestination
+};
@@ -0,0 +1,68 @@
+const { Notification } = require('../model/index');
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Controller to list the current user's notifications, newest first (?unread=true, ?page=1&limit=20)
+const listNotifications = async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const filter = { userId: req.user._id };
+        if (req.query.unread === 'true') {
+            filter.readAt = null;
+        }
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+            Notification.countDocuments(filter),
+            Notification.countDocuments({ userId: req.user._id, readAt: null })
+        ]);
+
+        return res.status(200).json({ success: true, notifications, page, limit, total, unreadCount });
+    } catch (error) {
+        console.error('Error listing notifications:', error);
+        return res.status(500).json({ success: false, message: 'Failed to fetch notifications due to server error.' });
+    }
+};
+
+// Controller to mark one notification as read
+const markNotificationRead = async (req, res) => {
+    try {
+        const { notificationId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+            return res.status(400).json({ success: false, message: 'Invalid notification ID.' });
+        }
+
+        const notification = await Notification.findOneAndUpdate(
+            { _id: notificationId, userId: req.user._id },
+            [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }], // keep the first read time
+            { new: true }
+        ).lean();
+        if (!notification) {
+            return res.status(404).json({ success: false, message: 'Notification not found.' });
+        }
+        return res.status(200).json({ success: true, notification });
+    } catch (error) {
+        console.error('Error marking notification as read:', error);
+        return res.status(500).json({ success: false, message: 'Failed to update notification due to server error.' });
+    }
+};
+
+// Controller to mark all of the current user's notifications as read
+const markAllNotificationsRead = async (req, res) => {
+    try {
+        const result = await Notification.updateMany({ userId: req.user._id, readAt: null }, { $set: { readAt: new Date() } });
+        return res.status(200).json({ success: true, message: `Marked ${result.modifiedCount} notification(s) as read.` });
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        return res.status(500).json({ success: false, message: 'Failed to update notifications due to server error.' });
+    }
+};
+
+module.exports = {
+    listNotifications,
+    markNotificationRead,
+    markAllNotificationsRead
+};
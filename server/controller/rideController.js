@@ -1,63 +1,89 @@
-const { User, RideRequest } = require('../model/index');
+const { User, RideRequest, RideHistory, Conversation } = require('../model/index');
 const matchingService = require('../services/matchingService'); 
 const mongoose = require('mongoose'); 
 const { emitToConversation } = require('../socketManager'); 
-
-const MAX_DAILY_REQUESTS = 50; //number of rides a user can create in a day
+const { getCampusForUser } = require('../services/campusService');
+const { MAX_ACTIVE_RIDES, createRideForUser, findActiveRides, findUserRide, releaseRideConversations, emitRideReleased, computeConversationExpiry } = require('../services/rideService');
+const { resolveRideTravelService } = require('../services/timetableService');
+const { listPendingOutcomes, recordRideOutcome } = require('../services/historyService');
+const { notifyMatchRemoved } = require('../services/matchAlertService');
+const ratingService = require('../services/ratingService');
+const { OPEN_STATUSES, getActiveParticipants, findParticipant, isLineUpValid, syncRideStatus, leaveConversation, emitConversationUpdates } = require('../services/conversationService');
+const { validateDepartureTime, validateDepartureWindow, validateDestination, validateDirection, validatePickupPoint, validateSeats, validateTravelService, validateRidePreferences } = require('../utils/rideValidation');
+
+const HISTORY_PAGE_SIZE = 20;
+const MAX_HISTORY_PAGE_SIZE = 100;
+const MATCHES_PAGE_SIZE = 20;
+const MAX_MATCHES_PAGE_SIZE = 50;
+const CAB_TYPES = RideRequest.schema.path('preferences.preferredCabType').enumValues;
+
+// --- Validation Helper ---
+// Reads the match filters, sort order and page from the query string: { filters, sort, cursor, limit } or { error }
+function parseMatchQuery(query) {
+    const filters = {};
+    for (const flag of ['quietRide', 'openToMoreRiders']) {
+        if (query[flag] === undefined) continue;
+        if (!['true', 'false'].includes(query[flag])) {
+            return { error: `${flag} must be true or false.` };
+        }
+        filters[flag] = query[flag] === 'true';
+    }
+    if (query.cabType !== undefined) {
+        if (!CAB_TYPES.includes(query.cabType)) {
+            return { error: `cabType must be one of: ${CAB_TYPES.join(', ')}` };
+        }
+        if (query.cabType !== 'Any') filters.cabType = query.cabType;
+    }
+    if (query.maxLuggage !== undefined) {
+        const maxLuggage = Number(query.maxLuggage);
+        if (!Number.isInteger(maxLuggage) || maxLuggage < 0) {
+            return { error: 'maxLuggage must be a whole number of 0 or more.' };
+        }
+        filters.maxLuggage = maxLuggage;
+    }
+    const sort = query.sort || 'relevance';
+    if (!matchingService.MATCH_SORTS.includes(sort)) {
+        return { error: `sort must be one of: ${matchingService.MATCH_SORTS.join(', ')}` };
+    }
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || MATCHES_PAGE_SIZE, 1), MAX_MATCHES_PAGE_SIZE);
+    return { filters, sort, cursor: query.cursor || undefined, limit };
+}
+// --- End Validation Helper ---
 
 // Controller to create a new ride request
 const createRideRequest = async (req, res) => {
     try {
-        const { destination, departureTime } = req.body;
+        const { destinationId, destination, departureTime, earliestDeparture, latestDeparture, direction = 'from_campus', pickupPoint, seatsNeeded, vehicleCapacity, preferences, travelService } = req.body; // destination (name) kept for older clients
         const userId = req.user._id; // User ID from authenticate middleware
 
-        if (!destination || !departureTime) {
+        // With a travelService, destination and departure time can come from the timetable
+        if (((!destinationId && !destination) || !departureTime) && !travelService) {
             return res.status(400).json({
                 success: false,
                 message: 'Destination and departure time are required.'
             });
         }
 
-        // --- MODIFIED: Time Slot Validation ---
-        const now = new Date();
-        const departure = new Date(departureTime);
-
-        // Check if parsing failed or date is invalid
-        if (isNaN(departure.getTime())) {
-             return res.status(400).json({
-                success: false,
-                message: 'Invalid departure time format provided.'
-            });
+        // Validate trip direction and optional pickup point
+        const directionError = validateDirection(direction);
+        if (directionError) {
+            return res.status(400).json({ success: false, message: directionError });
         }
-
-        // Check if time is in the past
-        if (departure <= now) {
-             return res.status(400).json({
-                success: false,
-                message: 'Departure time must be in the future.'
-            });
+        const pickupPointError = validatePickupPoint(pickupPoint);
+        if (pickupPointError) {
+            return res.status(400).json({ success: false, message: pickupPointError });
         }
-
-        // Check for allowed time slots (minutes 00 or 30, seconds/ms 0)
-        const minutes = departure.getMinutes();
-        const seconds = departure.getSeconds();
-        const milliseconds = departure.getMilliseconds();
-
-        if (![0, 30].includes(minutes) || seconds !== 0 || milliseconds !== 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid departure time slot. Please select a time ending in :00 or :30.'
-            });
+        const seatsError = validateSeats({ seatsNeeded, vehicleCapacity });
+        if (seatsError) {
+            return res.status(400).json({ success: false, message: seatsError });
         }
-        // --- END MODIFIED: Time Slot Validation ---
-
-        // Validate destination against schema enum (Mongoose handles this on save, but early check is good)
-        const allowedDestinations = RideRequest.schema.path('destination').enumValues;
-        if (!allowedDestinations.includes(destination)) {
-             return res.status(400).json({
-                success: false,
-                message: `Invalid destination. Allowed destinations are: ${allowedDestinations.join(', ')}`
-            });
+        const preferencesError = validateRidePreferences(preferences);
+        if (preferencesError) {
+            return res.status(400).json({ success: false, message: preferencesError });
+        }
+        const travelServiceError = validateTravelService(travelService);
+        if (travelServiceError) {
+            return res.status(400).json({ success: false, message: travelServiceError });
         }
 
         const user = await User.findById(userId);
@@ -66,49 +92,49 @@ const createRideRequest = async (req, res) => {
             return res.status(404).json({ success: false, message: 'User not found.' });
         }
 
-        // --- MODIFIED: Check for active ride request with existence validation ---
-        if (user.currentRideRequest) {
-            // Verify if the referenced ride request actually exists
-            const existingRide = await RideRequest.findById(user.currentRideRequest).lean(); // Use lean for efficiency
+        // Rides belong to the owner's campus, which decides allowed destinations and the local timezone
+        const campus = getCampusForUser(user);
+        if (!campus) {
+            return res.status(403).json({
+                success: false,
+                message: 'Your account is not associated with a supported campus.'
+            });
+        }
+
+        // Resolve the flight/train against the timetable (suggests destination and departure slot if missing)
+        const resolved = travelService
+            ? await resolveRideTravelService(campus, travelService, { direction, destinationId, departureTime })
+            : { destinationId, departureTime };
 
-            if (existingRide) {
-                // Only block if the referenced ride *actually exists*
-                return res.status(409).json({
-                    success: false,
-                    message: 'You already have an active ride request. Please cancel it before creating a new one.'
-                });
-            } else {
-                // Data inconsistency found: User has a reference, but ride doesn't exist.
-                console.warn(`Data inconsistency: Clearing invalid currentRideRequest ${user.currentRideRequest} for user ${userId}`);
-                user.currentRideRequest = null; // Clear the invalid reference
-                // No need to await here, will be saved later if creation proceeds
-            }
+        // Time slot validation (future, :00/:30 in campus local time)
+        const { departure, error: departureError } = validateDepartureTime(resolved.departureTime, campus.timezone);
+        if (departureError) {
+            return res.status(400).json({ success: false, message: departureError });
+        }
+        // Optional earliest/latest acceptable departure around it
+        const { window: departureWindow, error: windowError } = validateDepartureWindow(departure, { earliestDeparture, latestDeparture });
+        if (windowError) {
+            return res.status(400).json({ success: false, message: windowError });
         }
-        // --- END MODIFIED ---
 
-        // Check daily request limit
-        user.resetDailyCountIfNeeded();
-        if (user.requestCount.count >= MAX_DAILY_REQUESTS) {
-            return res.status(429).json({
-                success: false,
-                message: `Daily ride request limit (${MAX_DAILY_REQUESTS}) reached. Please try again tomorrow.`
-            });
+        // Validate destination against the campus's active destination catalog
+        const { destinationDoc, error: destinationError } = await validateDestination(campus.slug, { destinationId: resolved.destinationId, name: destination });
+        if (destinationError) {
+            return res.status(400).json({ success: false, message: destinationError });
         }
 
-        // Create the new ride request
-        // Ensure seconds/ms are zeroed before saving, even if validation passed (belt and suspenders)
-        departure.setSeconds(0, 0);
-        const newRideRequest = new RideRequest({
-            userId,
-            destination,
-            departureTime: departure // Use the validated and potentially normalized Date object
+        // Enforces the active ride limit, non-overlapping times and the daily request limit, then links the ride to the user
+        const newRideRequest = await createRideForUser(user, campus, {
+            destinationDoc,
+            direction,
+            pickupPoint,
+            departure,
+            departureWindow,
+            seatsNeeded,
+            vehicleCapacity,
+            preferences,
+            travelService: resolved.travelService
         });
-        await newRideRequest.save();
-
-        // Update user's request count and link the new ride
-        user.incrementRequestCount();
-        user.currentRideRequest = newRideRequest._id;
-        await user.save(); // This save will also persist the cleared reference if inconsistency was found
 
         return res.status(201).json({
             success: true,
@@ -117,6 +143,9 @@ const createRideRequest = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error('Error creating ride request:', error);
         // Handle potential validation errors from Mongoose
         if (error.name === 'ValidationError') {
@@ -129,33 +158,59 @@ const createRideRequest = async (req, res) => {
     }
 };
 
-// Controller to get the user's current active ride request
+// Controller to list the user's active ride requests, soonest departure first
+const getActiveRideRequests = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+
+        const rideRequests = await findActiveRides(user);
+        if (user.isModified('activeRideRequests')) {
+            await user.save(); // persist cleared references
+        }
+
+        return res.status(200).json({
+            success: true,
+            rideRequests,
+            maxActiveRides: MAX_ACTIVE_RIDES
+        });
+
+    } catch (error) {
+        console.error('Error fetching active ride requests:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to fetch ride requests due to server error.'
+        });
+    }
+};
+
+// Controller to get one of the user's active ride requests
+// GET /current returns the ride departing next (null if none), GET /:rideId a specific one
 const getCurrentRideRequest = async (req, res) => {
     try {
         const userId = req.user._id;
 
-        // Find user and populate their current ride request details
-        const user = await User.findById(userId).populate('currentRideRequest');
+        const user = await User.findById(userId).select('activeRideRequests').lean();
 
         if (!user) {
             return res.status(404).json({ success: false, message: 'User not found.' });
         }
 
-        // --- FIX: Return 200 OK with null data if no ride request exists ---
-        if (!user.currentRideRequest) {
-            return res.status(200).json({
-                success: true,
-                rideRequest: null // Indicate no active ride found
-            });
-        }
-        // --- END FIX ---
+        const rideRequest = await findUserRide(user, req.params.rideId);
 
+        // --- FIX: Return 200 OK with null data if no ride request exists ---
         return res.status(200).json({
             success: true,
-            rideRequest: user.currentRideRequest
+            rideRequest // null indicates no active ride found
         });
+        // --- END FIX ---
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error('Error fetching current ride request:', error);
         return res.status(500).json({
             success: false,
@@ -164,87 +219,44 @@ const getCurrentRideRequest = async (req, res) => {
     }
 };
 
-// --- MODIFIED Controller to delete/cancel the user's current active ride request ---
+// --- MODIFIED Controller to delete/cancel one of the user's active ride requests (/current or /:rideId) ---
 const deleteRideRequest = async (req, res) => {
     const userId = req.user._id;
     const session = await mongoose.startSession();
     let rideRequestIdToDelete = null;
-    let affectedConversations = []; // Store affected conv IDs and counterpart ride IDs
+    let deletedRide = null;
+    let affectedConversations = []; // IDs of conversations the ride leaves
 
     try {
         await session.withTransaction(async () => {
-            // 1. Find user and get their current ride request ID
+            // 1. Find user and the ride request to cancel
             const user = await User.findById(userId).session(session);
             if (!user) {
                 // Should not happen with authenticate middleware, but good check
                 throw { status: 404, message: 'User not found.' };
             }
 
-            rideRequestIdToDelete = user.currentRideRequest;
-            if (!rideRequestIdToDelete) {
-                throw { status: 404, message: 'No active ride request found to delete.' };
-            }
-
-            // 2. Fetch the ride request to be deleted
-            const rideToDelete = await RideRequest.findById(rideRequestIdToDelete).session(session);
+            const rideToDelete = await findUserRide(user, req.params.rideId, session);
             if (!rideToDelete) {
-                // Ride ID exists on user but document is missing - data inconsistency
-                console.warn(`Ride request ${rideRequestIdToDelete} referenced by user ${userId} not found. Clearing user reference.`);
-                user.currentRideRequest = null;
-                await user.save({ session });
-                // Allow transaction to commit successfully, but inform client
-                throw { status: 404, message: 'Active ride request reference was invalid and has been cleared. No ride deleted.' };
+                throw { status: 404, message: 'No active ride request found to delete.' };
             }
+            rideRequestIdToDelete = rideToDelete._id;
 
-            // 3. Process Counterpart Rides
-            const conversationsToProcess = rideToDelete.conversations || [];
-            for (const convRef of conversationsToProcess) {
-                // Only process conversations that might affect other rides' states
-                if (['pending', 'awaiting_confirmation', 'confirmed'].includes(convRef.status)) {
-                    const counterpartRide = await RideRequest.findById(convRef.rideId).session(session);
-                    if (counterpartRide) {
-                        const counterpartConvRef = counterpartRide.conversations.find(c => c.conversationId.equals(convRef.conversationId));
-
-                        // Check if counterpart reference exists and needs update
-                        if (counterpartConvRef && counterpartConvRef.status !== 'declined') {
-                            counterpartConvRef.status = 'declined'; // Mark as declined due to deletion
-
-                            // Re-evaluate counterpart's overall status
-                            const hasOtherActive = counterpartRide.conversations.some(
-                                c => ['pending', 'awaiting_confirmation', 'confirmed'].includes(c.status) && !c.conversationId.equals(convRef.conversationId) // Exclude the one we just declined
-                            );
-
-                            // If no other active/confirmed conversations, and it wasn't already Available
-                            if (!hasOtherActive && counterpartRide.status !== 'Available') {
-                                counterpartRide.status = 'Available';
-                            }
-                            await counterpartRide.save({ session });
-
-                            // --- Store info for emission ---
-                            affectedConversations.push({
-                                conversationId: convRef.conversationId,
-                                counterpartRideId: counterpartRide._id,
-                                counterpartRideStatus: counterpartRide.status // Status after update
-                            });
-                            // --- End Store ---
-                        }
-                    } else {
-                        console.warn(`Counterpart ride ${convRef.rideId} not found during deletion cleanup for ride ${rideRequestIdToDelete}.`);
-                    }
-                }
-            }
+            // 2. Process Counterpart Rides (decline shared conversations, free up counterparts)
+            affectedConversations = await releaseRideConversations(rideToDelete, session);
 
-            // 4. Unlink the ride request from the user
-            user.currentRideRequest = null;
+            // 3. Unlink the ride request from the user
+            user.activeRideRequests.pull(rideToDelete._id);
             await user.save({ session });
 
             // Note: Actual deletion happens *after* the transaction commits
 
         }); // Transaction ends
 
-        // 5. Perform the actual deletion *after* successful transaction
+        // 4. Perform the actual deletion *after* successful transaction
         if (rideRequestIdToDelete) {
             const deletedDoc = await RideRequest.findByIdAndDelete(rideRequestIdToDelete);
+            deletedRide = deletedDoc;
             if (!deletedDoc) {
                  console.warn(`Attempted to delete ride ${rideRequestIdToDelete} after transaction, but it was already gone.`);
             }
@@ -253,28 +265,16 @@ const deleteRideRequest = async (req, res) => {
         await session.endSession();
 
         // --- Emit WebSocket Events After Successful Transaction & Deletion ---
-        affectedConversations.forEach(affected => {
-            emitToConversation(affected.conversationId, 'conversationUpdate', {
-                conversationId: affected.conversationId,
-                // Indicate one ride was deleted, counterpart status updated
-                rideAStatus: 'Deleted', // Or some indicator
-                rideBStatus: affected.counterpartRideStatus,
-                conversationStatusA: 'declined', // Status from deleted ride's perspective
-                conversationStatusB: 'declined'  // Status from counterpart's perspective
-            });
-             // OR emit a more specific event like 'rideDeletedFromConversation'
-             // emitToConversation(affected.conversationId, 'rideDeletedFromConversation', {
-             //     conversationId: affected.conversationId,
-             //     deletedRideId: rideRequestIdToDelete,
-             //     remainingRideId: affected.counterpartRideId,
-             //     remainingRideStatus: affected.counterpartRideStatus
-             // });
-        });
+        await emitRideReleased(affectedConversations);
+        if (deletedRide) {
+            await notifyMatchRemoved(deletedRide); // owners who had this ride in their matches
+        }
         // --- End Emit ---
 
         return res.status(200).json({
             success: true,
-            message: 'Active ride request cancelled successfully and related states updated.'
+            message: 'Ride request cancelled successfully and related states updated.',
+            rideId: rideRequestIdToDelete
         });
 
     } catch (error) {
@@ -292,54 +292,345 @@ const deleteRideRequest = async (req, res) => {
     }
 };
 
-// Controller to find potential matches for the user's current ride
-const findMatchesForCurrentRide = async (req, res) => {
+// Controller to edit one of the user's ride requests in place (departure time, departure window and/or destination)
+// PATCH /current edits the ride departing next, PATCH /:rideId a specific one.
+// Same validation as createRideRequest; doesn't count against the daily request limit.
+// A new departureTime without new bounds moves the existing window along with it.
+// Open conversations with riders that no longer match are declined, the rest are kept and updated.
+const updateCurrentRideRequest = async (req, res) => {
+    const { destinationId, destination, departureTime, earliestDeparture, latestDeparture, preferences } = req.body || {};
+    const userId = req.user._id;
+
+    if (!destinationId && !destination && !departureTime && !earliestDeparture && !latestDeparture && !preferences) {
+        return res.status(400).json({
+            success: false,
+            message: 'Nothing to update. Provide a new departureTime, departure window, destination and/or preferences.'
+        });
+    }
+    const preferencesError = validateRidePreferences(preferences);
+    if (preferencesError) {
+        return res.status(400).json({ success: false, message: preferencesError });
+    }
+
+    let session = null;
+    let updatedRide = null;
+    let declinedConversationIds = [];
+    let affectedConversationIds = []; // every conversation changed by leaving the declined ones
+    let keptConversationIds = [];
+
     try {
-        const userId = req.user._id;
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        // Resolved once so a retried transaction edits the same ride
+        const rideToUpdate = await findUserRide(user, req.params.rideId);
+        if (!rideToUpdate) {
+            return res.status(404).json({ success: false, message: 'No active ride request found to update.' });
+        }
 
-        // 1. Get the user's current active ride request ID
-        const user = await User.findById(userId).select('currentRideRequest').lean(); // Use lean for performance
-        if (!user || !user.currentRideRequest) {
-            return res.status(404).json({
+        const campus = getCampusForUser(user);
+        if (!campus) {
+            return res.status(403).json({
                 success: false,
-                message: 'You do not have an active ride request to find matches for.'
+                message: 'Your account is not associated with a supported campus.'
             });
         }
 
+        // Validate the requested changes up front, before touching anything
+        const changes = {};
+        if (departureTime) {
+            const { departure, error } = validateDepartureTime(departureTime, campus.timezone);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+            departure.setSeconds(0, 0);
+            changes.departureTime = departure;
+        }
+        if (destinationId || destination) {
+            const { destinationDoc, error } = await validateDestination(campus.slug, { destinationId, name: destination });
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+            changes.destinationId = destinationDoc._id;
+            changes.destination = destinationDoc.name;
+        }
+
+        session = await mongoose.startSession();
+        await session.withTransaction(async () => {
+            declinedConversationIds = [];
+            affectedConversationIds = [];
+            keptConversationIds = [];
+
+            const ride = await RideRequest.findById(rideToUpdate._id).session(session);
+            if (!ride) {
+                throw { status: 404, message: 'Your ride request could not be found. Please create a new one.' };
+            }
+            if (ride.status === 'Confirmed') {
+                throw { status: 409, message: 'Your ride request is already confirmed and can no longer be changed. Cancel it instead.' };
+            }
+
+            // The window is checked against the ride's (possibly new) departure time
+            if (changes.departureTime || earliestDeparture || latestDeparture) {
+                const newDeparture = changes.departureTime || ride.departureTime;
+                const shiftMillis = newDeparture.getTime() - ride.departureTime.getTime();
+                const currentWindow = matchingService.getDepartureWindow(ride);
+                const { window, error } = validateDepartureWindow(newDeparture, {
+                    earliestDeparture: earliestDeparture || new Date(currentWindow.earliest.getTime() + shiftMillis),
+                    latestDeparture: latestDeparture || new Date(currentWindow.latest.getTime() + shiftMillis)
+                });
+                if (error) {
+                    throw { status: 400, message: error };
+                }
+                changes.earliestDeparture = window.earliest;
+                changes.latestDeparture = window.latest;
+
+                // Same rule as on create: a user's active rides can't have overlapping departure windows
+                const otherRides = (await findActiveRides(user, session)).filter(other => !other._id.equals(ride._id));
+                const overlappingRide = otherRides.find(other => matchingService.getDepartureOverlap(other, changes));
+                if (overlappingRide) {
+                    throw {
+                        status: 409,
+                        message: `This ride's departure window overlaps your ride to ${overlappingRide.destination} at ${overlappingRide.departureTime.toISOString()}.`
+                    };
+                }
+            }
+
+            Object.assign(ride, changes);
+            if (preferences) {
+                Object.keys(preferences).forEach(key => {
+                    ride.preferences[key] = preferences[key];
+                });
+            }
+
+            // Re-check every open conversation against the edited ride (every other rider in the group must still match)
+            for (const convRef of ride.conversations) {
+                if (!OPEN_STATUSES.includes(convRef.status)) continue;
+
+                const conversation = await Conversation.findById(convRef.conversationId).session(session);
+                const otherRideIds = conversation
+                    ? getActiveParticipants(conversation).filter(p => !p.rideId.equals(ride._id)).map(p => p.rideId)
+                    : [];
+                const otherRides = await RideRequest.find({ _id: { $in: otherRideIds } }).session(session);
+
+                // The group sees the ride's current bags and openness to more riders
+                const participant = conversation && findParticipant(conversation, ride._id);
+                if (participant) {
+                    participant.luggage = ride.preferences.luggageCount;
+                    participant.openToMoreRiders = ride.preferences.openToMoreRiders;
+                }
+
+                if (otherRides.length > 0 && otherRides.every(other => matchingService.isCompatibleMatch(ride, other)) && isLineUpValid(conversation)) {
+                    // Still a match: keep it, but the conversation expiry follows the new departure time
+                    conversation.expiresAt = otherRides
+                        .map(other => computeConversationExpiry(ride, other))
+                        .reduce((earliest, expiry) => (expiry < earliest ? expiry : earliest));
+                    await conversation.save({ session });
+                    keptConversationIds.push(convRef.conversationId);
+                    continue;
+                }
+
+                // No longer a match: leave the conversation (an unconfirmed one is declined for everyone)
+                convRef.status = 'declined';
+                declinedConversationIds.push(convRef.conversationId);
+                affectedConversationIds.push(...await leaveConversation(convRef.conversationId, ride._id, session));
+            }
+
+            syncRideStatus(ride);
+            await ride.save({ session });
+            updatedRide = ride;
+        }); // Transaction ends
+
+        await session.endSession();
+
+        // --- Emit WebSocket Events After Successful Transaction ---
+        await emitConversationUpdates(affectedConversationIds);
+        keptConversationIds.forEach(conversationId => {
+            emitToConversation(conversationId, 'rideUpdated', {
+                conversationId,
+                rideId: updatedRide._id,
+                departureTime: updatedRide.departureTime,
+                earliestDeparture: updatedRide.earliestDeparture,
+                latestDeparture: updatedRide.latestDeparture,
+                destinationId: updatedRide.destinationId,
+                destination: updatedRide.destination,
+                preferences: updatedRide.preferences
+            });
+        });
+        // --- End Emit ---
+
+        return res.status(200).json({
+            success: true,
+            message: declinedConversationIds.length > 0
+                ? `Ride request updated. ${declinedConversationIds.length} conversation(s) no longer matching were declined.`
+                : 'Ride request updated successfully.',
+            rideRequest: updatedRide,
+            declinedConversationIds
+        });
+
+    } catch (error) {
+        if (session) await session.endSession();
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Error updating ride request:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update ride request due to server error.'
+        });
+    }
+};
+
+// Controller to page through the user's past (departed) rides, most recent first
+// Query: ?page=1&limit=20
+const getRideHistory = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || HISTORY_PAGE_SIZE, 1), MAX_HISTORY_PAGE_SIZE);
+
+        const [rides, total] = await Promise.all([
+            RideHistory.find({ userId })
+                .sort({ departureTime: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('counterparts.userId', 'displayName avatarUrl') // null once a counterpart deletes their account
+                .lean(),
+            RideHistory.countDocuments({ userId })
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            rides,
+            page,
+            limit,
+            total
+        });
+
+    } catch (error) {
+        console.error('Error fetching ride history:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to fetch ride history due to server error.'
+        });
+    }
+};
+
+// Controller to list the user's departed confirmed rides still waiting for an outcome report
+const getPendingRideOutcomes = async (req, res) => {
+    try {
+        const rides = await listPendingOutcomes(req.user._id);
+        return res.status(200).json({ success: true, rides });
+    } catch (error) {
+        console.error('Error fetching pending ride outcomes:', error);
+        return res.status(500).json({ success: false, message: 'Failed to fetch rides awaiting an outcome due to server error.' });
+    }
+};
+
+// Controller to report how a departed confirmed ride went
+// Body requires: { "status": "completed" | "no_show" }, optional "noShowUserIds": [...] (defaults to the whole group)
+const reportRideOutcome = async (req, res) => {
+    try {
+        const { status, noShowUserIds } = req.body || {};
+        const ride = await recordRideOutcome(req.user._id, req.params.historyId, { status, noShowUserIds });
+
+        return res.status(200).json({
+            success: true,
+            message: status === 'no_show' ? 'Thanks, the no-show has been reported.' : 'Thanks, the ride has been marked as completed.',
+            ride
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Error reporting ride outcome:', error);
+        return res.status(500).json({ success: false, message: 'Failed to report the ride outcome due to server error.' });
+    }
+};
+
+// Controller to rate a ride partner of a departed confirmed ride
+// Body requires: { "userId": "...", "score": 1-5 }, optional "tags": ["on_time", "friendly", ...]
+const rateRidePartner = async (req, res) => {
+    try {
+        const { userId, score, tags } = req.body || {};
+        const rating = await ratingService.rateRidePartner(req.user._id, req.params.historyId, { userId, score, tags });
+
+        return res.status(201).json({ success: true, message: 'Thanks for rating your ride partner.', rating });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Error rating ride partner:', error);
+        return res.status(500).json({ success: false, message: 'Failed to save the rating due to server error.' });
+    }
+};
+
+// Controller to find potential matches for one of the user's rides (/current/matches or /:rideId/matches)
+const findMatchesForCurrentRide = async (req, res) => {
+    const { filters, sort, cursor, limit, error: queryError } = parseMatchQuery(req.query);
+    if (queryError) {
+        return res.status(400).json({ success: false, message: queryError });
+    }
+
+    try {
+        const userId = req.user._id;
+
+        // 1. Get the user's active ride request IDs
+        const user = await User.findById(userId).select('activeRideRequests').lean(); // Use lean for performance
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+
         // 2. Fetch the full ride request document
-        const userRideRequest = await RideRequest.findById(user.currentRideRequest);
+        const userRideRequest = await findUserRide(user, req.params.rideId);
         if (!userRideRequest) {
-             // Data inconsistency: User has an ID but the ride doesn't exist
-             console.error(`Data inconsistency: RideRequest ${user.currentRideRequest} not found for user ${userId}`);
-             // Clear the inconsistent link (optional self-healing)
-             // await User.findByIdAndUpdate(userId, { $unset: { currentRideRequest: "" } });
-             return res.status(404).json({
+            return res.status(404).json({
                 success: false,
-                message: 'Your active ride request could not be found. Please create a new one.'
-             });
+                message: 'You do not have an active ride request to find matches for.'
+            });
         }
 
-        // 3. Call the matching service
-        const potentialMatchIds = await matchingService.findPotentialMatches(userRideRequest); // Assuming service returns IDs or minimal docs
+        // 3. Call the matching service (scored, ordered and paged; rides come back as lean documents)
+        const { matches, nextCursor, total } = await matchingService.findPotentialMatches(userRideRequest, { filters, sort, cursor, limit });
 
-        // --- FIX: Populate user details for the matches ---
-        // Fetch the full RideRequest documents for the matches and populate user details
-        const matches = await RideRequest.find({
-            '_id': { $in: potentialMatchIds } // Find rides whose IDs are in the potentialMatchIds array
-        }).populate({
+        // Populate user details for this page only
+        const rides = await RideRequest.populate(matches.map(match => match.ride), {
             path: 'userId', // Field to populate
             select: 'displayName avatarUrl' // Select only the fields needed by the frontend
-        }).lean(); // Use lean for performance if no Mongoose methods needed after this
-        // --- END FIX ---
+        });
 
-        // 4. Return the results (now with populated user details)
+        // 4. Return the results with user details, score and why each ride matched
         return res.status(200).json({
             success: true,
-            message: `Found ${matches.length} potential matches.`,
-            matches: matches // Send the populated matches array
+            message: total === null
+                ? `Found ${matches.length} potential match(es) on this page.`
+                : `Found ${total} potential matches.`,
+            matches: matches.map((match, index) => ({
+                ...rides[index],
+                userId: rides[index].userId && {
+                    _id: rides[index].userId._id,
+                    displayName: rides[index].userId.displayName,
+                    avatarUrl: rides[index].userId.avatarUrl,
+                    reputation: match.reputation
+                },
+                score: match.score,
+                whyThisMatch: match.breakdown,
+                departureOverlap: matchingService.getDepartureOverlap(userRideRequest, match.ride),
+                travelServiceMatch: matchingService.getServiceAffinity(userRideRequest, match.ride)
+            })),
+            total,
+            nextCursor
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error('Error finding matches for current ride:', error);
         // Handle errors potentially thrown by the service layer
         return res.status(500).json({
@@ -352,7 +643,13 @@ const findMatchesForCurrentRide = async (req, res) => {
 
 module.exports = {
     createRideRequest,
+    getActiveRideRequests,
     getCurrentRideRequest, // Ensure this function is exported
     deleteRideRequest, // Ensure the modified function is exported
+    updateCurrentRideRequest,
+    getRideHistory,
+    getPendingRideOutcomes,
+    reportRideOutcome,
+    rateRidePartner,
     findMatchesForCurrentRide
 };
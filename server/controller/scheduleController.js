@@ -0,0 +1,186 @@
+const { User, RideSchedule } = require('../model/index');
+const mongoose = require('mongoose');
+const { getCampus, getCampusForUser } = require('../services/campusService');
+const { getUpcomingOccurrence } = require('../services/scheduleService');
+const { validateDestination, validateDirection, validatePickupPoint, normalizePickupPoint } = require('../utils/rideValidation');
+
+const MAX_SCHEDULES_PER_USER = 10;
+const SLOT_REGEX = /^([01]\d|2[0-3]):(00|30)$/;
+
+// --- Helpers ---
+// Schedule as returned to its owner, with the next occurrence the job will create a ride for
+const formatSchedule = (schedule) => {
+    const campus = getCampus(schedule.campus);
+    const nextOccurrence = !schedule.paused && campus
+        ? getUpcomingOccurrence(schedule, campus.timezone)
+        : null;
+
+    return {
+        _id: schedule._id,
+        destinationId: schedule.destinationId,
+        destination: schedule.destination,
+        direction: schedule.direction,
+        pickupPoint: schedule.pickupPoint,
+        weekday: schedule.weekday,
+        slot: schedule.slot,
+        endDate: schedule.endDate,
+        paused: schedule.paused,
+        nextOccurrence,
+        lastResult: schedule.lastResult,
+        createdAt: schedule.createdAt
+    };
+};
+
+// Loads one of the current user's schedules, rejecting invalid IDs and other users' schedules
+const findOwnSchedule = async (req) => {
+    const { scheduleId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(scheduleId)) {
+        throw { status: 400, message: 'Invalid schedule ID.' };
+    }
+    const schedule = await RideSchedule.findOne({ _id: scheduleId, userId: req.user._id });
+    if (!schedule) {
+        throw { status: 404, message: 'Schedule not found.' };
+    }
+    return schedule;
+};
+// --- End Helpers ---
+
+// Controller to create a weekly ride schedule
+// Body requires: { "destinationId", "weekday": 0-6 (Sunday = 0), "slot": "HH:00"|"HH:30" },
+// optional "direction", "pickupPoint", "endDate"
+const createSchedule = async (req, res) => {
+    try {
+        const { destinationId, destination, direction = 'from_campus', pickupPoint, weekday, slot, endDate } = req.body || {};
+
+        if ((!destinationId && !destination) || weekday === undefined || !slot) {
+            return res.status(400).json({ success: false, message: 'Destination, weekday and slot are required.' });
+        }
+        if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+            return res.status(400).json({ success: false, message: 'weekday must be a whole number from 0 (Sunday) to 6 (Saturday).' });
+        }
+        if (typeof slot !== 'string' || !SLOT_REGEX.test(slot)) {
+            return res.status(400).json({ success: false, message: 'Invalid slot. Use a local time ending in :00 or :30, e.g. "18:30".' });
+        }
+        let parsedEndDate = null;
+        if (endDate !== undefined && endDate !== null) {
+            parsedEndDate = new Date(endDate);
+            if (isNaN(parsedEndDate.getTime()) || parsedEndDate <= new Date()) {
+                return res.status(400).json({ success: false, message: 'endDate must be a valid date in the future.' });
+            }
+        }
+
+        const directionError = validateDirection(direction);
+        if (directionError) {
+            return res.status(400).json({ success: false, message: directionError });
+        }
+        const pickupPointError = validatePickupPoint(pickupPoint);
+        if (pickupPointError) {
+            return res.status(400).json({ success: false, message: pickupPointError });
+        }
+
+        const user = await User.findById(req.user._id);
+        const campus = user && getCampusForUser(user);
+        if (!campus) {
+            return res.status(403).json({ success: false, message: 'Your account is not associated with a supported campus.' });
+        }
+
+        const { destinationDoc, error: destinationError } = await validateDestination(campus.slug, { destinationId, name: destination });
+        if (destinationError) {
+            return res.status(400).json({ success: false, message: destinationError });
+        }
+
+        const scheduleCount = await RideSchedule.countDocuments({ userId: user._id });
+        if (scheduleCount >= MAX_SCHEDULES_PER_USER) {
+            return res.status(409).json({
+                success: false,
+                message: `You can have at most ${MAX_SCHEDULES_PER_USER} schedules. Delete one before adding another.`
+            });
+        }
+
+        const schedule = await RideSchedule.create({
+            userId: user._id,
+            campus: campus.slug,
+            destinationId: destinationDoc._id,
+            destination: destinationDoc.name,
+            direction,
+            pickupPoint: normalizePickupPoint(pickupPoint),
+            weekday,
+            slot,
+            endDate: parsedEndDate
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Schedule created. Ride requests will be created ahead of each departure.',
+            schedule: formatSchedule(schedule)
+        });
+
+    } catch (error) {
+        console.error('Error creating schedule:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        return res.status(500).json({ success: false, message: 'Failed to create schedule due to server error.' });
+    }
+};
+
+// Controller to list the current user's schedules
+const listSchedules = async (req, res) => {
+    try {
+        const schedules = await RideSchedule.find({ userId: req.user._id }).sort({ weekday: 1, slot: 1 }).lean();
+        return res.status(200).json({ success: true, schedules: schedules.map(formatSchedule) });
+    } catch (error) {
+        console.error('Error listing schedules:', error);
+        return res.status(500).json({ success: false, message: 'Failed to fetch schedules due to server error.' });
+    }
+};
+
+// Controller to pause or resume a schedule
+// Body requires: { "paused": true|false }
+const updateSchedule = async (req, res) => {
+    const { paused } = req.body || {};
+    if (typeof paused !== 'boolean') {
+        return res.status(400).json({ success: false, message: 'paused must be a boolean.' });
+    }
+
+    try {
+        const schedule = await findOwnSchedule(req);
+        schedule.paused = paused;
+        await schedule.save();
+
+        return res.status(200).json({
+            success: true,
+            message: paused ? 'Schedule paused.' : 'Schedule resumed.',
+            schedule: formatSchedule(schedule)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Error updating schedule:', error);
+        return res.status(500).json({ success: false, message: 'Failed to update schedule due to server error.' });
+    }
+};
+
+// Controller to delete a schedule (rides it already created are kept)
+const deleteSchedule = async (req, res) => {
+    try {
+        const schedule = await findOwnSchedule(req);
+        await RideSchedule.deleteOne({ _id: schedule._id });
+
+        return res.status(200).json({ success: true, message: 'Schedule deleted.' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Error deleting schedule:', error);
+        return res.status(500).json({ success: false, message: 'Failed to delete schedule due to server error.' });
+    }
+};
+
+module.exports = {
+    createSchedule,
+    listSchedules,
+    updateSchedule,
+    deleteSchedule
+};
@@ -0,0 +1,146 @@
+const { TimetableEntry } = require('../model/index');
+const mongoose = require('mongoose');
+const { getCampusForUser } = require('../services/campusService');
+const { normalizeServiceCode, importTimetableEntries, resolveTravelService } = require('../services/timetableService');
+const { validateDirection, validateTravelService } = require('../utils/rideValidation');
+const { parseCsv } = require('../utils/csv');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Controller to suggest when to leave campus for a flight or train (or when to be picked up after one)
+// Query requires: ?carrier=&serviceNumber=&date=YYYY-MM-DD, optional &direction= and &destinationId=
+const suggestDeparture = async (req, res) => {
+    try {
+        const { carrier, serviceNumber, date, direction = 'from_campus', destinationId } = req.query;
+
+        const travelServiceError = validateTravelService({ carrier, serviceNumber, date });
+        if (travelServiceError) {
+            return res.status(400).json({ success: false, message: travelServiceError });
+        }
+        const directionError = validateDirection(direction);
+        if (directionError) {
+            return res.status(400).json({ success: false, message: directionError });
+        }
+
+        const campus = getCampusForUser(req.user);
+        if (!campus) {
+            return res.status(403).json({ success: false, message: 'Your account is not associated with a supported campus.' });
+        }
+
+        const { entry, destinationDoc, scheduledAt, suggestedDeparture } =
+            await resolveTravelService(campus, { carrier, serviceNumber, date }, { direction, destinationId });
+
+        return res.status(200).json({
+            success: true,
+            suggestion: {
+                departureTime: suggestedDeparture,
+                destinationId: destinationDoc._id,
+                destination: destinationDoc.name,
+                direction,
+                travelService: {
+                    mode: entry.mode,
+                    carrier: entry.carrier,
+                    serviceNumber: entry.serviceNumber,
+                    scheduledAt
+                },
+                inPast: suggestedDeparture <= new Date()
+            }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Error suggesting departure:', error);
+        return res.status(500).json({ success: false, message: 'Failed to suggest a departure time.' });
+    }
+};
+
+// --- Admin Controllers ---
+
+// Controller to import timetable entries
+// Body requires: { "entries": [...] } (JSON rows) or { "csv": "..." } (header row with the same field names)
+const adminImportTimetable = async (req, res) => {
+    try {
+        const { entries, csv } = req.body || {};
+
+        let rows;
+        if (Array.isArray(entries)) {
+            rows = entries;
+        } else if (typeof csv === 'string') {
+            rows = parseCsv(csv);
+        } else {
+            return res.status(400).json({ success: false, message: 'Provide either "entries" (array) or "csv" (string).' });
+        }
+        if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ success: false, message: `Import between 1 and ${MAX_IMPORT_ROWS} rows at a time.` });
+        }
+
+        const { imported, errors } = await importTimetableEntries(rows);
+        console.log(`[Admin] ${req.user.email} imported ${imported} timetable row(s) (${errors.length} rejected)`);
+
+        return res.status(errors.length > 0 && imported === 0 ? 400 : 200).json({
+            success: imported > 0,
+            message: `Imported ${imported} of ${rows.length} timetable row(s).`,
+            imported,
+            errors
+        });
+
+    } catch (error) {
+        console.error('Admin error importing timetable:', error);
+        return res.status(500).json({ success: false, message: 'Failed to import timetable.' });
+    }
+};
+
+// Controller to list timetable entries (?campus=<slug>&destinationId=&serviceNumber= to filter)
+const adminListTimetable = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.campus) filter.campus = String(req.query.campus);
+        if (req.query.destinationId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.destinationId)) {
+                return res.status(400).json({ success: false, message: 'Invalid destination ID.' });
+            }
+            filter.destinationId = req.query.destinationId;
+        }
+        if (req.query.serviceNumber) filter.serviceNumber = normalizeServiceCode(req.query.serviceNumber);
+
+        const entries = await TimetableEntry.find(filter).sort({ campus: 1, carrier: 1, serviceNumber: 1 }).lean();
+        return res.status(200).json({ success: true, entries });
+    } catch (error) {
+        console.error('Admin error listing timetable:', error);
+        return res.status(500).json({ success: false, message: 'Failed to list timetable.' });
+    }
+};
+
+// Controller to delete timetable entries of a campus (?destinationId= to limit to one destination)
+// Query requires: ?campus=<slug>
+const adminDeleteTimetable = async (req, res) => {
+    try {
+        if (!req.query.campus) {
+            return res.status(400).json({ success: false, message: 'campus is required.' });
+        }
+        const filter = { campus: String(req.query.campus) };
+        if (req.query.destinationId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.destinationId)) {
+                return res.status(400).json({ success: false, message: 'Invalid destination ID.' });
+            }
+            filter.destinationId = req.query.destinationId;
+        }
+
+        const result = await TimetableEntry.deleteMany(filter);
+        console.log(`[Admin] ${req.user.email} deleted ${result.deletedCount} timetable entries for campus ${filter.campus}`);
+        return res.status(200).json({ success: true, message: `Deleted ${result.deletedCount} timetable entries.` });
+    } catch (error) {
+        console.error('Admin error deleting timetable:', error);
+        return res.status(500).json({ success: false, message: 'Failed to delete timetable entries.' });
+    }
+};
+// --- End Admin Controllers ---
+
+module.exports = {
+    suggestDeparture,
+    adminImportTimetable,
+    adminListTimetable,
+    adminDeleteTimetable
+};
@@ -0,0 +1,304 @@
+const { User, RideRequest, RideSchedule, RideHistory, Rating, RideWatch, Notification, Conversation, VerificationCode } = require('../model/index');
+const mongoose = require('mongoose');
+const { issueCode, verifyCode, CODE_TTL_MINUTES } = require('../services/verificationService');
+const { sendMail } = require('../services/mailService');
+const { generateUniqueDisplayName, generateAvatarUrl, formatUserResponse, isValidPhoneNumber, PHONE_NUMBER_MESSAGE } = require('../services/userService');
+const { listSessions, revokeAllSessions } = require('../services/sessionService');
+const { releaseRideConversations, emitRideReleased } = require('../services/rideService');
+const { getAccountStanding } = require('../services/standingService');
+const { notifyMatchRemoved } = require('../services/matchAlertService');
+const { validateRidePreferences } = require('../utils/rideValidation');
+const { disconnectSessions } = require('../socketManager');
+
+const UPDATABLE_FIELDS = ['rerollDisplayName', 'phoneNumber', 'preferences'];
+
+// --- Validation Helper ---
+// Returns an error message for the first invalid field, or null if the body is valid
+function validateProfileUpdate(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return 'Request body must be a JSON object.';
+    }
+
+    const keys = Object.keys(body);
+    if (keys.length === 0) {
+        return `Nothing to update. Allowed fields are: ${UPDATABLE_FIELDS.join(', ')}`;
+    }
+    const unknownKeys = keys.filter(key => !UPDATABLE_FIELDS.includes(key));
+    if (unknownKeys.length > 0) {
+        return `Unknown field(s): ${unknownKeys.join(', ')}. Allowed fields are: ${UPDATABLE_FIELDS.join(', ')}`;
+    }
+
+    if (body.rerollDisplayName !== undefined && typeof body.rerollDisplayName !== 'boolean') {
+        return 'rerollDisplayName must be a boolean.';
+    }
+
+    if (body.phoneNumber !== undefined &&
+        (typeof body.phoneNumber !== 'string' || !isValidPhoneNumber(body.phoneNumber.trim()))) {
+        return PHONE_NUMBER_MESSAGE;
+    }
+
+    const preferencesError = validateRidePreferences(body.preferences);
+    if (preferencesError) {
+        return preferencesError;
+    }
+
+    return null;
+}
+// --- End Validation Helper ---
+
+// Controller to get the current user's profile
+const getMe = async (req, res) => {
+    try {
+        return res.status(200).json({
+            success: true,
+            user: formatUserResponse(req.user),
+            standing: await getAccountStanding(req.user._id)
+        });
+    } catch (error) {
+        console.error('Error fetching profile:', error);
+        return res.status(500).json({ success: false, message: 'Failed to fetch profile.' });
+    }
+};
+
+// Controller to update the current user's profile
+// Display name reroll and preferences apply immediately; a new phone number needs a code sent to the user's email
+const updateMe = async (req, res) => {
+    const validationError = validateProfileUpdate(req.body);
+    if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const { rerollDisplayName, phoneNumber, preferences } = req.body;
+
+    try {
+        const user = req.user;
+        let phoneVerificationPending = false;
+
+        // The phone change goes first: if the code can't be issued (e.g. resend cooldown), nothing else is changed
+        const newPhoneNumber = phoneNumber?.trim();
+        if (newPhoneNumber && newPhoneNumber !== user.phoneNumber) {
+            // Phone number changes only once the code emailed to the (verified) address is confirmed
+            const { code } = await issueCode({ email: user.email, purpose: 'phone_change', phoneNumber: newPhoneNumber });
+            await sendMail({
+                to: user.email,
+                subject: 'Confirm your new BU Hub phone number',
+                text: `Use code ${code} to confirm changing your phone number to ${newPhoneNumber}. It expires in ${CODE_TTL_MINUTES} minutes. If you did not request this, you can ignore this email.`
+            });
+            phoneVerificationPending = true;
+        }
+
+        if (rerollDisplayName) {
+            user.displayName = await generateUniqueDisplayName();
+            user.avatarUrl = generateAvatarUrl(user.displayName);
+        }
+
+        if (preferences) {
+            Object.keys(preferences).forEach(key => {
+                user.preferences[key] = preferences[key];
+            });
+        }
+
+        await user.save();
+
+        return res.status(phoneVerificationPending ? 202 : 200).json({
+            success: true,
+            message: phoneVerificationPending
+                ? 'Profile updated. Enter the code sent to your email to confirm the new phone number.'
+                : 'Profile updated successfully.',
+            phoneVerificationPending,
+            user: formatUserResponse(user)
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Error updating profile:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        return res.status(500).json({ success: false, message: 'Failed to update profile due to server error.' });
+    }
+};
+
+// Controller to confirm a pending phone number change with the emailed code
+const verifyPhoneChange = async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        return res.status(400).json({ success: false, message: 'Verification code is required.' });
+    }
+
+    try {
+        const user = req.user;
+        const verification = await verifyCode({ email: user.email, purpose: 'phone_change', code });
+
+        user.phoneNumber = verification.phoneNumber;
+        await user.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Phone number updated successfully.',
+            user: formatUserResponse(user)
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Error verifying phone change:', error);
+        return res.status(500).json({ success: false, message: 'Failed to update phone number due to server error.' });
+    }
+};
+
+// Controller to export everything stored about the current user as a JSON archive
+const exportMyData = async (req, res) => {
+    try {
+        const user = req.user;
+        const userId = user._id;
+
+        const [sessions, rides, schedules, history, ratingsGiven, watches, notifications] = await Promise.all([
+            listSessions(userId),
+            RideRequest.find({ userId }).lean(),
+            RideSchedule.find({ userId }).lean(),
+            RideHistory.find({ userId }).sort({ departureTime: -1 }).lean(),
+            Rating.find({ raterId: userId }).select('-raterId').lean(),
+            RideWatch.find({ userId }).lean(),
+            Notification.find({ userId }).sort({ createdAt: -1 }).lean()
+        ]);
+        const rideIds = rides.map(ride => ride._id);
+
+        // Conversations the user takes part in (through a ride) or has written in
+        const conversations = await Conversation.find({
+            $or: [
+                { 'participants.userId': userId },
+                { 'participants.rideId': { $in: rideIds } },
+                { 'messages.senderId': userId }
+            ]
+        }).lean();
+
+        const archive = {
+            exportedAt: new Date(),
+            profile: {
+                ...formatUserResponse(user),
+                requestCount: user.requestCount,
+                createdAt: user.createdAt,
+                updatedAt: user.updatedAt
+            },
+            sessions: sessions.map(session => ({
+                _id: session._id,
+                deviceName: session.deviceName,
+                userAgent: session.userAgent,
+                ipAddress: session.ipAddress,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt
+            })),
+            rideRequests: rides,
+            rideSchedules: schedules,
+            rideHistory: history,
+            ratingsGiven,
+            rideWatches: watches,
+            notifications,
+            conversations: conversations.map(conversation => ({
+                _id: conversation._id,
+                participantRideIds: conversation.participants.map(participant => participant.rideId),
+                createdAt: conversation.createdAt,
+                expiresAt: conversation.expiresAt,
+                messages: conversation.messages.map(message => ({
+                    sentByMe: Boolean(message.senderId && message.senderId.equals(userId)),
+                    content: message.content,
+                    timestamp: message.timestamp
+                }))
+            }))
+        };
+
+        res.setHeader('Content-Disposition', `attachment; filename="bu-hub-export-${userId}.json"`);
+        return res.status(200).json({ success: true, data: archive });
+
+    } catch (error) {
+        console.error('Error exporting user data:', error);
+        return res.status(500).json({ success: false, message: 'Failed to export your data due to server error.' });
+    }
+};
+
+// Controller to permanently delete the current user's account
+// Body requires: { "confirmEmail": "<the account's email>" } as a guard against accidental calls
+const deleteMe = async (req, res) => {
+    const { confirmEmail } = req.body || {};
+    const userId = req.user._id;
+
+    if (!confirmEmail || String(confirmEmail).trim().toLowerCase() !== req.user.email) {
+        return res.status(400).json({ success: false, message: 'Please confirm deletion by providing your account email as confirmEmail.' });
+    }
+
+    const session = await mongoose.startSession();
+    let affectedConversations = [];
+    let cancelledRides = [];
+
+    try {
+        await session.withTransaction(async () => {
+            const user = await User.findById(userId).session(session);
+            if (!user) {
+                throw { status: 404, message: 'User not found.' };
+            }
+
+            // 1. Cancel the active rides the same way DELETE /api/rides/:rideId does
+            affectedConversations = [];
+            cancelledRides = await RideRequest.find({ userId }).session(session);
+            for (const ride of cancelledRides) {
+                affectedConversations.push(...await releaseRideConversations(ride, session));
+                await RideRequest.deleteOne({ _id: ride._id }, { session });
+            }
+
+            // 2. Anonymize messages the user sent (counterparts keep the conversation, not the author)
+            await Conversation.updateMany(
+                { 'messages.senderId': userId },
+                {
+                    $set: { 'messages.$[sent].senderDeleted': true },
+                    $unset: { 'messages.$[sent].senderId': '' }
+                },
+                { arrayFilters: [{ 'sent.senderId': userId }], session }
+            );
+
+            // 3. Remove schedules, ride history, ratings given or received, watches, notifications, pending verification codes
+            //    and the user record
+            //    (ratings stay counted in the partners' reputation totals)
+            await RideSchedule.deleteMany({ userId }, { session });
+            await RideHistory.deleteMany({ userId }, { session });
+            await Rating.deleteMany({ $or: [{ raterId: userId }, { rateeId: userId }] }, { session });
+            await RideWatch.deleteMany({ userId }, { session });
+            await Notification.deleteMany({ userId }, { session });
+            await VerificationCode.deleteMany({ email: user.email }, { session });
+            await User.deleteOne({ _id: userId }, { session });
+        });
+
+        await session.endSession();
+
+        // Log out every device and notify counterparts after the transaction commits
+        const revokedSessionIds = await revokeAllSessions(userId);
+        disconnectSessions(revokedSessionIds);
+        await emitRideReleased(affectedConversations);
+        for (const ride of cancelledRides) {
+            await notifyMatchRemoved(ride);
+        }
+
+        return res.status(200).json({ success: true, message: 'Your account and personal data have been deleted.' });
+
+    } catch (error) {
+        await session.endSession();
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Error deleting account:', error);
+        return res.status(500).json({ success: false, message: 'Failed to delete your account due to server error.' });
+    }
+};
+
+module.exports = {
+    getMe,
+    updateMe,
+    verifyPhoneChange,
+    exportMyData,
+    deleteMe
+};
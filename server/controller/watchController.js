@@ -0,0 +1,108 @@
+const { User, RideWatch } = require('../model/index');
+const mongoose = require('mongoose');
+const { getCampusForUser } = require('../services/campusService');
+const watchService = require('../services/watchService');
+const { validateDestination, validateDirection } = require('../utils/rideValidation');
+
+// --- Helpers ---
+// Watch as returned to its owner
+const formatWatch = (watch) => ({
+    _id: watch._id,
+    destinationId: watch.destinationId,
+    destination: watch.destination,
+    direction: watch.direction,
+    from: watch.from,
+    until: watch.until,
+    lastNotifiedAt: watch.lastNotifiedAt,
+    createdAt: watch.createdAt
+});
+// --- End Helpers ---
+
+// Controller to save a watch (get notified when someone requests a matching ride, without creating one)
+// Body requires: { "destinationId", "from", "until" }, optional "direction"
+const createWatch = async (req, res) => {
+    try {
+        const { destinationId, destination, direction = 'from_campus', from, until } = req.body || {};
+
+        if (!destinationId && !destination) {
+            return res.status(400).json({ success: false, message: 'Destination is required.' });
+        }
+        const directionError = validateDirection(direction);
+        if (directionError) {
+            return res.status(400).json({ success: false, message: directionError });
+        }
+        const { range, error: rangeError } = watchService.validateWatchRange(from, until);
+        if (rangeError) {
+            return res.status(400).json({ success: false, message: rangeError });
+        }
+
+        const user = await User.findById(req.user._id);
+        const campus = user && getCampusForUser(user);
+        if (!campus) {
+            return res.status(403).json({ success: false, message: 'Your account is not associated with a supported campus.' });
+        }
+
+        const { destinationDoc, error: destinationError } = await validateDestination(campus.slug, { destinationId, name: destination });
+        if (destinationError) {
+            return res.status(400).json({ success: false, message: destinationError });
+        }
+
+        const watch = await watchService.createWatch(user, campus, { destinationDoc, direction, range });
+
+        return res.status(201).json({
+            success: true,
+            message: "Watch saved. We'll notify you when someone requests a matching ride.",
+            watch: formatWatch(watch)
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Error creating watch:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        return res.status(500).json({ success: false, message: 'Failed to save watch due to server error.' });
+    }
+};
+
+// Controller to list the current user's watches that haven't expired yet
+const listWatches = async (req, res) => {
+    try {
+        const watches = await RideWatch.find({ userId: req.user._id, until: { $gt: new Date() } }).sort({ from: 1 }).lean();
+        return res.status(200).json({
+            success: true,
+            watches: watches.map(formatWatch),
+            maxWatches: watchService.MAX_WATCHES_PER_USER
+        });
+    } catch (error) {
+        console.error('Error listing watches:', error);
+        return res.status(500).json({ success: false, message: 'Failed to fetch watches due to server error.' });
+    }
+};
+
+// Controller to delete a watch
+const deleteWatch = async (req, res) => {
+    try {
+        const { watchId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(watchId)) {
+            return res.status(400).json({ success: false, message: 'Invalid watch ID.' });
+        }
+
+        const result = await RideWatch.deleteOne({ _id: watchId, userId: req.user._id });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ success: false, message: 'Watch not found.' });
+        }
+        return res.status(200).json({ success: true, message: 'Watch deleted.' });
+    } catch (error) {
+        console.error('Error deleting watch:', error);
+        return res.status(500).json({ success: false, message: 'Failed to delete watch due to server error.' });
+    }
+};
+
+module.exports = {
+    createWatch,
+    listWatches,
+    deleteWatch
+};
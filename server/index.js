@@ -5,13 +5,28 @@ const rateLimit = require('express-rate-limit');
 const http = require('http');
 const { Server } = require("socket.io");
 const cors = require('cors'); 
-const { initializeSocketIO } = require('./socketManager');
+const { initializeSocketIO, getSessionRoom, getUserRoom } = require('./socketManager');
 const { socketAuthenticate } = require('./middleware/socketAuth');
 const { User, RideRequest } = require('./model');
+const { migratePlaintextTokens } = require('./services/sessionService');
+const { loadCampuses, backfillCampusAssignments } = require('./services/campusService');
+const { seedDestinations } = require('./services/destinationService');
+const { migrateConversationParticipants } = require('./services/conversationService');
+const { removeLegacyTtlIndexes } = require('./services/historyService');
+const { migrateActiveRideRequests, backfillDepartureWindows } = require('./services/rideService');
+const { startRideScheduleJob } = require('./jobs/rideScheduleJob');
+const { startRideArchiveJob } = require('./jobs/rideArchiveJob');
+const { startAutoPairJob } = require('./jobs/autoPairJob');
 
 const authRoutes = require('./routes/authRoutes');
 const rideRoutes = require('./routes/rideRoutes');
 const conversationRoutes = require('./routes/conversationRoutes');
+const userRoutes = require('./routes/userRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const destinationRoutes = require('./routes/destinationRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const watchRoutes = require('./routes/watchRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
 
 const app = express();
 const httpServer = http.createServer(app);
@@ -84,19 +99,25 @@ io.use(socketAuthenticate); // Apply authentication middleware to each connectio
 io.on('connection', async (socket) => {
     console.log(`User connected: ${socket.user.email} (${socket.id})`);
 
-    // Join rooms based on active conversations
+    // Join the session room so logout/revocation can disconnect this socket
+    socket.join(getSessionRoom(socket.authSession._id));
+
+    // Join the user's own room for per-user events (new match alerts)
+    socket.join(getUserRoom(socket.user._id));
+
+    // Join rooms based on the conversations of every active ride
     try {
-        const userRide = await RideRequest.findById(socket.user.currentRideRequest)
-                                          .select('conversations') 
-                                          .lean(); 
+        const userRides = await RideRequest.find({ _id: { $in: socket.user.activeRideRequests || [] } })
+                                           .select('conversations')
+                                           .lean();
 
-        if (userRide && userRide.conversations) {
+        userRides.forEach(userRide => {
             userRide.conversations.forEach(convRef => {
                 if (convRef.conversationId) {
                     socket.join(convRef.conversationId.toString());
                 }
             });
-        }
+        });
     } catch (error) {
         console.error(`Error fetching ride/conversations for socket room joining (User: ${socket.user.email}):`, error);
     }
@@ -122,10 +143,34 @@ const connectDB = async () => {
 app.use('/api/auth', authRoutes);
 app.use('/api/rides', rideRoutes);
 app.use('/api/conversations', conversationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/destinations', destinationRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/watches', watchRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // --- Start Server ---
 const startServer = async () => {
+  if (!process.env.TOKEN_HASH_SECRET) {
+    console.error('TOKEN_HASH_SECRET must be set (used to hash access tokens at rest).');
+    process.exit(1);
+  }
+
   await connectDB(); 
+  await migratePlaintextTokens();
+  await loadCampuses();
+  await backfillCampusAssignments();
+  await seedDestinations();
+  await migrateConversationParticipants();
+  await removeLegacyTtlIndexes();
+  await migrateActiveRideRequests();
+  await backfillDepartureWindows();
+
+  // Background jobs
+  startRideScheduleJob();
+  startRideArchiveJob();
+  startAutoPairJob();
 
   app.get('/', (req, res) => { 
     res.send('BU Hub Server is Running!');
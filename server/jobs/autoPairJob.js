@@ -0,0 +1,22 @@
+const { startJob } = require('./jobRunner');
+const { proposePairings } = require('../services/pairingService');
+
+// Configuration: how often unmatched rides close to departure are paired up
+const JOB_INTERVAL_MINUTES = Number(process.env.AUTO_PAIR_JOB_INTERVAL_MINUTES) || 10;
+
+/**
+ * Starts the auto-pair job (proposes conversations between unmatched rides shortly before departure).
+ * Call after connecting to MongoDB and loading campuses.
+ */
+const startAutoPairJob = () => {
+    startJob('AutoPairJob', JOB_INTERVAL_MINUTES, async () => {
+        const proposed = await proposePairings();
+        if (proposed) {
+            console.log(`[AutoPairJob] Proposed ${proposed} ride pairing(s).`);
+        }
+    });
+};
+
+module.exports = {
+    startAutoPairJob,
+};
@@ -0,0 +1,35 @@
+// Minimal in-process runner for periodic background jobs
+const jobs = new Map();
+
+/**
+ * Starts a periodic job: runs immediately, then every `intervalMinutes`.
+ * Overlapping runs are skipped so a slow pass can't race the next one. Starting a job twice is a no-op.
+ * @param {string} name - Used in logs and to prevent double starts.
+ * @param {number} intervalMinutes
+ * @param {Function} run - Async function doing one pass.
+ */
+const startJob = (name, intervalMinutes, run) => {
+    if (jobs.has(name)) return;
+
+    const job = { running: false, timer: null };
+    const runOnce = async () => {
+        if (job.running) return;
+        job.running = true;
+        try {
+            await run();
+        } catch (error) {
+            console.error(`[${name}] Run failed:`, error);
+        } finally {
+            job.running = false;
+        }
+    };
+
+    jobs.set(name, job);
+    runOnce();
+    job.timer = setInterval(runOnce, intervalMinutes * 60 * 1000);
+    console.log(`[${name}] Started, running every ${intervalMinutes} minute(s).`);
+};
+
+module.exports = {
+    startJob,
+};
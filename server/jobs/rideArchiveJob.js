@@ -0,0 +1,23 @@
+const { startJob } = require('./jobRunner');
+const { archiveDepartedRides, deleteExpiredConversations } = require('../services/historyService');
+
+// Configuration: how often departed rides are archived
+const JOB_INTERVAL_MINUTES = Number(process.env.RIDE_ARCHIVE_JOB_INTERVAL_MINUTES) || 5;
+
+/**
+ * Starts the archive job: moves departed rides to RideHistory, then removes expired conversations.
+ * Replaces the old TTL indexes, which deleted rides without keeping a record.
+ */
+const startRideArchiveJob = () => {
+    startJob('RideArchiveJob', JOB_INTERVAL_MINUTES, async () => {
+        const archived = await archiveDepartedRides();
+        const deletedConversations = await deleteExpiredConversations();
+        if (archived || deletedConversations) {
+            console.log(`[RideArchiveJob] Archived ${archived} departed ride(s) and removed ${deletedConversations} expired conversation(s).`);
+        }
+    });
+};
+
+module.exports = {
+    startRideArchiveJob,
+};
@@ -0,0 +1,22 @@
+const { startJob } = require('./jobRunner');
+const { processDueSchedules } = require('../services/scheduleService');
+
+// Configuration: how often due schedules are checked
+const JOB_INTERVAL_MINUTES = Number(process.env.RIDE_SCHEDULE_JOB_INTERVAL_MINUTES) || 15;
+
+/**
+ * Starts the recurring ride job (creates ride requests ahead of scheduled departures).
+ * Call after connecting to MongoDB and loading campuses.
+ */
+const startRideScheduleJob = () => {
+    startJob('RideScheduleJob', JOB_INTERVAL_MINUTES, async () => {
+        const { created, skipped } = await processDueSchedules();
+        if (created || skipped) {
+            console.log(`[RideScheduleJob] Created ${created} and skipped ${skipped} scheduled ride request(s).`);
+        }
+    });
+};
+
+module.exports = {
+    startRideScheduleJob,
+};
@@ -1,4 +1,5 @@
-const { User } = require('../model/index');
+const { resolveSession } = require('../services/sessionService');
+const { getAccountRestriction } = require('../services/userService');
 
 const extractTokenFromHeader = (req) => {
     const authHeader = req.headers.authorization;
@@ -24,18 +25,28 @@ const authenticate = async (req, res, next) => {
         });
       }
       
-      // find user
-      const user = await User.findOne({ accessToken: token });
+      // find the live session (slides its expiry) and its user
+      const resolved = await resolveSession(token);
       
-      if (!user) {
+      if (!resolved) {
         return res.status(401).json({
           success: false,
           message: 'Invalid or expired token.'
         });
       }
       
-      // attach user to request object for use in downstream controllers
-      req.user = user;
+      // banned/suspended accounts keep their sessions but can't use them
+      const restriction = getAccountRestriction(resolved.user);
+      if (restriction) {
+        return res.status(403).json({
+          success: false,
+          message: restriction.message
+        });
+      }
+      
+      // attach user and session to request object for use in downstream controllers
+      req.user = resolved.user;
+      req.authSession = resolved.session;
     
       next();
 
@@ -48,6 +59,32 @@ const authenticate = async (req, res, next) => {
     }
 };
 
+// middleware to block actions that need a verified email (run after authenticate)
+const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user?.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before continuing.'
+      });
+    }
+
+    next();
+};
+
+// middleware factory to restrict a route to users with one of the given roles (run after authenticate)
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action.'
+      });
+    }
+
+    next();
+};
+
 module.exports = {
-    authenticate
+    authenticate,
+    requireVerifiedEmail,
+    requireRole
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
-const { User } = require('../model/index');
+const { resolveSession } = require('../services/sessionService');
+const { getAccountRestriction } = require('../services/userService');
 
 const socketAuthenticate = async (socket, next) => {
     // Extract token from handshake data (client should send it)
@@ -10,16 +11,24 @@ const socketAuthenticate = async (socket, next) => {
     }
 
     try {
-        // Find user by accessToken
-        const user = await User.findOne({ accessToken: token }).select('+accessToken'); // Ensure token is selected if needed later
+        // Find the live session and its user (same rules as HTTP authentication)
+        const resolved = await resolveSession(token);
 
-        if (!user) {
-            console.error(`Socket Auth Error: Invalid token - ${token.substring(0, 5)}...`);
+        if (!resolved) {
+            console.error(`Socket Auth Error: Invalid or expired token (${socket.id})`); // never log token material
             return next(new Error('Authentication error: Invalid token.'));
         }
 
-        // Attach user to the socket object for use in event handlers
-        socket.user = user;
+        // Banned/suspended accounts may not connect
+        const restriction = getAccountRestriction(resolved.user);
+        if (restriction) {
+            console.error(`Socket Auth Error: ${restriction.status} account ${resolved.user.email} (${socket.id})`);
+            return next(new Error(`Authentication error: ${restriction.message}`));
+        }
+
+        // Attach user and session to the socket object for use in event handlers
+        socket.user = resolved.user;
+        socket.authSession = resolved.session;
         // console.log(`Socket Authenticated: User ${user.email} (${socket.id})`);
         next(); // Proceed to connection
 
@@ -1,5 +1,133 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { getDateKey } = require('../utils/timezone');
+
+// Campus Schema (tenant) - optional; when empty, campuses come from the CAMPUSES env var
+const CampusSchema = new Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  emailDomains: [{ // e.g. 'bennett.edu.in'
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  destinations: [{ // seed names for the Destination catalog on first start
+    type: String,
+    trim: true
+  }],
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata'
+  },
+  currency: { // ISO 4217 code fares are quoted in
+    type: String,
+    default: 'INR',
+    uppercase: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+// Destination Schema (catalog of places rides can go to, per campus, managed by admins)
+const DestinationSchema = new Schema({
+  campus: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  location: {
+    lat: { type: Number, min: -90, max: 90 },
+    lng: { type: Number, min: -180, max: 180 }
+  },
+  typicalTravelMinutes: { // usual drive time from campus
+    type: Number,
+    min: 0,
+    default: 60
+  },
+  fares: [{ // cab fare for the whole trip by campus-local departure time band; 'until' is exclusive, bands may wrap midnight
+    from: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true },
+    until: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true },
+    amount: { type: Number, min: 0, required: true }
+  }],
+  active: { // inactive destinations are hidden from clients and can't be used for new rides
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+// Names are unique within a campus
+DestinationSchema.index({ campus: 1, name: 1 }, { unique: true });
+
+// TimetableEntry Schema (a scheduled flight or train calling at a destination, imported by admins)
+const TimetableEntrySchema = new Schema({
+  campus: {
+    type: String,
+    required: true
+  },
+  destinationId: { // the airport or station the service calls at
+    type: Schema.Types.ObjectId,
+    ref: 'Destination',
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['flight', 'train'],
+    required: true
+  },
+  carrier: { // e.g. 'AI', 'IR'; stored upper-case without spaces
+    type: String,
+    required: true,
+    maxlength: 50
+  },
+  serviceNumber: { // e.g. 'AI101', '12951'; stored upper-case without spaces
+    type: String,
+    required: true,
+    maxlength: 20
+  },
+  departsAt: { // campus-local 'HH:MM' the service leaves the destination (trips from campus)
+    type: String,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    default: null
+  },
+  arrivesAt: { // campus-local 'HH:MM' the service arrives at the destination (trips back to campus)
+    type: String,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    default: null
+  },
+  weekdays: { // days the service runs, 0 (Sunday) to 6
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [0, 1, 2, 3, 4, 5, 6]
+  },
+  validFrom: { // optional 'YYYY-MM-DD' range (campus-local dates) the timetable applies to
+    type: String,
+    default: null
+  },
+  validUntil: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+// One entry per service and destination; lookups go by service number
+TimetableEntrySchema.index({ campus: 1, destinationId: 1, carrier: 1, serviceNumber: 1 }, { unique: true });
+TimetableEntrySchema.index({ campus: 1, serviceNumber: 1 });
 
 const UserSchema = new Schema({
   email: { 
@@ -27,21 +155,93 @@ const UserSchema = new Schema({
     type: Boolean,
     default: false
   },
+  campus: { // campus slug, resolved from the email domain
+    type: String,
+    default: null
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  accountStatus: { // moderation state, enforced by the HTTP and socket auth middleware
+    type: String,
+    enum: ['active', 'suspended', 'banned'],
+    default: 'active'
+  },
+  suspendedUntil: {
+    type: Date,
+    default: null
+  },
+  moderationReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
   requestCount: { 
     count: { type: Number, default: 0 },
     lastReset: { type: Date, default: Date.now }
   },
-  currentRideRequest: {
+  activeRideRequests: [{ // rides the user currently holds (departure windows never overlap)
     type: Schema.Types.ObjectId,
-    ref: 'RideRequest',
-    default: null
+    ref: 'RideRequest'
+  }],
+  preferences: { // ride preferences set from the profile
+    quietRide: { type: Boolean, default: false },
+    preferredCabType: {
+      type: String,
+      enum: ['Any', 'Hatchback', 'Sedan', 'SUV'],
+      default: 'Any'
+    },
+    luggageCount: { type: Number, min: 0, max: 4, default: 0 },
+    openToMoreRiders: { type: Boolean, default: true }, // false: share only with one other ride request
+    autoPair: { type: Boolean, default: true } // let the auto-pair job propose a ride partner shortly before departure
   },
-  accessToken: {
-    type: String,
-    default: null
+  reputation: { // running totals of the ratings received (see ratingService.formatReputation)
+    ratingCount: { type: Number, default: 0 },
+    ratingTotal: { type: Number, default: 0 },
+    tagCounts: { type: Map, of: Number, default: {} }
   }
 }, { timestamps: true });
 
+// Session Schema (one per logged-in device)
+const SessionSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: { // keyed hash of the access token, the raw token is never stored
+    type: String,
+    required: true,
+    unique: true
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  userAgent: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+    // slides forward on use, set by sessionService
+  }
+});
+
 // RideRequest Schema
 const RideRequestSchema = new Schema({
   userId: {
@@ -49,15 +249,77 @@ const RideRequestSchema = new Schema({
     ref: 'User',
     required: true
   },
-  destination: {
+  campus: { // copied from the owner, rides only match within a campus
     type: String,
-    required: true,
-    enum: ['Airport', 'Train Station', 'Bus Terminal'] //in mvp pick from limited option
+    required: true
+  },
+  destinationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Destination',
+    required: true
+  },
+  destination: { // name snapshot of the Destination at creation time, for display
+    type: String,
+    required: true
+  },
+  direction: { // leaving campus for the destination, or coming back from it
+    type: String,
+    enum: ['from_campus', 'to_campus'],
+    default: 'from_campus'
+  },
+  pickupPoint: { // where the rider gets in: on campus when leaving, at the destination when returning
+    name: { type: String, trim: true, maxlength: 100 },
+    location: {
+      lat: { type: Number, min: -90, max: 90 },
+      lng: { type: Number, min: -180, max: 180 }
+    }
   },
   departureTime: {
     type: Date,
     required: true
   },
+  earliestDeparture: { // window the rider can leave in; matches need overlapping windows
+    type: Date,
+    required: true
+  },
+  latestDeparture: {
+    type: Date,
+    required: true
+  },
+  seatsNeeded: { // seats this request takes in a shared cab (the rider plus any companions)
+    type: Number,
+    min: 1,
+    max: 6,
+    default: 1
+  },
+  vehicleCapacity: { // largest group (in seats) this rider is willing to share a cab with
+    type: Number,
+    min: 2,
+    max: 7,
+    default: 4
+  },
+  scheduleId: { // set when the ride was created from a recurring RideSchedule
+    type: Schema.Types.ObjectId,
+    ref: 'RideSchedule',
+    default: null
+  },
+  preferences: { // defaults to the owner's profile preferences when the ride is created
+    luggageCount: { type: Number, min: 0, max: 4, default: 0 }, // large bags
+    openToMoreRiders: { type: Boolean, default: true }, // false: share only with one other ride request
+    autoPair: { type: Boolean, default: true }, // false: only pair up through conversations the rider starts
+    quietRide: { type: Boolean, default: false },
+    preferredCabType: {
+      type: String,
+      enum: ['Any', 'Hatchback', 'Sedan', 'SUV'],
+      default: 'Any'
+    }
+  },
+  travelService: { // flight or train the rider is catching (or arriving on), if given
+    mode: { type: String, enum: ['flight', 'train'] },
+    carrier: { type: String, maxlength: 50 },
+    serviceNumber: { type: String, maxlength: 20 },
+    scheduledAt: { type: Date } // from the timetable; unset when the service isn't in it
+  },
   status: {
     type: String,
     enum: ['Available', 'Pending', 'Confirmed'],
@@ -90,31 +352,257 @@ const RideRequestSchema = new Schema({
   }
 });
 
-// for efficient lookup from middleware (O(logn)) without O(n)
-UserSchema.index({ accessToken: 1 });
+// RideSchedule Schema (weekly rule that creates a RideRequest ahead of each occurrence)
+const RideScheduleSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  campus: {
+    type: String,
+    required: true
+  },
+  destinationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Destination',
+    required: true
+  },
+  destination: { // name snapshot, for display
+    type: String,
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['from_campus', 'to_campus'],
+    default: 'from_campus'
+  },
+  pickupPoint: {
+    name: { type: String, trim: true, maxlength: 100 },
+    location: {
+      lat: { type: Number, min: -90, max: 90 },
+      lng: { type: Number, min: -180, max: 180 }
+    }
+  },
+  weekday: { // 0 (Sunday) to 6, in campus local time
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  slot: { // departure time of day in campus local time, 'HH:00' or 'HH:30'
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):(00|30)$/
+  },
+  endDate: { // no rides are created for occurrences after this date (null = no end)
+    type: Date,
+    default: null
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  lastOccurrence: { // departure time of the last occurrence the job handled (created or skipped)
+    type: Date,
+    default: null
+  },
+  lastResult: { // outcome of the last occurrence, shown to the user
+    status: { type: String, enum: ['created', 'skipped'] },
+    message: String,
+    rideId: { type: Schema.Types.ObjectId, ref: 'RideRequest' },
+    at: Date
+  }
+}, { timestamps: true });
 
-// TTL index for auto-cleanup
-RideRequestSchema.index({ departureTime: 1 }, { expireAfterSeconds: 0 });
+// Admin user listing/filtering
+UserSchema.index({ accountStatus: 1 });
+
+// Listing a user's sessions
+SessionSchema.index({ userId: 1 });
+// TTL index so expired sessions clean themselves up
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Listing a user's schedules, and the job's scan of active schedules
+RideScheduleSchema.index({ userId: 1 });
+RideScheduleSchema.index({ paused: 1 });
+
+// Departed rides are archived to RideHistory and removed by the archive job (no TTL, it would skip the archive)
+RideRequestSchema.index({ departureTime: 1 });
 // Index for efficient matching queries
-RideRequestSchema.index({ destination: 1, status: 1, departureTime: 1 }); // Compound index for matching
+RideRequestSchema.index({ campus: 1, destinationId: 1, status: 1, earliestDeparture: 1 }); // Compound index for matching
 
-const ConversationSchema = new Schema({
-  rideRequestA: {
+// Saved search: alerts the user when a ride request for a destination and time range is created
+const RideWatchSchema = new Schema({
+  userId: {
     type: Schema.Types.ObjectId,
-    ref: 'RideRequest',
+    ref: 'User',
+    required: true
+  },
+  campus: {
+    type: String,
+    required: true
+  },
+  destinationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Destination',
+    required: true
+  },
+  destination: { // name snapshot, for display
+    type: String,
     required: true
   },
-  rideRequestB: {
+  direction: {
+    type: String,
+    enum: ['from_campus', 'to_campus'],
+    default: 'from_campus'
+  },
+  from: { // departures from this time...
+    type: Date,
+    required: true
+  },
+  until: { // ...up to this time; the watch is removed once it has passed
+    type: Date,
+    required: true
+  },
+  lastNotifiedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Looking up watches for a new ride, and listing a user's watches
+RideWatchSchema.index({ campus: 1, destinationId: 1, from: 1 });
+RideWatchSchema.index({ userId: 1 });
+// TTL index so watches expire after their time range
+RideWatchSchema.index({ until: 1 }, { expireAfterSeconds: 0 });
+
+// Stored notification shown in the user's inbox (also pushed over the socket when created)
+const NotificationSchema = new Schema({
+  userId: {
     type: Schema.Types.ObjectId,
-    ref: 'RideRequest',
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['watch_match', 'auto_pair'],
     required: true
   },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  data: { // what the notification is about, by type (watch_match: watchId, rideId, destination, departureTime;
+        // auto_pair: conversationId, rideId, otherRideId, destination, departureTime)
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Listing a user's notifications, newest first
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+// TTL index so old notifications clean themselves up (30 days)
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Conversation Schema (a ride group: two or more rides coordinating one cab)
+const ConversationSchema = new Schema({
+  participants: [{
+    rideId: {
+      type: Schema.Types.ObjectId,
+      ref: 'RideRequest',
+      required: true
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    seats: { // seatsNeeded of the ride when it joined
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    luggage: { // luggageCount of the ride when it joined
+      type: Number,
+      default: 0
+    },
+    openToMoreRiders: { // the ride's openToMoreRiders preference when it joined
+      type: Boolean,
+      default: true
+    },
+    approved: { // agreed to the current group line-up; reset for everyone when someone new asks to join
+      type: Boolean,
+      default: false
+    },
+    confirmedAt: { // set once the ride is confirmed as a member of the group
+      type: Date,
+      default: null
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    leftAt: { // declined, cancelled or dropped out; kept so the chat history stays readable
+      type: Date,
+      default: null
+    }
+  }],
+  systemProposed: { // created by the auto-pair job rather than by one of the riders
+    type: Boolean,
+    default: false
+  },
+  capacity: { // seats in the cab: the smallest vehicleCapacity among participants
+    type: Number,
+    min: 2,
+    default: 4
+  },
+  fareEstimate: { // set when the group is confirmed, from the destination's fare table
+    total: { type: Number, min: 0 },
+    currency: { type: String },
+    band: { type: String }, // e.g. '22:00-06:00'
+    computedAt: { type: Date }
+  },
+  payments: [{ // "I paid X" entries, settled between the confirmed members
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    amount: {
+      type: Number,
+      min: 0.01,
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   messages: [{
     senderId: {
       type: Schema.Types.ObjectId,
       ref: 'User',
-      required: true
+      required: function() { return !this.senderDeleted; } // cleared when the sender deletes their account
+    },
+    senderDeleted: {
+      type: Boolean,
+      default: false
     },
     content: {
       type: String,
@@ -138,18 +626,198 @@ const ConversationSchema = new Schema({
   }
 })
 
-// TTL index for auto-cleanup
-ConversationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Expired conversations are removed by the archive job once their rides are archived
+ConversationSchema.index({ expiresAt: 1 });
+// Finding the conversations a ride takes part in
+ConversationSchema.index({ 'participants.rideId': 1 });
+
+// RideHistory Schema (archived copy of a departed ride, kept after the live RideRequest is removed)
+const RideHistorySchema = new Schema({
+  rideId: { // _id of the original RideRequest
+    type: Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  campus: {
+    type: String
+  },
+  destinationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Destination'
+  },
+  destination: {
+    type: String
+  },
+  direction: {
+    type: String,
+    enum: ['from_campus', 'to_campus'],
+    default: 'from_campus'
+  },
+  pickupPoint: {
+    name: { type: String },
+    location: {
+      lat: { type: Number },
+      lng: { type: Number }
+    }
+  },
+  departureTime: {
+    type: Date,
+    required: true
+  },
+  seatsNeeded: {
+    type: Number,
+    default: 1
+  },
+  travelService: {
+    mode: { type: String },
+    carrier: { type: String },
+    serviceNumber: { type: String },
+    scheduledAt: { type: Date }
+  },
+  finalStatus: { // the ride's status when it departed
+    type: String,
+    enum: ['Available', 'Pending', 'Confirmed'],
+    required: true
+  },
+  conversationId: { // the confirmed ride group, if any
+    type: Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
+  counterparts: [{ // the other confirmed members of the group
+    rideId: { type: Schema.Types.ObjectId },
+    userId: { type: Schema.Types.ObjectId, ref: 'User' },
+    seats: { type: Number, default: 1 }
+  }],
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  outcome: { // reported by the owner after a confirmed ride departed (see historyService.recordRideOutcome)
+    status: {
+      type: String,
+      enum: ['completed', 'no_show']
+    },
+    noShowUserIds: [{ // counterparts who didn't turn up
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    reportedAt: { type: Date }
+  },
+  scheduleId: {
+    type: Schema.Types.ObjectId,
+    ref: 'RideSchedule',
+    default: null
+  },
+  requestedAt: { // createdAt of the original RideRequest
+    type: Date
+  },
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Paging through a user's history, most recent departure first
+RideHistorySchema.index({ userId: 1, departureTime: -1 });
+// Counting recent no-shows reported against a user (account standing)
+RideHistorySchema.index({ 'outcome.noShowUserIds': 1, departureTime: -1 });
+
+// Rating one ride partner left for another after a confirmed ride departed
+const RatingSchema = new Schema({
+  raterId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rateeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  conversationId: { // the ride group both were confirmed in
+    type: Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  historyId: { // the rater's RideHistory entry for the ride
+    type: Schema.Types.ObjectId,
+    ref: 'RideHistory',
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  tags: [{
+    type: String,
+    enum: ['on_time', 'friendly', 'good_communication', 'respectful', 'late', 'rude']
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Each rider rates each partner of a ride once
+RatingSchema.index({ raterId: 1, rateeId: 1, conversationId: 1 }, { unique: true });
+RatingSchema.index({ rateeId: 1, createdAt: -1 });
+
+// One-time codes emailed during passwordless login (only the hash is stored)
+const VerificationCodeSchema = new Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  purpose: {
+    type: String,
+    enum: ['login', 'phone_change'],
+    default: 'login'
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  phoneNumber: { // phone number supplied with the request (login or change), applied once the code is verified
+    type: String,
+    trim: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Only one live code per email/purpose, looked up on every verification attempt
+VerificationCodeSchema.index({ email: 1, purpose: 1 }, { unique: true });
+// TTL index so expired codes clean themselves up
+VerificationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Method to reset the daily request count before calling increment request count
-UserSchema.methods.resetDailyCountIfNeeded = function() {
+// timeZone is the campus timezone, so "today" matches the students' calendar day
+UserSchema.methods.resetDailyCountIfNeeded = function(timeZone = 'UTC') {
   const now = new Date();
   const lastReset = new Date(this.requestCount.lastReset);
   
   // Reset if last reset was not today
-  if (now.getDate() !== lastReset.getDate() || 
-      now.getMonth() !== lastReset.getMonth() || 
-      now.getFullYear() !== lastReset.getFullYear()) {
+  if (getDateKey(now, timeZone) !== getDateKey(lastReset, timeZone)) {
     
     this.requestCount.count = 0;
     this.requestCount.lastReset = now;
@@ -159,8 +827,8 @@ UserSchema.methods.resetDailyCountIfNeeded = function() {
 };
 
 // Method to increment request count
-UserSchema.methods.incrementRequestCount = function() {
-  this.resetDailyCountIfNeeded();
+UserSchema.methods.incrementRequestCount = function(timeZone) {
+  this.resetDailyCountIfNeeded(timeZone);
   this.requestCount.count += 1;
   return this.requestCount.count;
 };
@@ -177,12 +845,32 @@ ConversationSchema.pre('save', function(next) {
   next();
 });
 
+const Campus = mongoose.model('Campus', CampusSchema);
+const Destination = mongoose.model('Destination', DestinationSchema);
+const TimetableEntry = mongoose.model('TimetableEntry', TimetableEntrySchema);
 const User = mongoose.model('User', UserSchema);
 const RideRequest = mongoose.model('RideRequest', RideRequestSchema);
+const RideSchedule = mongoose.model('RideSchedule', RideScheduleSchema);
+const RideWatch = mongoose.model('RideWatch', RideWatchSchema);
+const Notification = mongoose.model('Notification', NotificationSchema);
+const RideHistory = mongoose.model('RideHistory', RideHistorySchema);
+const Rating = mongoose.model('Rating', RatingSchema);
 const Conversation = mongoose.model('Conversation', ConversationSchema);
+const VerificationCode = mongoose.model('VerificationCode', VerificationCodeSchema);
+const Session = mongoose.model('Session', SessionSchema);
 
 module.exports = {
+  Campus,
+  Destination,
+  TimetableEntry,
   User,
   RideRequest,
-  Conversation
+  RideSchedule,
+  RideWatch,
+  Notification,
+  RideHistory,
+  Rating,
+  Conversation,
+  VerificationCode,
+  Session
 };
\ No newline at end of file
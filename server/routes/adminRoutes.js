@@ -0,0 +1,74 @@
+const express = require('express');
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+    listUsers,
+    getUser,
+    banUser,
+    suspendUser,
+    reinstateUser,
+    forceCancelRide,
+    getConversation
+} = require('../controller/adminController');
+const {
+    adminListDestinations,
+    adminCreateDestination,
+    adminUpdateDestination,
+    adminDeleteDestination
+} = require('../controller/destinationController');
+const {
+    adminImportTimetable,
+    adminListTimetable,
+    adminDeleteTimetable
+} = require('../controller/timetableController');
+
+const router = express.Router();
+
+// All admin routes require an authenticated admin
+router.use(authenticate, requireRole('admin'));
+
+// GET /api/admin/users - List/search users (?search=&status=&page=&limit=)
+router.get('/users', listUsers);
+
+// GET /api/admin/users/:userId - Get a user and their active ride
+router.get('/users/:userId', getUser);
+
+// POST /api/admin/users/:userId/ban - Ban a user (body: { "reason": "..." })
+router.post('/users/:userId/ban', banUser);
+
+// POST /api/admin/users/:userId/suspend - Suspend a user (body: { "until": "...", "reason": "..." })
+router.post('/users/:userId/suspend', suspendUser);
+
+// POST /api/admin/users/:userId/reinstate - Lift a ban or suspension
+router.post('/users/:userId/reinstate', reinstateUser);
+
+// POST /api/admin/rides/:rideId/cancel - Force-cancel a ride request
+router.post('/rides/:rideId/cancel', forceCancelRide);
+
+// GET /api/admin/conversations/:conversationId - View any conversation for abuse review
+router.get('/conversations/:conversationId', getConversation);
+
+// GET /api/admin/destinations - List all destinations (?campus=<slug>)
+router.get('/destinations', adminListDestinations);
+
+// POST /api/admin/destinations - Create a destination
+// Body requires: { "campus": "...", "name": "..." }, optional "location": { "lat", "lng" }, "typicalTravelMinutes",
+// "fares": [{ "from": "HH:MM", "until": "HH:MM", "amount" }] (campus-local departure time bands), "active"
+router.post('/destinations', adminCreateDestination);
+
+// PATCH /api/admin/destinations/:destinationId - Update a destination
+router.patch('/destinations/:destinationId', adminUpdateDestination);
+
+// DELETE /api/admin/destinations/:destinationId - Delete an unused destination
+router.delete('/destinations/:destinationId', adminDeleteDestination);
+
+// POST /api/admin/timetable/import - Import flight/train timetable rows (replaces entries for the same service and destination)
+// Body requires: { "entries": [...] } or { "csv": "campus,destination,mode,carrier,serviceNumber,departsAt,arrivesAt,weekdays,validFrom,validUntil\n..." }
+router.post('/timetable/import', adminImportTimetable);
+
+// GET /api/admin/timetable - List timetable entries (?campus=&destinationId=&serviceNumber=)
+router.get('/timetable', adminListTimetable);
+
+// DELETE /api/admin/timetable - Delete the timetable of a campus (?campus=<slug>&destinationId=)
+router.delete('/timetable', adminDeleteTimetable);
+
+module.exports = router;
@@ -1,11 +1,36 @@
 const express = require('express');
 const router = express.Router();
-const { login } = require('../controller/authController');
+const { authenticate } = require('../middleware/auth');
+const {
+    requestLoginCode,
+    verifyLoginCode,
+    logout,
+    getSessions,
+    deleteSession,
+    deleteOtherSessions
+} = require('../controller/authController');
 
-// POST /api/auth/register
-router.post('/register', login);
+// POST /api/auth/register - Same flow as login (account is created on first verification)
+router.post('/register', requestLoginCode);
 
-// POST /api/auth/login
-router.post('/login', login);
+// POST /api/auth/login - Email a one-time login code
+// Body requires: { "email": "...", "phoneNumber": "..." }
+router.post('/login', requestLoginCode);
+
+// POST /api/auth/verify - Exchange the emailed code for an access token (one session per device)
+// Body requires: { "email": "...", "code": "123456" }, optional "deviceName"
+router.post('/verify', verifyLoginCode);
+
+// POST /api/auth/logout - Revoke the session used for this request
+router.post('/logout', authenticate, logout);
+
+// GET /api/auth/sessions - List the current user's active sessions
+router.get('/sessions', authenticate, getSessions);
+
+// DELETE /api/auth/sessions - Revoke all sessions except the current one
+router.delete('/sessions', authenticate, deleteOtherSessions);
+
+// DELETE /api/auth/sessions/:sessionId - Revoke a specific session
+router.delete('/sessions/:sessionId', authenticate, deleteSession);
 
 module.exports = router;
@@ -1,12 +1,15 @@
 const express = require('express');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireVerifiedEmail } = require('../middleware/auth');
 const {
     initiateConversation,
     getConversationsForCurrentRide, // Import new controller functions
     getMessagesForConversation,
     sendMessage,
     confirmRide,
-    declineConversation
+    declineConversation,
+    getSettlement,
+    recordPayment,
+    deletePayment
 } = require('../controller/conversationController');
 
 const router = express.Router();
@@ -14,12 +17,13 @@ const router = express.Router();
 // All conversation routes require authentication
 router.use(authenticate);
 
-// GET /api/conversations - Get conversations for the current user's active ride
+// GET /api/conversations - Get conversations for the current user's ride departing next
+// (see /api/rides/:rideId/conversations for a specific ride)
 router.get('/', getConversationsForCurrentRide);
 
-// POST /api/conversations - Initiate a new conversation
+// POST /api/conversations - Initiate a new conversation from the ride departing next (verified users only)
 // Body requires: { "targetRideId": "..." }
-router.post('/', initiateConversation);
+router.post('/', requireVerifiedEmail, initiateConversation);
 
 // GET /api/conversations/:conversationId/messages - Get messages for a specific conversation
 router.get('/:conversationId/messages', getMessagesForConversation);
@@ -34,4 +38,14 @@ router.post('/:conversationId/confirm', confirmRide);
 // POST /api/conversations/:conversationId/decline - Decline the conversation
 router.post('/:conversationId/decline', declineConversation);
 
+// GET /api/conversations/:conversationId/settlement - Fare estimate, payments and who owes whom
+router.get('/:conversationId/settlement', getSettlement);
+
+// POST /api/conversations/:conversationId/payments - Record a payment for the shared cab
+// Body requires: { "amount": number }, optional "note"
+router.post('/:conversationId/payments', recordPayment);
+
+// DELETE /api/conversations/:conversationId/payments/:paymentId - Remove a payment you recorded
+router.delete('/:conversationId/payments/:paymentId', deletePayment);
+
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { getDestinations } = require('../controller/destinationController');
+
+const router = express.Router();
+
+// All destination routes require authentication
+router.use(authenticate);
+
+// GET /api/destinations - List active destinations for the current user's campus
+router.get('/', getDestinations);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const {
+    listNotifications,
+    markNotificationRead,
+    markAllNotificationsRead
+} = require('../controller/notificationController');
+
+const router = express.Router();
+
+// All notification routes require authentication
+router.use(authenticate);
+
+// GET /api/notifications - List the current user's notifications (?unread=true&page=1&limit=20)
+router.get('/', listNotifications);
+
+// POST /api/notifications/read-all - Mark every notification as read
+router.post('/read-all', markAllNotificationsRead);
+
+// POST /api/notifications/:notificationId/read - Mark one notification as read
+router.post('/:notificationId/read', markNotificationRead);
+
+module.exports = router;
@@ -1,27 +1,82 @@
 const express = require('express');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireVerifiedEmail } = require('../middleware/auth');
 const {
     createRideRequest,
+    getActiveRideRequests,
     getCurrentRideRequest,
     deleteRideRequest,
+    updateCurrentRideRequest,
+    getRideHistory,
+    getPendingRideOutcomes,
+    reportRideOutcome,
+    rateRidePartner,
     findMatchesForCurrentRide
 } = require('../controller/rideController');
+const { initiateConversation, getConversationsForCurrentRide } = require('../controller/conversationController');
+const { suggestDeparture } = require('../controller/timetableController');
 
 const router = express.Router();
 
 // All ride routes require authentication
 router.use(authenticate);
 
-// POST /api/rides - Create a new ride request
-router.post('/', createRideRequest);
+// POST /api/rides - Create a new ride request (verified users only)
+router.post('/', requireVerifiedEmail, createRideRequest);
 
+// GET /api/rides - List the current user's active ride requests, soonest departure first
+router.get('/', getActiveRideRequests);
+
+// The /current routes act on the user's ride departing next (single-ride clients)
 // GET /api/rides/current - Get the current user's active ride request
 router.get('/current', getCurrentRideRequest);
 
+// PATCH /api/rides/current - Change the departure time, departure window, destination and/or preferences of the active ride request
+router.patch('/current', updateCurrentRideRequest);
+
 // DELETE /api/rides/current - Delete the current user's active ride request
 router.delete('/current', deleteRideRequest);
 
-// GET /api/rides/current/matches - Find potential matches for the current ride
+// GET /api/rides/suggest-departure - Suggest a departure slot for a flight or train
+// Query requires: ?carrier=&serviceNumber=&date=YYYY-MM-DD, optional &direction=&destinationId=
+router.get('/suggest-departure', suggestDeparture);
+
+// GET /api/rides/history - Page through the user's past rides (?page=1&limit=20)
+router.get('/history', getRideHistory);
+
+// GET /api/rides/history/pending-outcomes - Departed confirmed rides the user can still report on
+router.get('/history/pending-outcomes', getPendingRideOutcomes);
+
+// POST /api/rides/history/:historyId/outcome - Mark a departed ride as completed or report a no-show
+// Body requires: { "status": "completed" | "no_show" }, optional "noShowUserIds": [...]
+router.post('/history/:historyId/outcome', reportRideOutcome);
+
+// POST /api/rides/history/:historyId/ratings - Rate a partner of a departed confirmed ride (once, within a week)
+// Body requires: { "userId": "...", "score": 1-5 }, optional "tags": ["on_time", "friendly", ...]
+router.post('/history/:historyId/ratings', rateRidePartner);
+
+// GET /api/rides/current/matches - Find potential matches for the current ride, best score first with the reasons
+// Query (all optional): ?quietRide=true&openToMoreRiders=true&cabType=Sedan&maxLuggage=2&sort=relevance|departureTime|departureGap|luggage|rating
+// Paging: &limit=20, then &cursor=<nextCursor of the previous page>
 router.get('/current/matches', findMatchesForCurrentRide);
 
+// Ride-scoped equivalents for users holding several rides (declared after the fixed paths above)
+// GET /api/rides/:rideId - Get one of the user's active ride requests
+router.get('/:rideId', getCurrentRideRequest);
+
+// PATCH /api/rides/:rideId - Change the departure time, departure window, destination and/or preferences of a ride request
+router.patch('/:rideId', updateCurrentRideRequest);
+
+// DELETE /api/rides/:rideId - Cancel a ride request
+router.delete('/:rideId', deleteRideRequest);
+
+// GET /api/rides/:rideId/matches - Find potential matches for a ride request
+router.get('/:rideId/matches', findMatchesForCurrentRide);
+
+// GET /api/rides/:rideId/conversations - Get the conversations of a ride request
+router.get('/:rideId/conversations', getConversationsForCurrentRide);
+
+// POST /api/rides/:rideId/conversations - Initiate a conversation from a ride request (verified users only)
+// Body requires: { "targetRideId": "..." }
+router.post('/:rideId/conversations', requireVerifiedEmail, initiateConversation);
+
 module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const { authenticate, requireVerifiedEmail } = require('../middleware/auth');
+const {
+    createSchedule,
+    listSchedules,
+    updateSchedule,
+    deleteSchedule
+} = require('../controller/scheduleController');
+
+const router = express.Router();
+
+// All schedule routes require authentication
+router.use(authenticate);
+
+// GET /api/schedules - List the current user's weekly ride schedules
+router.get('/', listSchedules);
+
+// POST /api/schedules - Create a weekly ride schedule (verified users only)
+// Body requires: { "destinationId": "...", "weekday": 5, "slot": "18:30" }, optional "direction", "pickupPoint", "endDate"
+router.post('/', requireVerifiedEmail, createSchedule);
+
+// PATCH /api/schedules/:scheduleId - Pause or resume a schedule
+// Body requires: { "paused": true }
+router.patch('/:scheduleId', updateSchedule);
+
+// DELETE /api/schedules/:scheduleId - Delete a schedule
+router.delete('/:scheduleId', deleteSchedule);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const {
+    getMe,
+    updateMe,
+    verifyPhoneChange,
+    exportMyData,
+    deleteMe
+} = require('../controller/userController');
+
+const router = express.Router();
+
+// All user routes require authentication
+router.use(authenticate);
+
+// GET /api/users/me - Get the current user's profile
+router.get('/me', getMe);
+
+// PATCH /api/users/me - Update the current user's profile
+// Body (all optional): { "rerollDisplayName": true, "phoneNumber": "...", "preferences": { "quietRide": true, "preferredCabType": "Sedan", "luggageCount": 1, "openToMoreRiders": true } }
+router.patch('/me', updateMe);
+
+// POST /api/users/me/phone/verify - Confirm a phone number change
+// Body requires: { "code": "123456" }
+router.post('/me/phone/verify', verifyPhoneChange);
+
+// GET /api/users/me/export - Download a JSON archive of the current user's data
+router.get('/me/export', exportMyData);
+
+// DELETE /api/users/me - Delete the current user's account
+// Body requires: { "confirmEmail": "..." }
+router.delete('/me', deleteMe);
+
+module.exports = router;
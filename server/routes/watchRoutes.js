@@ -0,0 +1,24 @@
+const express = require('express');
+const { authenticate, requireVerifiedEmail } = require('../middleware/auth');
+const {
+    createWatch,
+    listWatches,
+    deleteWatch
+} = require('../controller/watchController');
+
+const router = express.Router();
+
+// All watch routes require authentication
+router.use(authenticate);
+
+// GET /api/watches - List the current user's active watches
+router.get('/', listWatches);
+
+// POST /api/watches - Get notified when someone requests a ride to a destination in a time range (verified users only)
+// Body requires: { "destinationId": "...", "from": "<ISO date>", "until": "<ISO date>" }, optional "direction"
+router.post('/', requireVerifiedEmail, createWatch);
+
+// DELETE /api/watches/:watchId - Delete a watch
+router.delete('/:watchId', deleteWatch);
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const { Campus, User, RideRequest } = require('../model/index');
+const { isValidTimeZone } = require('../utils/timezone');
+
+// Used when neither the Campus collection nor the CAMPUSES env var defines any campus
+const DEFAULT_CAMPUSES = [{
+    slug: 'bennett',
+    name: 'Bennett University',
+    emailDomains: ['bennett.edu.in'],
+    destinations: ['Airport', 'Train Station', 'Bus Terminal'],
+    timezone: 'Asia/Kolkata',
+    currency: 'INR'
+}];
+
+// In-memory copy of the active configuration, loaded at startup by loadCampuses()
+let campuses = DEFAULT_CAMPUSES;
+
+// Normalizes and validates one campus definition (from env or the collection)
+const normalizeCampus = (raw) => {
+    const campus = {
+        slug: String(raw.slug || '').trim().toLowerCase(),
+        name: String(raw.name || raw.slug || '').trim(),
+        emailDomains: (raw.emailDomains || []).map(domain => String(domain).trim().toLowerCase()).filter(Boolean),
+        destinations: (raw.destinations || []).map(destination => String(destination).trim()).filter(Boolean), // seed list for the Destination catalog
+        timezone: raw.timezone || 'Asia/Kolkata',
+        currency: String(raw.currency || 'INR').trim().toUpperCase()
+    };
+
+    if (!campus.slug) {
+        throw new Error('Campus configuration is missing a slug.');
+    }
+    if (campus.emailDomains.length === 0) {
+        throw new Error(`Campus '${campus.slug}' must list at least one email domain.`);
+    }
+    if (!isValidTimeZone(campus.timezone)) {
+        throw new Error(`Campus '${campus.slug}' has an invalid timezone '${campus.timezone}'.`);
+    }
+    return campus;
+};
+
+// Reads campuses from the CAMPUSES env var (a JSON array), or null if unset
+const readCampusesFromEnv = () => {
+    if (!process.env.CAMPUSES) {
+        return null;
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(process.env.CAMPUSES);
+    } catch (error) {
+        throw new Error('CAMPUSES must be a JSON array of campus definitions.');
+    }
+    if (!Array.isArray(parsed) || parsed.length === 0) {
+        throw new Error('CAMPUSES must be a non-empty JSON array of campus definitions.');
+    }
+    return parsed;
+};
+
+/**
+ * Loads the campus configuration: the Campus collection if it has active entries,
+ * otherwise the CAMPUSES env var, otherwise the built-in default. Call after connecting to MongoDB.
+ * @returns {Promise<Array<object>>} - The active campuses.
+ */
+const loadCampuses = async () => {
+    const stored = await Campus.find({ active: true }).lean();
+    const source = stored.length > 0 ? 'collection' : (process.env.CAMPUSES ? 'env' : 'default');
+    const rawCampuses = stored.length > 0 ? stored : (readCampusesFromEnv() || DEFAULT_CAMPUSES);
+
+    const loaded = rawCampuses.map(normalizeCampus);
+
+    // An email domain must identify exactly one campus
+    const seenDomains = new Map();
+    loaded.forEach(campus => {
+        campus.emailDomains.forEach(domain => {
+            if (seenDomains.has(domain)) {
+                throw new Error(`Email domain '${domain}' is assigned to both '${seenDomains.get(domain)}' and '${campus.slug}'.`);
+            }
+            seenDomains.set(domain, campus.slug);
+        });
+    });
+
+    campuses = loaded;
+    console.log(`[CampusService] Loaded ${campuses.length} campus(es) from ${source}: ${campuses.map(c => c.slug).join(', ')}`);
+    return campuses;
+};
+
+/**
+ * Lists all active campuses.
+ * @returns {Array<object>}
+ */
+const getCampuses = () => campuses;
+
+/**
+ * Finds a campus by its slug.
+ * @param {string} slug
+ * @returns {object|null}
+ */
+const getCampus = (slug) => {
+    return campuses.find(campus => campus.slug === slug) || null;
+};
+
+/**
+ * Finds the campus whose allowed email domains include the email's domain.
+ * @param {string} email
+ * @returns {object|null}
+ */
+const resolveCampusForEmail = (email) => {
+    const domain = String(email || '').trim().toLowerCase().split('@')[1];
+    if (!domain) {
+        return null;
+    }
+    return campuses.find(campus => campus.emailDomains.includes(domain)) || null;
+};
+
+/**
+ * Returns the user's campus, assigning it from the email domain if the user predates campuses.
+ * Does not save the user; callers persist the change with their own save.
+ * @param {object} user - The Mongoose User document.
+ * @returns {object|null} - null if the email domain no longer belongs to any campus.
+ */
+const getCampusForUser = (user) => {
+    const campus = (user.campus && getCampus(user.campus)) || resolveCampusForEmail(user.email);
+    if (campus && user.campus !== campus.slug) {
+        user.campus = campus.slug;
+    }
+    return campus;
+};
+
+/**
+ * Startup backfill for users and rides created before campuses existed.
+ * Users are assigned by email domain; rides inherit their owner's campus.
+ * @returns {Promise<void>}
+ */
+const backfillCampusAssignments = async () => {
+    for (const campus of campuses) {
+        for (const domain of campus.emailDomains) {
+            const escapedDomain = domain.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            await User.updateMany(
+                { campus: null, email: { $regex: `@${escapedDomain}$` } },
+                { $set: { campus: campus.slug } }
+            );
+        }
+    }
+
+    const unassignedRides = await RideRequest.find({ campus: { $exists: false } }).select('userId').lean();
+    for (const ride of unassignedRides) {
+        const owner = await User.findById(ride.userId).select('campus').lean();
+        if (owner?.campus) {
+            await RideRequest.updateOne({ _id: ride._id }, { $set: { campus: owner.campus } });
+        }
+    }
+};
+
+module.exports = {
+    loadCampuses,
+    getCampuses,
+    getCampus,
+    resolveCampusForEmail,
+    getCampusForUser,
+    backfillCampusAssignments,
+};
@@ -0,0 +1,393 @@
+const { RideRequest, Conversation } = require('../model/index');
+const { emitToConversation } = require('../socketManager');
+const { applyFareEstimate, getFareEstimate } = require('./fareService');
+
+// Conversation reference statuses (on a ride) that still tie the ride to the group
+const OPEN_STATUSES = ['pending', 'awaiting_confirmation'];
+const ACTIVE_STATUSES = [...OPEN_STATUSES, 'confirmed'];
+
+const DEFAULT_VEHICLE_CAPACITY = 4;
+// Configuration: large bags a vehicle holds per seat
+const LUGGAGE_PER_SEAT = 1;
+
+/**
+ * Participants still in the group (not declined, cancelled or dropped out).
+ * @param {object} conversation - Conversation document or lean object.
+ * @returns {Array<object>}
+ */
+const getActiveParticipants = (conversation) => conversation.participants.filter(p => !p.leftAt);
+
+/**
+ * Seats taken by the active participants.
+ * @param {object} conversation
+ * @returns {number}
+ */
+const getSeatsTaken = (conversation) => getActiveParticipants(conversation).reduce((sum, p) => sum + (p.seats || 1), 0);
+
+/**
+ * Bags carried by the active participants.
+ * @param {object} conversation
+ * @returns {number}
+ */
+const getLuggageTaken = (conversation) => getActiveParticipants(conversation).reduce((sum, p) => sum + (p.luggage || 0), 0);
+
+/**
+ * Participant entry for a ride entering a conversation (seats and preferences as of now).
+ * @param {object} ride - RideRequest document or lean object.
+ * @returns {{ rideId: object, userId: object, seats: number, luggage: number, openToMoreRiders: boolean }}
+ */
+const toParticipant = (ride) => ({
+    rideId: ride._id,
+    userId: ride.userId,
+    seats: ride.seatsNeeded || 1,
+    luggage: ride.preferences?.luggageCount || 0,
+    openToMoreRiders: ride.preferences?.openToMoreRiders !== false
+});
+
+/**
+ * A group is confirmed once at least one line-up was agreed by everyone (its members have confirmedAt).
+ * @param {object} conversation
+ * @returns {boolean}
+ */
+const isGroupConfirmed = (conversation) => getActiveParticipants(conversation).some(p => p.confirmedAt);
+
+/**
+ * Finds the participant entry of a ride.
+ * @param {object} conversation
+ * @param {object|string} rideId
+ * @returns {object|undefined}
+ */
+const findParticipant = (conversation, rideId) => conversation.participants.find(p => p.rideId.equals(rideId));
+
+/**
+ * Seat capacity a group would have with an extra ride: the smallest vehicleCapacity wins.
+ * @param {number} capacity - Current group capacity.
+ * @param {object} ride
+ * @returns {number}
+ */
+const capacityWith = (capacity, ride) => Math.min(capacity, ride.vehicleCapacity || DEFAULT_VEHICLE_CAPACITY);
+
+/**
+ * Why two rides can't share a cab, or null if they can: together they need to fit the smaller vehicle,
+ * seats and bags (LUGGAGE_PER_SEAT per seat).
+ * @param {object} rideA - RideRequest document or lean object.
+ * @param {object} rideB - RideRequest document or lean object.
+ * @returns {string|null}
+ */
+const getPairBlocker = (rideA, rideB) => {
+    const capacity = capacityWith(rideA.vehicleCapacity || DEFAULT_VEHICLE_CAPACITY, rideB);
+    if ((rideA.seatsNeeded || 1) + (rideB.seatsNeeded || 1) > capacity) {
+        return 'Not enough seats: together these requests need more seats than the vehicle capacity allows.';
+    }
+    if ((rideA.preferences?.luggageCount || 0) + (rideB.preferences?.luggageCount || 0) > capacity * LUGGAGE_PER_SEAT) {
+        return 'Not enough luggage space: together these requests carry more bags than the vehicle can hold.';
+    }
+    return null;
+};
+
+/**
+ * Why a ride can't ask to join a confirmed group right now, or null if it can.
+ * @param {object} conversation - The confirmed group.
+ * @param {object} ride - The ride asking to join.
+ * @returns {string|null}
+ */
+const getJoinBlocker = (conversation, ride) => {
+    const members = getActiveParticipants(conversation);
+    if (members.some(p => !p.approved)) {
+        return 'This group is already deciding on another rider. Please try again later.';
+    }
+    if (ride.preferences?.openToMoreRiders === false) {
+        return 'Your ride request is set to share with one other rider only.';
+    }
+    if (members.some(p => p.openToMoreRiders === false)) {
+        return 'This group is not open to more riders.';
+    }
+    const capacity = capacityWith(conversation.capacity, ride);
+    if (getSeatsTaken(conversation) + (ride.seatsNeeded || 1) > capacity) {
+        return 'This group does not have enough free seats for your request.';
+    }
+    if (getLuggageTaken(conversation) + (ride.preferences?.luggageCount || 0) > capacity * LUGGAGE_PER_SEAT) {
+        return 'This group does not have enough luggage space for your request.';
+    }
+    return null;
+};
+
+/**
+ * Whether a group's current line-up still works for everyone: seats and bags fit the vehicle, and a group
+ * of more than two rides has no member who wants to share with one other rider only.
+ * @param {object} conversation
+ * @returns {boolean}
+ */
+const isLineUpValid = (conversation) => {
+    const members = getActiveParticipants(conversation);
+    return getSeatsTaken(conversation) <= conversation.capacity &&
+        getLuggageTaken(conversation) <= conversation.capacity * LUGGAGE_PER_SEAT &&
+        (members.length <= 2 || members.every(p => p.openToMoreRiders !== false));
+};
+
+/**
+ * Derives a ride's overall status from its conversation references.
+ * @param {object} ride - The Mongoose RideRequest document (modified, not saved).
+ */
+const syncRideStatus = (ride) => {
+    const statuses = ride.conversations.map(c => c.status);
+    if (statuses.includes('confirmed')) {
+        ride.status = 'Confirmed';
+    } else if (statuses.some(status => OPEN_STATUSES.includes(status))) {
+        ride.status = 'Pending';
+    } else {
+        ride.status = 'Available';
+    }
+};
+
+// Marks a participant's ride reference as declined and re-derives its status
+const declineParticipantRide = async (conversationId, rideId, session) => {
+    const ride = await RideRequest.findById(rideId).session(session);
+    if (!ride) {
+        console.warn(`Ride ${rideId} not found while updating conversation ${conversationId}.`);
+        return;
+    }
+    const convRef = ride.conversations.find(c => c.conversationId.equals(conversationId));
+    if (convRef && convRef.status !== 'declined') {
+        convRef.status = 'declined';
+    }
+    syncRideStatus(ride);
+    await ride.save({ session });
+};
+
+/**
+ * Confirms everyone still waiting in a group once every active participant has approved the line-up,
+ * estimates the fare, then declines their other open conversations. Runs inside the caller's transaction.
+ * Rides of the group must be saved before calling; the conversation is saved by this function.
+ * @param {object} conversation - The Mongoose Conversation document.
+ * @param {object} session
+ * @returns {Promise<Array<string>>} - IDs of every conversation that changed (for emitConversationUpdates()).
+ */
+const finalizeIfApproved = async (conversation, session) => {
+    const active = getActiveParticipants(conversation);
+    if (active.length < 2 || active.some(p => !p.approved)) {
+        return [];
+    }
+
+    const affected = [conversation._id.toString()];
+    const newlyConfirmedRides = [];
+    const now = new Date();
+
+    for (const participant of active.filter(p => !p.confirmedAt)) {
+        participant.confirmedAt = now;
+        const ride = await RideRequest.findById(participant.rideId).session(session);
+        if (!ride) continue;
+
+        const convRef = ride.conversations.find(c => c.conversationId.equals(conversation._id));
+        if (convRef) convRef.status = 'confirmed';
+        syncRideStatus(ride);
+        await ride.save({ session });
+        newlyConfirmedRides.push(ride);
+    }
+    // The line-up changed: re-estimate the fare and keep the group around for settling up
+    await applyFareEstimate(conversation, session);
+    await conversation.save({ session });
+
+    // A confirmed ride belongs to exactly one group
+    for (const ride of newlyConfirmedRides) {
+        affected.push(...await declineOtherConversations(ride, conversation._id, session));
+    }
+    return affected;
+};
+
+/**
+ * Takes a ride out of a group (declined, cancelled, no longer matching). Runs inside the caller's transaction.
+ * Does not touch the leaving ride itself; callers update or delete it.
+ * - A group that is not confirmed yet, or that drops below two confirmed members, is dissolved:
+ *   everyone left is declined and their rides are freed up.
+ * - Otherwise the group carries on with the seat freed; a pending join completes if everyone left has approved it.
+ * @param {object|string} conversationId
+ * @param {object|string} leavingRideId
+ * @param {object} session
+ * @returns {Promise<Array<string>>} - IDs of every conversation that changed (for emitConversationUpdates()).
+ */
+const leaveConversation = async (conversationId, leavingRideId, session) => {
+    const conversation = await Conversation.findById(conversationId).session(session);
+    if (!conversation) {
+        return [];
+    }
+    const leaving = findParticipant(conversation, leavingRideId);
+    if (!leaving || leaving.leftAt) {
+        return [];
+    }
+
+    const now = new Date();
+    leaving.leftAt = now;
+
+    const remaining = getActiveParticipants(conversation);
+    const remainingMembers = remaining.filter(p => p.confirmedAt);
+
+    if (remainingMembers.length < 2) {
+        // Dissolve: nobody is left to share a cab with
+        for (const participant of remaining) {
+            participant.leftAt = now;
+            await declineParticipantRide(conversation._id, participant.rideId, session);
+        }
+        await conversation.save({ session });
+        return [conversation._id.toString()];
+    }
+
+    // The group carries on; if only members are left there's no line-up to approve any more
+    if (remaining.every(p => p.confirmedAt)) {
+        remaining.forEach(p => { p.approved = true; });
+    }
+    await conversation.save({ session });
+    return [conversation._id.toString(), ...await finalizeIfApproved(conversation, session)];
+};
+
+/**
+ * Declines every open conversation of a ride except one (used when the ride is confirmed into a group).
+ * Runs inside the caller's transaction and saves the ride.
+ * @param {object} ride - The Mongoose RideRequest document.
+ * @param {object|string} keepConversationId
+ * @param {object} session
+ * @returns {Promise<Array<string>>} - IDs of every conversation that changed.
+ */
+const declineOtherConversations = async (ride, keepConversationId, session) => {
+    const affected = [];
+    for (const convRef of ride.conversations) {
+        if (convRef.conversationId.equals(keepConversationId) || !OPEN_STATUSES.includes(convRef.status)) {
+            continue;
+        }
+        convRef.status = 'declined';
+        affected.push(...await leaveConversation(convRef.conversationId, ride._id, session));
+    }
+    syncRideStatus(ride);
+    await ride.save({ session });
+    return affected;
+};
+
+/**
+ * Current state of a group as sent in `conversationUpdate` socket events.
+ * The first two participants are also flattened into the rideA/rideB fields older clients read.
+ * @param {object|string} conversationId
+ * @returns {Promise<object|null>}
+ */
+const buildConversationUpdate = async (conversationId) => {
+    const conversation = await Conversation.findById(conversationId).select('participants capacity fareEstimate').lean();
+    if (!conversation) {
+        return null;
+    }
+
+    const rides = await RideRequest.find({ _id: { $in: conversation.participants.map(p => p.rideId) } })
+        .select('status conversations')
+        .lean();
+
+    const participants = conversation.participants.map(participant => {
+        const ride = rides.find(r => r._id.equals(participant.rideId));
+        const convRef = ride?.conversations.find(c => c.conversationId.equals(conversation._id));
+        return {
+            rideId: participant.rideId,
+            userId: participant.userId,
+            seats: participant.seats,
+            luggage: participant.luggage,
+            approved: participant.approved,
+            confirmedAt: participant.confirmedAt,
+            leftAt: participant.leftAt,
+            rideStatus: ride ? ride.status : 'Deleted',
+            conversationStatus: convRef ? convRef.status : 'declined'
+        };
+    });
+
+    return {
+        conversationId: conversation._id,
+        rideAStatus: participants[0]?.rideStatus,
+        rideBStatus: participants[1]?.rideStatus,
+        conversationStatusA: participants[0]?.conversationStatus,
+        conversationStatusB: participants[1]?.conversationStatus,
+        participants,
+        capacity: conversation.capacity,
+        seatsTaken: getSeatsTaken(conversation),
+        fareEstimate: getFareEstimate(conversation)
+    };
+};
+
+/**
+ * Emits the current state of each conversation to its room. Call only after the transaction committed.
+ * @param {Array<object|string>} conversationIds - Duplicates are ignored.
+ * @returns {Promise<void>}
+ */
+const emitConversationUpdates = async (conversationIds) => {
+    const uniqueIds = [...new Set(conversationIds.map(id => id.toString()))];
+    for (const conversationId of uniqueIds) {
+        try {
+            const update = await buildConversationUpdate(conversationId);
+            if (update) {
+                emitToConversation(conversationId, 'conversationUpdate', update);
+            }
+        } catch (error) {
+            console.error(`Error emitting update for conversation ${conversationId}:`, error);
+        }
+    }
+};
+
+/**
+ * One-off migration run at startup: converts two-ride conversations (rideRequestA/rideRequestB)
+ * into participant lists. Uses the raw collection since the old fields are no longer in the schema.
+ * @returns {Promise<number>} - Number of migrated conversations.
+ */
+const migrateConversationParticipants = async () => {
+    let migrated = 0;
+    const legacyConversations = Conversation.collection.find(
+        { participants: { $exists: false } },
+        { projection: { rideRequestA: 1, rideRequestB: 1, createdAt: 1 } }
+    );
+
+    for await (const legacy of legacyConversations) {
+        const rides = await RideRequest.find({ _id: { $in: [legacy.rideRequestA, legacy.rideRequestB] } })
+            .select('userId seatsNeeded vehicleCapacity preferences conversations')
+            .lean();
+
+        const now = new Date();
+        const participants = rides.map(ride => {
+            const convRef = ride.conversations.find(c => c.conversationId.equals(legacy._id));
+            const status = convRef ? convRef.status : 'declined';
+            return {
+                ...toParticipant(ride),
+                approved: ['awaiting_confirmation', 'confirmed'].includes(status),
+                confirmedAt: status === 'confirmed' ? (legacy.createdAt || now) : null,
+                joinedAt: legacy.createdAt || now,
+                leftAt: status === 'declined' ? now : null
+            };
+        });
+        const capacity = rides.reduce((min, ride) => capacityWith(min, ride), DEFAULT_VEHICLE_CAPACITY);
+
+        await Conversation.collection.updateOne(
+            { _id: legacy._id },
+            { $set: { participants, capacity }, $unset: { rideRequestA: '', rideRequestB: '' } }
+        );
+        migrated++;
+    }
+
+    if (migrated) {
+        console.log(`[ConversationService] Migrated ${migrated} conversation(s) to participant lists.`);
+    }
+    return migrated;
+};
+
+module.exports = {
+    OPEN_STATUSES,
+    ACTIVE_STATUSES,
+    getActiveParticipants,
+    getSeatsTaken,
+    getLuggageTaken,
+    toParticipant,
+    isGroupConfirmed,
+    findParticipant,
+    capacityWith,
+    getPairBlocker,
+    getJoinBlocker,
+    isLineUpValid,
+    syncRideStatus,
+    finalizeIfApproved,
+    leaveConversation,
+    declineOtherConversations,
+    buildConversationUpdate,
+    emitConversationUpdates,
+    migrateConversationParticipants,
+};
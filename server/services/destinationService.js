@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { Destination, RideRequest } = require('../model/index');
+const { getCampuses } = require('./campusService');
+
+/**
+ * Startup seeding: campuses without any catalog entries get one Destination per name
+ * in their configured `destinations` list, and older rides get linked to their Destination.
+ * @returns {Promise<void>}
+ */
+const seedDestinations = async () => {
+    for (const campus of getCampuses()) {
+        const existingCount = await Destination.countDocuments({ campus: campus.slug });
+        if (existingCount === 0 && campus.destinations.length > 0) {
+            await Destination.insertMany(campus.destinations.map(name => ({ campus: campus.slug, name })));
+            console.log(`[DestinationService] Seeded ${campus.destinations.length} destination(s) for campus ${campus.slug}`);
+        }
+    }
+
+    // Rides created before the catalog only have the destination name
+    const unlinkedRides = await RideRequest.find({ destinationId: { $exists: false } }).select('campus destination').lean();
+    for (const ride of unlinkedRides) {
+        const destination = await Destination.findOne({ campus: ride.campus, name: ride.destination }).select('_id').lean();
+        if (destination) {
+            await RideRequest.updateOne({ _id: ride._id }, { $set: { destinationId: destination._id } });
+        } else {
+            console.warn(`[DestinationService] No catalog entry '${ride.destination}' for campus ${ride.campus}; ride ${ride._id} left unlinked.`);
+        }
+    }
+};
+
+/**
+ * Lists the active destinations of a campus, alphabetically.
+ * @param {string} campusSlug
+ * @returns {Promise<Array<object>>} - Lean Destination documents.
+ */
+const listActiveDestinations = async (campusSlug) => {
+    return Destination.find({ campus: campusSlug, active: true }).sort({ name: 1 }).lean();
+};
+
+/**
+ * Resolves the destination chosen for a ride, by ID (preferred) or by name for older clients.
+ * Only active destinations of the given campus are accepted.
+ * @param {string} campusSlug
+ * @param {object} choice - { destinationId, name }
+ * @returns {Promise<object|null>} - Lean Destination document, or null if it isn't a valid choice.
+ */
+const resolveDestination = async (campusSlug, { destinationId, name }) => {
+    const filter = { campus: campusSlug, active: true };
+    if (destinationId) {
+        if (!mongoose.Types.ObjectId.isValid(destinationId)) {
+            return null;
+        }
+        filter._id = destinationId;
+    } else if (name) {
+        filter.name = String(name).trim();
+    } else {
+        return null;
+    }
+    return Destination.findOne(filter).lean();
+};
+
+module.exports = {
+    seedDestinations,
+    listActiveDestinations,
+    resolveDestination,
+};
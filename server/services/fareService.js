@@ -0,0 +1,183 @@
+const { Destination, RideRequest } = require('../model/index');
+const { getCampus } = require('./campusService');
+const { getZonedParts } = require('../utils/timezone');
+
+// Configuration: confirmed groups stay open this long after departure so members can settle up
+const SETTLEMENT_PERIOD_DAYS = 7;
+
+// 'HH:MM' -> minutes since midnight
+const toMinutes = (time) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+};
+
+// Money is split in minor units (cents/paise) so shares always add up to the total
+const toMinor = (amount) => Math.round(amount * 100);
+const fromMinor = (minor) => minor / 100;
+
+/**
+ * Fare band of a destination that covers a departure time, or null if none does.
+ * A band runs from `from` (inclusive) to `until` (exclusive) in campus-local time; from > until wraps midnight
+ * and from === until covers the whole day.
+ * @param {object} destination - Destination document or lean object with `fares`.
+ * @param {Date} departureTime
+ * @param {string} timeZone - Campus timezone.
+ * @returns {object|null} - The matching { from, until, amount } entry.
+ */
+const findFareBand = (destination, departureTime, timeZone) => {
+    const { hour, minute } = getZonedParts(departureTime, timeZone);
+    const localMinutes = hour * 60 + minute;
+
+    return (destination.fares || []).find(band => {
+        const from = toMinutes(band.from);
+        const until = toMinutes(band.until);
+        if (from === until) return true;
+        return from < until
+            ? localMinutes >= from && localMinutes < until
+            : localMinutes >= from || localMinutes < until;
+    }) || null;
+};
+
+/**
+ * Splits an amount between participants in proportion to their seats (largest remainder, to the cent).
+ * @param {number} amount
+ * @param {Array<{ seats: number }>} participants
+ * @returns {Array<number>} - One share per participant, in the same order.
+ */
+const splitBySeats = (amount, participants) => {
+    const totalSeats = participants.reduce((sum, p) => sum + (p.seats || 1), 0);
+    if (totalSeats === 0) {
+        return [];
+    }
+    const totalMinor = toMinor(amount);
+    const exact = participants.map(p => totalMinor * (p.seats || 1) / totalSeats);
+    const shares = exact.map(Math.floor);
+
+    let remainder = totalMinor - shares.reduce((sum, share) => sum + share, 0);
+    const byFraction = exact.map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+        .sort((a, b) => b.fraction - a.fraction);
+    for (const { index } of byFraction) {
+        if (remainder <= 0) break;
+        shares[index]++;
+        remainder--;
+    }
+    return shares.map(fromMinor);
+};
+
+// Members who share the cost: still in the group and part of a confirmed line-up
+const getPayingMembers = (conversation) => conversation.participants.filter(p => p.confirmedAt && !p.leftAt);
+
+/**
+ * Sets a confirmed group's fare estimate from the destination's fare table (time band of the earliest
+ * departure among its members) and keeps the group open for settling up after the trip.
+ * Runs inside the caller's transaction; the conversation is modified, not saved.
+ * @param {object} conversation - The Mongoose Conversation document.
+ * @param {object} session
+ * @returns {Promise<void>}
+ */
+const applyFareEstimate = async (conversation, session) => {
+    const members = getPayingMembers(conversation);
+    const rides = await RideRequest.find({ _id: { $in: members.map(p => p.rideId) } })
+        .select('campus destinationId departureTime')
+        .session(session)
+        .lean();
+    if (rides.length === 0) {
+        return;
+    }
+
+    const departureTime = rides.map(ride => ride.departureTime).reduce((earliest, time) => (time < earliest ? time : earliest));
+    const settleBy = new Date(departureTime.getTime() + SETTLEMENT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    if (conversation.expiresAt < settleBy) {
+        conversation.expiresAt = settleBy;
+    }
+
+    const campus = getCampus(rides[0].campus);
+    const destination = await Destination.findById(rides[0].destinationId).select('fares').session(session).lean();
+    const band = campus && destination ? findFareBand(destination, departureTime, campus.timezone) : null;
+
+    conversation.fareEstimate = band
+        ? { total: band.amount, currency: campus.currency, band: `${band.from}-${band.until}`, computedAt: new Date() }
+        : undefined;
+};
+
+/**
+ * Fare estimate of a group with each member's share (by seats), or null if the destination has no fare for that time.
+ * @param {object} conversation - Conversation document or lean object.
+ * @returns {{ total: number, currency: string, band: string, shares: Array<{ userId: object, seats: number, amount: number }> }|null}
+ */
+const getFareEstimate = (conversation) => {
+    if (!conversation.fareEstimate || conversation.fareEstimate.total === undefined || conversation.fareEstimate.total === null) {
+        return null;
+    }
+    const members = getPayingMembers(conversation);
+    const shares = splitBySeats(conversation.fareEstimate.total, members);
+
+    return {
+        total: conversation.fareEstimate.total,
+        currency: conversation.fareEstimate.currency,
+        band: conversation.fareEstimate.band,
+        shares: members.map((member, index) => ({ userId: member.userId, seats: member.seats || 1, amount: shares[index] }))
+    };
+};
+
+/**
+ * Who owes whom in a group: what everyone paid is shared between the current members by seats,
+ * and the differences are settled with as few transfers as a greedy pass finds.
+ * Anyone who paid but has since left is owed their payment back.
+ * @param {object} conversation - Conversation document or lean object.
+ * @returns {{ totalPaid: number, balances: Array<{ userId: object, seats: number, paid: number, share: number, balance: number }>, transfers: Array<{ from: object, to: object, amount: number }> }}
+ */
+const computeSettlement = (conversation) => {
+    const members = getPayingMembers(conversation);
+    const payments = conversation.payments || [];
+    const totalPaidMinor = payments.reduce((sum, payment) => sum + toMinor(payment.amount), 0);
+    const shares = splitBySeats(fromMinor(totalPaidMinor), members);
+
+    // One balance per member, plus anyone else who recorded a payment
+    const balances = members.map((member, index) => ({ userId: member.userId, seats: member.seats || 1, paidMinor: 0, shareMinor: toMinor(shares[index]) }));
+    payments.forEach(payment => {
+        let entry = balances.find(balance => balance.userId && payment.userId && balance.userId.equals(payment.userId));
+        if (!entry) {
+            entry = { userId: payment.userId, seats: 0, paidMinor: 0, shareMinor: 0 };
+            balances.push(entry);
+        }
+        entry.paidMinor += toMinor(payment.amount);
+    });
+
+    // Greedy: the biggest debtor pays the biggest creditor until everyone is square
+    const debtors = balances.map(b => ({ userId: b.userId, minor: b.shareMinor - b.paidMinor })).filter(b => b.minor > 0).sort((a, b) => b.minor - a.minor);
+    const creditors = balances.map(b => ({ userId: b.userId, minor: b.paidMinor - b.shareMinor })).filter(b => b.minor > 0).sort((a, b) => b.minor - a.minor);
+    const transfers = [];
+    let debtorIndex = 0;
+    let creditorIndex = 0;
+    while (debtorIndex < debtors.length && creditorIndex < creditors.length) {
+        const debtor = debtors[debtorIndex];
+        const creditor = creditors[creditorIndex];
+        const amountMinor = Math.min(debtor.minor, creditor.minor);
+        transfers.push({ from: debtor.userId, to: creditor.userId, amount: fromMinor(amountMinor) });
+        debtor.minor -= amountMinor;
+        creditor.minor -= amountMinor;
+        if (debtor.minor === 0) debtorIndex++;
+        if (creditor.minor === 0) creditorIndex++;
+    }
+
+    return {
+        totalPaid: fromMinor(totalPaidMinor),
+        balances: balances.map(b => ({
+            userId: b.userId,
+            seats: b.seats,
+            paid: fromMinor(b.paidMinor),
+            share: fromMinor(b.shareMinor),
+            balance: fromMinor(b.paidMinor - b.shareMinor) // positive: is owed money
+        })),
+        transfers
+    };
+};
+
+module.exports = {
+    findFareBand,
+    splitBySeats,
+    applyFareEstimate,
+    getFareEstimate,
+    computeSettlement,
+};
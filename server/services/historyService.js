@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const { RideRequest, RideHistory, Conversation } = require('../model/index');
+const { getActiveParticipants } = require('./conversationService');
+const { releaseRideConversations, emitRideReleased, unlinkRide } = require('./rideService');
+const { notifyMatchRemoved } = require('./matchAlertService');
+const { emitToConversation } = require('../socketManager');
+
+// Configuration: rides archived per job pass (the rest wait for the next pass)
+const ARCHIVE_BATCH_SIZE = 200;
+// Configuration: how long after departure the members of a confirmed group can report how the ride went
+const OUTCOME_REPORT_WINDOW_DAYS = 7;
+const RIDE_OUTCOMES = RideHistory.schema.path('outcome.status').enumValues;
+
+// Last moment the outcome of a ride departing at departureTime can be reported
+const getOutcomeDeadline = (departureTime) => new Date(departureTime.getTime() + OUTCOME_REPORT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+// History entry for a departed ride, including its confirmed group (if any)
+const buildHistoryEntry = async (ride, session) => {
+    let conversationId = null;
+    let confirmedAt = null;
+    let counterparts = [];
+
+    if (ride.status === 'Confirmed') {
+        const groupRef = ride.conversations.find(c => c.status === 'confirmed');
+        const group = groupRef && await Conversation.findById(groupRef.conversationId).session(session).lean();
+        if (group) {
+            conversationId = group._id;
+            confirmedAt = group.participants.find(p => p.rideId.equals(ride._id))?.confirmedAt || null;
+            counterparts = getActiveParticipants(group)
+                .filter(p => p.confirmedAt && !p.rideId.equals(ride._id))
+                .map(p => ({ rideId: p.rideId, userId: p.userId, seats: p.seats }));
+        }
+    }
+
+    return {
+        rideId: ride._id,
+        userId: ride.userId,
+        campus: ride.campus,
+        destinationId: ride.destinationId,
+        destination: ride.destination,
+        direction: ride.direction,
+        pickupPoint: ride.pickupPoint,
+        departureTime: ride.departureTime,
+        seatsNeeded: ride.seatsNeeded,
+        travelService: ride.travelService,
+        finalStatus: ride.status,
+        conversationId,
+        counterparts,
+        confirmedAt,
+        scheduleId: ride.scheduleId,
+        requestedAt: ride.createdAt,
+        archivedAt: new Date()
+    };
+};
+
+/**
+ * Moves one departed ride to RideHistory: records it, frees riders still waiting on it in unconfirmed
+ * conversations, unlinks it from its owner and deletes it, then tells owners who listed it as a match.
+ * Safe to run twice for the same ride.
+ * @param {string} rideId
+ * @returns {Promise<boolean>} - true if the ride was archived by this call.
+ */
+const archiveRide = async (rideId) => {
+    const session = await mongoose.startSession();
+    let archived = false;
+    let affectedConversations = [];
+    let outcomePrompt = null;
+    let archivedRide = null;
+
+    try {
+        await session.withTransaction(async () => {
+            archived = false;
+            affectedConversations = [];
+            outcomePrompt = null;
+            archivedRide = null;
+
+            const ride = await RideRequest.findById(rideId).session(session);
+            if (!ride) return;
+
+            const entry = await buildHistoryEntry(ride, session);
+
+            // A confirmed group departs together; anything unconfirmed can no longer happen
+            if (ride.status !== 'Confirmed') {
+                affectedConversations = await releaseRideConversations(ride, session);
+            }
+
+            const result = await RideHistory.findOneAndUpdate(
+                { rideId: ride._id },
+                { $setOnInsert: entry },
+                { upsert: true, new: true, session }
+            );
+            await unlinkRide(ride, session);
+            await RideRequest.deleteOne({ _id: ride._id }, { session });
+            archived = true;
+            archivedRide = ride.toObject();
+
+            // Members of a confirmed group are asked how the ride went
+            if (result.conversationId && !result.outcome?.status) {
+                outcomePrompt = {
+                    conversationId: result.conversationId,
+                    historyId: result._id,
+                    rideId: result.rideId,
+                    userId: result.userId,
+                    departureTime: result.departureTime,
+                    reportBy: getOutcomeDeadline(result.departureTime)
+                };
+            }
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    await emitRideReleased(affectedConversations);
+    if (archivedRide) {
+        await notifyMatchRemoved(archivedRide);
+    }
+    if (outcomePrompt) {
+        emitToConversation(outcomePrompt.conversationId, 'rideOutcomePrompt', outcomePrompt);
+    }
+    return archived;
+};
+
+/**
+ * One pass of the archive job: archives every ride whose departure time has passed.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} - Number of archived rides.
+ */
+const archiveDepartedRides = async (now = new Date()) => {
+    const departedRides = await RideRequest.find({ departureTime: { $lte: now } })
+        .select('_id')
+        .sort({ departureTime: 1 })
+        .limit(ARCHIVE_BATCH_SIZE)
+        .lean();
+
+    let archivedCount = 0;
+    for (const ride of departedRides) {
+        try {
+            if (await archiveRide(ride._id)) archivedCount++;
+        } catch (error) {
+            console.error(`[HistoryService] Error archiving ride ${ride._id}:`, error);
+        }
+    }
+    return archivedCount;
+};
+
+/**
+ * A user's departed confirmed rides whose outcome they haven't reported yet and still can, most recent first.
+ * @param {object|string} userId
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Array<object>>} - RideHistory entries (lean) with a reportBy deadline.
+ */
+const listPendingOutcomes = async (userId, now = new Date()) => {
+    const entries = await RideHistory.find({
+        userId,
+        conversationId: { $ne: null },
+        'outcome.status': { $exists: false },
+        departureTime: { $gte: new Date(now.getTime() - OUTCOME_REPORT_WINDOW_DAYS * 24 * 60 * 60 * 1000) }
+    })
+        .sort({ departureTime: -1 })
+        .populate('counterparts.userId', 'displayName avatarUrl')
+        .lean();
+
+    return entries.map(entry => ({ ...entry, reportBy: getOutcomeDeadline(entry.departureTime) }));
+};
+
+/**
+ * Records how a departed confirmed ride went for its owner: 'completed', or 'no_show' naming the counterparts
+ * who didn't turn up (all of them if none are named). Each ride can be reported once, within
+ * OUTCOME_REPORT_WINDOW_DAYS of departure. No-shows count against the reported users' standing.
+ * @param {object|string} userId - The reporting user (must own the history entry).
+ * @param {string} historyId
+ * @param {{ status: string, noShowUserIds?: Array<string> }} report
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<object>} - The updated RideHistory entry (lean).
+ * @throws {{ status: number, message: string }} - 400 for an invalid report, 404 if the entry isn't the user's
+ *   confirmed ride, 409 if already reported or the window has closed.
+ */
+const recordRideOutcome = async (userId, historyId, { status, noShowUserIds } = {}, now = new Date()) => {
+    if (!RIDE_OUTCOMES.includes(status)) {
+        throw { status: 400, message: `status must be one of: ${RIDE_OUTCOMES.join(', ')}` };
+    }
+    if (noShowUserIds !== undefined && (!Array.isArray(noShowUserIds) || noShowUserIds.some(id => !mongoose.Types.ObjectId.isValid(id)))) {
+        throw { status: 400, message: 'noShowUserIds must be an array of user IDs.' };
+    }
+    if (!mongoose.Types.ObjectId.isValid(historyId)) {
+        throw { status: 400, message: 'Invalid ride history ID.' };
+    }
+
+    const entry = await RideHistory.findOne({ _id: historyId, userId, conversationId: { $ne: null } });
+    if (!entry) {
+        throw { status: 404, message: 'Confirmed ride not found in your history.' };
+    }
+    if (entry.outcome?.status) {
+        throw { status: 409, message: 'You have already reported how this ride went.' };
+    }
+    if (now > getOutcomeDeadline(entry.departureTime)) {
+        throw { status: 409, message: `Ride outcomes can only be reported within ${OUTCOME_REPORT_WINDOW_DAYS} days of departure.` };
+    }
+
+    let reportedUserIds = [];
+    if (status === 'no_show') {
+        const counterpartIds = entry.counterparts.map(counterpart => counterpart.userId).filter(Boolean);
+        const namedIds = noShowUserIds && noShowUserIds.length > 0 ? noShowUserIds : counterpartIds;
+        if (namedIds.some(id => !counterpartIds.some(counterpartId => counterpartId.equals(id)))) {
+            throw { status: 400, message: 'noShowUserIds must list members of your ride group.' };
+        }
+        reportedUserIds = counterpartIds.filter(id => namedIds.some(namedId => id.equals(namedId)));
+        if (reportedUserIds.length === 0) {
+            throw { status: 400, message: 'There is no one in your ride group to report.' };
+        }
+    }
+
+    // Conditional update so two simultaneous reports can't both succeed
+    const updated = await RideHistory.findOneAndUpdate(
+        { _id: entry._id, 'outcome.status': { $exists: false } },
+        { $set: { outcome: { status, noShowUserIds: reportedUserIds, reportedAt: now } } },
+        { new: true }
+    ).lean();
+    if (!updated) {
+        throw { status: 409, message: 'You have already reported how this ride went.' };
+    }
+    return updated;
+};
+
+/**
+ * Removes conversations past their expiry (the work the TTL index used to do).
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} - Number of removed conversations.
+ */
+const deleteExpiredConversations = async (now = new Date()) => {
+    const result = await Conversation.deleteMany({ expiresAt: { $lte: now } });
+    return result.deletedCount;
+};
+
+/**
+ * One-off migration run at startup: replaces the old TTL indexes on RideRequest.departureTime and
+ * Conversation.expiresAt with plain ones, so MongoDB stops deleting rides before they are archived.
+ * @returns {Promise<void>}
+ */
+const removeLegacyTtlIndexes = async () => {
+    for (const [Model, indexName] of [[RideRequest, 'departureTime_1'], [Conversation, 'expiresAt_1']]) {
+        const indexes = await Model.collection.indexes().catch(() => []); // collection may not exist yet
+        const legacyIndex = indexes.find(index => index.name === indexName && index.expireAfterSeconds !== undefined);
+        if (legacyIndex) {
+            await Model.collection.dropIndex(indexName);
+            console.log(`[HistoryService] Dropped TTL index ${indexName} on ${Model.collection.collectionName}.`);
+        }
+        await Model.createIndexes();
+    }
+};
+
+module.exports = {
+    archiveRide,
+    archiveDepartedRides,
+    listPendingOutcomes,
+    recordRideOutcome,
+    deleteExpiredConversations,
+    removeLegacyTtlIndexes,
+};
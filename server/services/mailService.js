@@ -0,0 +1,61 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Configuration: which transport delivers mail ('console' or 'file' out of the box)
+const DEFAULT_TRANSPORT = 'console';
+const DEFAULT_OUTBOX_FILE = path.join(__dirname, '..', 'mail-outbox.log');
+
+// --- Built-in Transports ---
+// A transport is an async function receiving { to, subject, text }.
+// The console/file transports are stand-ins for local testing; register a real
+// provider (SMTP, SES, ...) with registerMailTransport() before the server starts.
+// The console transport never logs the body (it carries login codes); use 'file' to read codes locally.
+const transports = {
+    console: async (message) => {
+        console.log(`[MailService] To: ${message.to} | Subject: ${message.subject} (body not logged)`);
+    },
+    file: async (message) => {
+        const outboxFile = process.env.MAIL_OUTBOX_FILE || DEFAULT_OUTBOX_FILE;
+        const entry = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+        await fs.appendFile(outboxFile, `${entry}\n`);
+    }
+};
+// --- End Built-in Transports ---
+
+/**
+ * Registers (or replaces) a named mail transport.
+ * @param {string} name - Name used to select the transport via MAIL_TRANSPORT.
+ * @param {Function} transport - Async function receiving { to, subject, text }.
+ */
+const registerMailTransport = (name, transport) => {
+    if (typeof transport !== 'function') {
+        throw new Error(`Mail transport '${name}' must be a function.`);
+    }
+    transports[name] = transport;
+};
+
+/**
+ * Sends an email through the transport selected by MAIL_TRANSPORT.
+ * @param {object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+const sendMail = async (message) => {
+    const transportName = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT;
+    const transport = transports[transportName];
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport '${transportName}'.`);
+    }
+
+    try {
+        await transport(message);
+    } catch (error) {
+        console.error(`[MailService] Transport '${transportName}' failed to send to ${message.to}:`, error);
+        throw new Error('Failed to send email.');
+    }
+};
+
+module.exports = {
+    registerMailTransport,
+    sendMail,
+};
@@ -0,0 +1,77 @@
+const { User } = require('../model/index');
+const { findPotentialMatches, getDepartureOverlap } = require('./matchingService');
+const { emitToUser } = require('../socketManager');
+
+// Matching is symmetric for rides still looking for a partner, so the rides a ride matches are the rides
+// whose match lists it appears in. Rides already in a confirmed group aren't searching and are left out.
+const findRidesListing = async (ride) => {
+    const { matches } = await findPotentialMatches(ride);
+    return matches.map(match => match.ride).filter(other => other.status !== 'Confirmed');
+};
+
+/**
+ * Tells the owners of active rides that a new ride matches theirs ('newMatch' to each owner's user room).
+ * Best effort: failures are logged, never thrown, so creating the ride isn't affected.
+ * Call after the new ride has been saved.
+ * @param {object} ride - The new RideRequest document.
+ * @returns {Promise<number>} - Number of rides whose owners were alerted.
+ */
+const notifyNewMatches = async (ride) => {
+    try {
+        const matchedRides = await findRidesListing(ride);
+        if (matchedRides.length === 0) {
+            return 0;
+        }
+        const owner = await User.findById(ride.userId).select('displayName avatarUrl').lean();
+
+        matchedRides.forEach(other => {
+            emitToUser(other.userId, 'newMatch', {
+                rideId: other._id, // the recipient's ride
+                match: {
+                    _id: ride._id,
+                    user: owner ? { _id: owner._id, displayName: owner.displayName, avatarUrl: owner.avatarUrl } : null,
+                    destinationId: ride.destinationId,
+                    destination: ride.destination,
+                    direction: ride.direction,
+                    pickupPoint: ride.pickupPoint,
+                    departureTime: ride.departureTime,
+                    earliestDeparture: ride.earliestDeparture,
+                    latestDeparture: ride.latestDeparture,
+                    seatsNeeded: ride.seatsNeeded,
+                    preferences: ride.preferences,
+                    travelService: ride.travelService
+                },
+                departureOverlap: getDepartureOverlap(other, ride)
+            });
+        });
+        return matchedRides.length;
+    } catch (error) {
+        console.error(`[MatchAlertService] Error sending new match alerts for ride ${ride._id}:`, error);
+        return 0;
+    }
+};
+
+/**
+ * Tells the owners of rides that listed a ride as a match that it left the pool (cancelled or departed):
+ * 'matchRemoved' to each owner's user room. Best effort, like notifyNewMatches.
+ * Call after the ride was deleted; its last known state is enough.
+ * @param {object} ride - The removed RideRequest (document or plain object).
+ * @returns {Promise<number>} - Number of rides whose owners were told.
+ */
+const notifyMatchRemoved = async (ride) => {
+    try {
+        const matchedRides = await findRidesListing(ride);
+        matchedRides.forEach(other => {
+            emitToUser(other.userId, 'matchRemoved', { rideId: other._id, removedRideId: ride._id });
+        });
+        return matchedRides.length;
+    } catch (error) {
+        console.error(`[MatchAlertService] Error sending match removed alerts for ride ${ride._id}:`, error);
+        return 0;
+    }
+};
+
+module.exports = {
+    notifyNewMatches,
+    notifyMatchRemoved,
+};
@@ -0,0 +1,174 @@
+// Scores and orders potential matches, explains each score and pages through the ranked list with cursors.
+// Pure functions: callers load the rides and the owners' reputation.
+
+// Configuration: weight of each factor in a match score (factors that don't apply are left out and the rest rescaled)
+const SCORE_WEIGHTS = {
+    timeProximity: 0.5,
+    pendingLoad: 0.2,
+    reputation: 0.2,
+    travelService: 0.1
+};
+// Configuration: departures this far apart (or more) get no time proximity points
+const TIME_PROXIMITY_SCALE_MINUTES = 180;
+// Orders a ranked match list can be returned in ('relevance' is by score)
+const MATCH_SORTS = ['relevance', 'departureTime', 'departureGap', 'luggage', 'rating'];
+
+const OPEN_CONVERSATION_STATUSES = ['pending', 'awaiting_confirmation'];
+const TRAVEL_SERVICE_POINTS = { same: 1, nearby: 0.5 };
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// 'Leaves 15 minute(s) after you' style description of a departure gap (positive: candidate leaves later)
+const describeGap = (gapMinutes) => {
+    if (gapMinutes === 0) return 'Leaves at the same time as you';
+    const minutes = Math.abs(gapMinutes);
+    return `Leaves ${minutes} minute(s) ${gapMinutes > 0 ? 'after' : 'before'} you`;
+};
+
+/**
+ * Scores a compatible candidate for a ride (0-1, higher is better) and explains the score.
+ * Factors: how close the departure times are, how many other open conversations the candidate is already in,
+ * the owner's average rating (if rated) and whether both ride the same or a nearby flight/train (if the user's
+ * ride has one).
+ * @param {object} userRide - The ride matches are searched for.
+ * @param {object} candidate - Lean RideRequest with departureTime, conversations and travelService.
+ * @param {object} context
+ * @param {{ average: number|null, count: number }} [context.reputation] - The candidate owner's reputation.
+ * @param {'same'|'nearby'|null} [context.serviceAffinity] - From matchingService.getServiceAffinity().
+ * @returns {{ score: number, gapMinutes: number, breakdown: Array<{ factor: string, weight: number, points: number, detail: string }> }}
+ *   gapMinutes is the candidate's departure minus the user's (negative: the candidate leaves earlier).
+ */
+const scoreMatch = (userRide, candidate, { reputation, serviceAffinity } = {}) => {
+    const factors = [];
+
+    const gapMinutes = Math.round((new Date(candidate.departureTime) - new Date(userRide.departureTime)) / 60000);
+    factors.push({
+        factor: 'timeProximity',
+        points: Math.max(0, 1 - Math.abs(gapMinutes) / TIME_PROXIMITY_SCALE_MINUTES),
+        detail: describeGap(gapMinutes)
+    });
+
+    const openConversations = (candidate.conversations || []).filter(c => OPEN_CONVERSATION_STATUSES.includes(c.status)).length;
+    factors.push({
+        factor: 'pendingLoad',
+        points: 1 / (1 + openConversations),
+        detail: openConversations === 0
+            ? 'Not talking to anyone else yet'
+            : `Already in ${openConversations} other pending conversation(s)`
+    });
+
+    if (reputation && reputation.count > 0) {
+        factors.push({
+            factor: 'reputation',
+            points: (reputation.average - 1) / 4,
+            detail: `Rated ${reputation.average} by ${reputation.count} ride partner(s)`
+        });
+    }
+
+    if (userRide.travelService?.serviceNumber) {
+        factors.push({
+            factor: 'travelService',
+            points: TRAVEL_SERVICE_POINTS[serviceAffinity] || 0,
+            detail: serviceAffinity === 'same'
+                ? `Same ${candidate.travelService.mode || 'service'} (${candidate.travelService.serviceNumber})`
+                : serviceAffinity === 'nearby'
+                    ? `Nearby ${candidate.travelService.mode || 'service'} (${candidate.travelService.serviceNumber})`
+                    : 'Not on a flight or train near yours'
+        });
+    }
+
+    const totalWeight = factors.reduce((sum, f) => sum + SCORE_WEIGHTS[f.factor], 0);
+    const breakdown = factors.map(f => ({ ...f, weight: round(SCORE_WEIGHTS[f.factor] / totalWeight), points: round(f.points) }));
+    const score = factors.reduce((sum, f) => sum + f.points * SCORE_WEIGHTS[f.factor], 0) / totalWeight;
+
+    return { score: round(score, 4), gapMinutes, breakdown };
+};
+
+/**
+ * Sort key of a scored match for an order (compared element by element, ascending; ties by ride ID).
+ * @param {{ ride: object, score: number, gapMinutes: number, rating: number|null }} match
+ * @param {string} sort - One of MATCH_SORTS.
+ * @returns {Array<number>}
+ */
+const getSortKey = ({ ride, score, gapMinutes, rating }, sort) => {
+    const gap = Math.abs(gapMinutes);
+    switch (sort) {
+        case 'departureTime': return [new Date(ride.departureTime).getTime()];
+        case 'departureGap': return [gap];
+        case 'luggage': return [ride.preferences?.luggageCount || 0, gap];
+        case 'rating': return [-(rating ?? 0), gap];
+        default: return [-score, gap];
+    }
+};
+
+const compareKeys = (keyA, idA, keyB, idB) => {
+    for (let i = 0; i < Math.max(keyA.length, keyB.length); i++) {
+        if (keyA[i] !== keyB[i]) return keyA[i] - keyB[i];
+    }
+    return idA < idB ? -1 : idA > idB ? 1 : 0;
+};
+
+/**
+ * Opaque cursor pointing just after a match in a ranked list.
+ * @param {string} sort
+ * @param {Array<number>} key
+ * @param {string} rideId
+ * @returns {string}
+ */
+const encodeCursor = (sort, key, rideId) => Buffer.from(JSON.stringify({ sort, key, rideId })).toString('base64url');
+
+/**
+ * Reads a cursor made by encodeCursor for the same sort order.
+ * @param {string} cursor
+ * @param {string} sort
+ * @returns {{ key: Array<number>, rideId: string }}
+ * @throws {{ status: number, message: string }} - 400 if the cursor is malformed or from another order.
+ */
+const decodeCursor = (cursor, sort) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        decoded = null;
+    }
+    if (!decoded || decoded.sort !== sort || !Array.isArray(decoded.key) || !decoded.key.every(Number.isFinite) || typeof decoded.rideId !== 'string') {
+        throw { status: 400, message: 'Invalid cursor. Start again without one.' };
+    }
+    return { key: decoded.key, rideId: decoded.rideId };
+};
+
+/**
+ * Orders scored matches and returns one page, starting after the cursor.
+ * Scores can change between requests, so a match may move to another page while a user is paging.
+ * @param {Array<{ ride: object, score: number, gapMinutes: number, rating: number|null }>} matches
+ * @param {{ sort?: string, cursor?: string, limit?: number }} options - No limit returns everything after the cursor.
+ * @returns {{ page: Array<object>, nextCursor: string|null }}
+ */
+const paginateMatches = (matches, { sort = 'relevance', cursor, limit } = {}) => {
+    const keyed = matches
+        .map(match => ({ match, key: getSortKey(match, sort), id: match.ride._id.toString() }))
+        .sort((a, b) => compareKeys(a.key, a.id, b.key, b.id));
+
+    let start = 0;
+    if (cursor) {
+        const after = decodeCursor(cursor, sort);
+        start = keyed.findIndex(entry => compareKeys(entry.key, entry.id, after.key, after.rideId) > 0);
+        if (start === -1) start = keyed.length;
+    }
+    const end = limit ? start + limit : keyed.length;
+    const pageEntries = keyed.slice(start, end);
+    const last = pageEntries[pageEntries.length - 1];
+
+    return {
+        page: pageEntries.map(entry => entry.match),
+        nextCursor: end < keyed.length && last ? encodeCursor(sort, last.key, last.id) : null
+    };
+};
+
+module.exports = {
+    MATCH_SORTS,
+    scoreMatch,
+    encodeCursor,
+    decodeCursor,
+    paginateMatches,
+};
@@ -0,0 +1,71 @@
+// Matching strategies: named lists of rules (see rules.js) a candidate ride must all pass.
+// To try a different set of rules, add a strategy here and select it with MATCHING_STRATEGY.
+const rules = require('./rules');
+
+const STRATEGIES = {
+    // Same destination and direction, overlapping windows, compatible pickups, filters and room in the cab
+    default: [rules.sameDestination, rules.direction, rules.timeWindow, rules.blocklist, rules.pickup, rules.preferences, rules.capacity]
+};
+
+// Configuration: strategy used for match searches
+const DEFAULT_STRATEGY = process.env.MATCHING_STRATEGY || 'default';
+
+/**
+ * Rules of a matching strategy.
+ * @param {string} [name=DEFAULT_STRATEGY] - One of the STRATEGIES.
+ * @returns {Array<object>}
+ * @throws {Error} - For an unknown strategy.
+ */
+const getStrategy = (name = DEFAULT_STRATEGY) => {
+    const strategy = STRATEGIES[name];
+    if (!strategy) {
+        throw new Error(`Unknown matching strategy '${name}'. Available strategies: ${Object.keys(STRATEGIES).join(', ')}`);
+    }
+    return strategy;
+};
+
+/**
+ * MongoDB criteria preselecting a ride's candidates: every rule's query combined
+ * (criteria on a field already used by an earlier rule go into $and).
+ * @param {Array<object>} strategyRules
+ * @param {object} ride
+ * @param {object} [context]
+ * @returns {object}
+ */
+const buildCandidateQuery = (strategyRules, ride, context = {}) => {
+    const criteria = {};
+    const extra = [];
+    for (const rule of strategyRules) {
+        if (!rule.query) continue;
+        for (const [field, condition] of Object.entries(rule.query(ride, context))) {
+            if (field in criteria) {
+                extra.push({ [field]: condition });
+            } else {
+                criteria[field] = condition;
+            }
+        }
+    }
+    return extra.length > 0 ? { ...criteria, $and: extra } : criteria;
+};
+
+/**
+ * Candidates that pass every rule of a strategy.
+ * @param {Array<object>} strategyRules
+ * @param {object} ride
+ * @param {Array<object>} candidates - Lean RideRequests.
+ * @param {object} [context] - { filters, groupsById }, see rules.js.
+ * @returns {Array<object>}
+ */
+const filterCandidates = (strategyRules, ride, candidates, context = {}) =>
+    candidates.filter(candidate => strategyRules.every(rule => rule.test(ride, candidate, context)));
+
+// Validate the configured strategy at startup rather than on the first search
+getStrategy();
+
+module.exports = {
+    rules,
+    STRATEGIES,
+    getStrategy,
+    buildCandidateQuery,
+    filterCandidates,
+};
@@ -0,0 +1,165 @@
+// Matching rules: each decides whether a candidate ride can be offered to a ride.
+// A rule is { name, test, query? }:
+// - test(ride, candidate, context) -> boolean, the check itself on plain ride objects (no database access)
+// - query(ride, context) -> MongoDB criteria that preselect the candidates test() can pass (optional;
+//   a rule without one is only applied to loaded candidates)
+// context: { filters, groupsById } - match filters (see matchesFilters) and the confirmed groups of Confirmed
+// candidates by conversation ID, loaded by the caller.
+const { getPairBlocker, getJoinBlocker } = require('../conversationService');
+const { distanceKm, isValidPoint } = require('../../utils/geo');
+const { getDefaultDepartureWindow } = require('../../utils/rideValidation');
+
+// Configuration: Max distance between two pickup points that can share a cab
+const PICKUP_MAX_DISTANCE_KM = 1.5;
+// Ride statuses that can be offered (Confirmed rides only if their group has room, see the capacity rule)
+const MATCHABLE_STATUSES = ['Available', 'Pending', 'Confirmed'];
+
+/**
+ * Checks whether two riders can be picked up together.
+ * Coordinates are compared by distance; otherwise pickup names must agree (case-insensitive).
+ * A ride without a pickup point (or without comparable details) is flexible and compatible with anything.
+ * @param {object} pickupA - pickupPoint of the first ride ({ name, location }), may be empty.
+ * @param {object} pickupB - pickupPoint of the second ride, may be empty.
+ * @returns {boolean}
+ */
+const arePickupPointsCompatible = (pickupA, pickupB) => {
+    if (isValidPoint(pickupA?.location) && isValidPoint(pickupB?.location)) {
+        return distanceKm(pickupA.location, pickupB.location) <= PICKUP_MAX_DISTANCE_KM;
+    }
+    if (pickupA?.name && pickupB?.name) {
+        return pickupA.name.trim().toLowerCase() === pickupB.name.trim().toLowerCase();
+    }
+    return true;
+};
+
+/**
+ * Earliest/latest acceptable departure of a ride (the default window for rides saved without one).
+ * @param {object} ride - RideRequest document or lean object.
+ * @returns {{ earliest: Date, latest: Date }}
+ */
+const getDepartureWindow = (ride) => {
+    if (ride.earliestDeparture && ride.latestDeparture) {
+        return { earliest: new Date(ride.earliestDeparture), latest: new Date(ride.latestDeparture) };
+    }
+    return getDefaultDepartureWindow(new Date(ride.departureTime));
+};
+
+/**
+ * Interval in which both rides can leave: the intersection of their departure windows.
+ * @param {object} rideA
+ * @param {object} rideB
+ * @returns {{ start: Date, end: Date }|null} - null if the windows don't overlap.
+ */
+const getDepartureOverlap = (rideA, rideB) => {
+    const windowA = getDepartureWindow(rideA);
+    const windowB = getDepartureWindow(rideB);
+    const start = windowA.earliest > windowB.earliest ? windowA.earliest : windowB.earliest;
+    const end = windowA.latest < windowB.latest ? windowA.latest : windowB.latest;
+    return start <= end ? { start, end } : null;
+};
+
+/**
+ * Checks a candidate ride against the optional match filters (a filter left out matches everything).
+ * A ride without a cab type preference ('Any') goes with any cab type.
+ * @param {object} ride - Lean RideRequest.
+ * @param {{ quietRide?: boolean, cabType?: string, maxLuggage?: number, openToMoreRiders?: boolean }} filters
+ * @returns {boolean}
+ */
+const matchesFilters = (ride, { quietRide, cabType, maxLuggage, openToMoreRiders }) => {
+    const preferences = ride.preferences || {};
+    if (quietRide !== undefined && Boolean(preferences.quietRide) !== quietRide) return false;
+    if (cabType !== undefined && ![cabType, 'Any', undefined].includes(preferences.preferredCabType)) return false;
+    if (maxLuggage !== undefined && (preferences.luggageCount || 0) > maxLuggage) return false;
+    if (openToMoreRiders !== undefined && (preferences.openToMoreRiders !== false) !== openToMoreRiders) return false;
+    return true;
+};
+
+// Rides from before directions existed leave campus
+const directionOf = (ride) => ride.direction || 'from_campus';
+
+// The ride itself and the rides it is confirmed with
+const getBlockedRideIds = (ride) => [
+    ride._id,
+    ...(ride.conversations || []).filter(c => c.status === 'confirmed' && c.rideId).map(c => c.rideId)
+];
+
+// --- Rules ---
+// Same campus (never match across campuses) and the same destination catalog entry
+const sameDestination = {
+    name: 'sameDestination',
+    query: (ride) => ({ campus: ride.campus, destinationId: ride.destinationId }),
+    test: (ride, candidate) => ride.campus === candidate.campus && String(ride.destinationId) === String(candidate.destinationId)
+};
+
+// Same trip direction
+const direction = {
+    name: 'direction',
+    query: (ride) => ({ direction: directionOf(ride) === 'to_campus' ? 'to_campus' : { $in: ['from_campus', null] } }),
+    test: (ride, candidate) => directionOf(ride) === directionOf(candidate)
+};
+
+// Departure windows overlap
+const timeWindow = {
+    name: 'timeWindow',
+    query: (ride) => {
+        const { earliest, latest } = getDepartureWindow(ride);
+        return { earliestDeparture: { $lte: latest }, latestDeparture: { $gte: earliest } };
+    },
+    test: (ride, candidate) => getDepartureOverlap(ride, candidate) !== null
+};
+
+// Never offered: the ride itself, the owner's other rides and the rides it is already confirmed with
+// (declined rides can be offered again)
+const blocklist = {
+    name: 'blocklist',
+    query: (ride) => ({ _id: { $nin: getBlockedRideIds(ride) }, userId: { $ne: ride.userId } }),
+    test: (ride, candidate) =>
+        String(candidate.userId) !== String(ride.userId) &&
+        !getBlockedRideIds(ride).some(rideId => String(rideId) === String(candidate._id))
+};
+
+// Riders can be picked up together
+const pickup = {
+    name: 'pickup',
+    test: (ride, candidate) => arePickupPointsCompatible(ride.pickupPoint, candidate.pickupPoint)
+};
+
+// The candidate's preferences pass the match filters the rider asked for
+const preferences = {
+    name: 'preferences',
+    test: (ride, candidate, { filters = {} } = {}) => matchesFilters(candidate, filters)
+};
+
+// Seats and bags: a new pair must fit in the smaller vehicle; a confirmed group must have room, be open
+// to more riders and have no join in progress
+const capacity = {
+    name: 'capacity',
+    query: () => ({ status: { $in: MATCHABLE_STATUSES } }),
+    test: (ride, candidate, { groupsById = new Map() } = {}) => {
+        if (!MATCHABLE_STATUSES.includes(candidate.status)) {
+            return false;
+        }
+        if (candidate.status !== 'Confirmed') {
+            return getPairBlocker(ride, candidate) === null;
+        }
+        const groupRef = candidate.conversations.find(c => c.status === 'confirmed');
+        const group = groupRef && groupsById.get(String(groupRef.conversationId));
+        return Boolean(group) && getJoinBlocker(group, ride) === null;
+    }
+};
+// --- End Rules ---
+
+module.exports = {
+    PICKUP_MAX_DISTANCE_KM,
+    arePickupPointsCompatible,
+    getDepartureWindow,
+    getDepartureOverlap,
+    matchesFilters,
+    sameDestination,
+    direction,
+    timeWindow,
+    blocklist,
+    pickup,
+    preferences,
+    capacity,
+};
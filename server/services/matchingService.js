@@ -1,14 +1,200 @@
-const { RideRequest } = require('../model/index');
+const mongoose = require('mongoose');
+const { User, RideRequest, Conversation } = require('../model/index');
+const { formatReputation } = require('./ratingService');
+const { MATCH_SORTS, scoreMatch, encodeCursor, decodeCursor, paginateMatches } = require('./matchRankingService');
+const { rules, getStrategy, buildCandidateQuery, filterCandidates } = require('./matching');
+const { arePickupPointsCompatible, getDepartureWindow, getDepartureOverlap, matchesFilters } = rules;
 
-// Configuration: Time window for matching (e.g., +/- 60 minutes)
-const MATCH_TIME_WINDOW_MINUTES = 60;
+// Configuration: flights/trains scheduled at most this far apart count as nearby services
+const NEARBY_SERVICE_MINUTES = 60;
+// Rules an existing pairing has to keep satisfying (blocklist and capacity don't apply to rides already together)
+const PAIR_RULES = [rules.sameDestination, rules.direction, rules.timeWindow, rules.pickup];
+// Orders read from MongoDB one page at a time (keyset on departureTime and _id); the others rank every candidate in memory
+const KEYSET_SORTS = ['departureTime', 'departureGap'];
+// Candidates loaded per query while filling a keyset page
+const KEYSET_BATCH_SIZE = 50;
+const CANDIDATE_FIELDS = '_id userId campus departureTime earliestDeparture latestDeparture status destinationId direction pickupPoint seatsNeeded vehicleCapacity preferences travelService conversations';
 
 /**
- * Finds potential ride matches for a given ride request.
+ * How well two rides' flights or trains line up: the 'same' service, a 'nearby' one (same mode,
+ * scheduled within NEARBY_SERVICE_MINUTES), or null (unrelated, or a ride without a service).
+ * @param {object} rideA
+ * @param {object} rideB
+ * @returns {'same'|'nearby'|null}
+ */
+const getServiceAffinity = (rideA, rideB) => {
+    const serviceA = rideA.travelService;
+    const serviceB = rideB.travelService;
+    if (!serviceA?.serviceNumber || !serviceB?.serviceNumber) {
+        return null;
+    }
+
+    const scheduleGapMillis = serviceA.scheduledAt && serviceB.scheduledAt
+        ? Math.abs(new Date(serviceA.scheduledAt).getTime() - new Date(serviceB.scheduledAt).getTime())
+        : null;
+    if (serviceA.carrier === serviceB.carrier && serviceA.serviceNumber === serviceB.serviceNumber &&
+        (scheduleGapMillis === null || scheduleGapMillis === 0)) {
+        return 'same';
+    }
+    if (scheduleGapMillis !== null && serviceA.mode === serviceB.mode && scheduleGapMillis <= NEARBY_SERVICE_MINUTES * 60 * 1000) {
+        return 'nearby';
+    }
+    return null;
+};
+
+/**
+ * Checks whether two existing rides still satisfy the pairing rules of findPotentialMatches (PAIR_RULES:
+ * same campus, destination and direction, overlapping departure windows, compatible pickups).
+ * Used to re-validate open conversations after a ride is edited.
+ * @param {object} rideA - RideRequest document or lean object.
+ * @param {object} rideB - RideRequest document or lean object.
+ * @returns {boolean}
+ */
+const isCompatibleMatch = (rideA, rideB) => PAIR_RULES.every(rule => rule.test(rideA, rideB));
+
+/**
+ * Candidates of a batch that pass every rule of a strategy, loading the confirmed groups the capacity rule
+ * looks at (Confirmed rides can only be joined through their group).
+ * @param {Array<object>} strategyRules
+ * @param {object} userRideRequest
+ * @param {Array<object>} candidates - Lean RideRequests.
+ * @param {object} filters
+ * @returns {Promise<Array<object>>}
+ */
+const filterCompatible = async (strategyRules, userRideRequest, candidates, filters) => {
+    const groupIds = candidates
+        .filter(match => match.status === 'Confirmed')
+        .map(match => match.conversations.find(c => c.status === 'confirmed')?.conversationId)
+        .filter(Boolean);
+    const groups = groupIds.length > 0
+        ? await Conversation.find({ _id: { $in: groupIds } }).select('participants capacity').lean()
+        : [];
+    const groupsById = new Map(groups.map(group => [group._id.toString(), group]));
+    return filterCandidates(strategyRules, userRideRequest, candidates, { filters, groupsById });
+};
+
+/**
+ * Scores compatible rides for a ride (owners' reputation is part of the score), keeping their order.
+ * @param {object} userRideRequest
+ * @param {Array<object>} rides - Lean RideRequests.
+ * @returns {Promise<Array<{ ride: object, score: number, gapMinutes: number, breakdown: Array<object>, reputation: object, rating: number|null }>>}
+ */
+const scoreCandidates = async (userRideRequest, rides) => {
+    const owners = await User.find({ _id: { $in: rides.map(match => match.userId) } }).select('reputation').lean();
+    const reputationByUser = new Map(owners.map(owner => [owner._id.toString(), formatReputation(owner)]));
+    return rides.map(match => {
+        const reputation = reputationByUser.get(match.userId.toString()) || formatReputation(null);
+        const { score, gapMinutes, breakdown } = scoreMatch(userRideRequest, match, {
+            reputation,
+            serviceAffinity: getServiceAffinity(userRideRequest, match)
+        });
+        return { ride: match, score, gapMinutes, breakdown, reputation, rating: reputation.average };
+    });
+};
+
+/**
+ * Reads candidates in departure order from a position on, in batches of KEYSET_BATCH_SIZE, until `count` of them
+ * are compatible or there are no more.
+ * @param {object} criteria - Candidate query.
+ * @param {1|-1} order - Ascending or descending departureTime (ties by ascending _id).
+ * @param {{ departureTime: Date, rideId: object }|null} after - Start after this position.
+ * @param {number} count
+ * @param {Function} keepCompatible - Async, keeps the compatible rides of a batch.
+ * @returns {Promise<Array<object>>}
+ */
+const readInDepartureOrder = async (criteria, order, after, count, keepCompatible) => {
+    const found = [];
+    let position = after;
+    while (found.length < count) {
+        const query = position
+            ? {
+                $and: [criteria, {
+                    $or: [
+                        { departureTime: { [order === 1 ? '$gt' : '$lt']: position.departureTime } },
+                        { departureTime: position.departureTime, _id: { $gt: position.rideId } }
+                    ]
+                }]
+            }
+            : criteria;
+        const batch = await RideRequest.find(query)
+            .sort({ departureTime: order, _id: 1 })
+            .limit(KEYSET_BATCH_SIZE)
+            .select(CANDIDATE_FIELDS)
+            .lean();
+        found.push(...await keepCompatible(batch));
+        if (batch.length < KEYSET_BATCH_SIZE) break;
+        const last = batch[batch.length - 1];
+        position = { departureTime: last.departureTime, rideId: last._id };
+    }
+    return found.slice(0, count);
+};
+
+/**
+ * One page of compatible rides in a KEYSET_SORTS order, read from MongoDB (at most `limit + 1` compatible rides
+ * per direction, so later pages cost the same as the first). 'departureGap' merges the rides leaving at or after
+ * the user's ride (ascending) with those leaving before it (descending).
+ * @param {object} userRideRequest
+ * @param {object} criteria - Candidate query of the strategy.
+ * @param {{ sort: string, cursor?: string, limit: number }} options
+ * @param {Function} keepCompatible - Async, keeps the compatible rides of a batch.
+ * @returns {Promise<{ page: Array<object>, nextCursor: string|null }>}
+ * @throws {{ status: number, message: string }} - 400 for an invalid cursor.
+ */
+const readKeysetPage = async (userRideRequest, criteria, { sort, cursor, limit }, keepCompatible) => {
+    const after = cursor ? decodeCursor(cursor, sort) : null;
+    if (after && !mongoose.Types.ObjectId.isValid(after.rideId)) {
+        throw { status: 400, message: 'Invalid cursor. Start again without one.' };
+    }
+    const afterId = after && new mongoose.Types.ObjectId(after.rideId);
+    const departure = new Date(userRideRequest.departureTime).getTime();
+
+    let entries;
+    if (sort === 'departureTime') {
+        const rides = await readInDepartureOrder(criteria, 1,
+            after && { departureTime: new Date(after.key[0]), rideId: afterId }, limit + 1, keepCompatible);
+        entries = rides.map(ride => ({ ride, key: [new Date(ride.departureTime).getTime()] }));
+    } else {
+        const gap = after ? after.key[0] : 0;
+        const [later, earlier] = await Promise.all([
+            readInDepartureOrder({ $and: [criteria, { departureTime: { $gte: new Date(departure) } }] }, 1,
+                after && { departureTime: new Date(departure + gap), rideId: afterId }, limit + 1, keepCompatible),
+            readInDepartureOrder({ $and: [criteria, { departureTime: { $lt: new Date(departure) } }] }, -1,
+                after && { departureTime: new Date(departure - gap), rideId: afterId }, limit + 1, keepCompatible)
+        ]);
+        entries = [...later, ...earlier]
+            .map(ride => ({ ride, key: [Math.abs(new Date(ride.departureTime).getTime() - departure)] }))
+            .sort((a, b) => a.key[0] - b.key[0] || (a.ride._id.toString() < b.ride._id.toString() ? -1 : 1));
+    }
+
+    const pageEntries = entries.slice(0, limit);
+    const last = pageEntries[pageEntries.length - 1];
+    return {
+        page: pageEntries.map(entry => entry.ride),
+        nextCursor: entries.length > limit ? encodeCursor(sort, last.key, last.ride._id.toString()) : null
+    };
+};
+
+/**
+ * Finds potential ride matches for a given ride request, scored and ranked (see matchRankingService.scoreMatch).
+ * Candidates must pass every rule of the matching strategy. With the default strategy, rides that can't share a cab
+ * (seats or bags over the vehicle capacity, a group closed to more riders) are always left out; the optional filters
+ * narrow the list further on the riders' preferences.
  * @param {object} userRideRequest - The Mongoose document for the user's ride request.
- * @returns {Promise<Array<string>>} - A promise that resolves to an array of potential match RideRequest IDs.
+ * @param {object} [options]
+ * @param {object} [options.filters] - { quietRide, cabType, maxLuggage, openToMoreRiders }, see matchesFilters().
+ * @param {string} [options.sort='relevance'] - One of MATCH_SORTS: 'relevance' is best score first, 'luggage' puts
+ *   the fewest bags first and 'rating' the best-rated riders (unrated last). 'departureTime' and 'departureGap'
+ *   pages are read from MongoDB a page at a time; the other orders depend on every candidate's score or owner,
+ *   so each page loads, scores and sorts every candidate in memory.
+ * @param {string} [options.cursor] - nextCursor of the previous page.
+ * @param {number} [options.limit] - Page size; everything when left out.
+ * @param {string} [options.strategy] - Matching strategy (services/matching); MATCHING_STRATEGY when left out.
+ * @returns {Promise<{ matches: Array<{ ride: object, score: number, breakdown: Array<object>, reputation: object }>, nextCursor: string|null, total: number|null }>}
+ *   Rides are lean documents; total counts every match across pages (null for paged 'departureTime' and
+ *   'departureGap' searches, which don't load every match).
+ * @throws {{ status: number, message: string }} - 400 for an invalid cursor.
  */
-const findPotentialMatches = async (userRideRequest) => {
+const findPotentialMatches = async (userRideRequest, { filters = {}, sort = 'relevance', cursor, limit, strategy } = {}) => {
     if (!userRideRequest) {
         throw new Error("User ride request is required for matching.");
     }
@@ -17,80 +203,76 @@ const findPotentialMatches = async (userRideRequest) => {
     console.log('[MatchingService] Input Ride Request:', {
         _id: userRideRequest._id,
         userId: userRideRequest.userId,
-        destination: userRideRequest.destination,
+        campus: userRideRequest.campus,
+        destinationId: userRideRequest.destinationId,
+        direction: userRideRequest.direction,
+        pickupPoint: userRideRequest.pickupPoint,
         departureTime: userRideRequest.departureTime,
+        earliestDeparture: userRideRequest.earliestDeparture,
+        latestDeparture: userRideRequest.latestDeparture,
         status: userRideRequest.status,
         conversations: userRideRequest.conversations // Log existing conversations
     });
     // --- END DEBUG LOG ---
 
-    const userDepartureTime = userRideRequest.departureTime.getTime();
-    const timeWindowMillis = MATCH_TIME_WINDOW_MINUTES * 60 * 1000;
+    const strategyRules = getStrategy(strategy);
 
-    // Calculate the time window for matching
-    const minDeparture = new Date(userDepartureTime - timeWindowMillis);
-    const maxDeparture = new Date(userDepartureTime + timeWindowMillis);
+    // Other rides must be able to leave at some point within this ride's departure window
+    const { earliest, latest } = getDepartureWindow(userRideRequest);
 
-    console.log('[MatchingService] Time Window:', {
-        minDeparture: minDeparture.toISOString(),
-        maxDeparture: maxDeparture.toISOString()
+    console.log('[MatchingService] Departure Window:', {
+        earliest: earliest.toISOString(),
+        latest: latest.toISOString()
     });
 
-    
-    const excludedRideIds = [userRideRequest._id];
-
-    // Iterate through the user's conversations and add rides that are CONFIRMED *by this user*.
-    // Declined rides will no longer be excluded from matching results.
-    userRideRequest.conversations.forEach(conv => {
-        // --- MODIFIED: Only exclude confirmed ---
-        if (conv.status === 'confirmed') {
-        // --- END MODIFIED ---
-            if (conv.rideId) { // Ensure rideId exists
-                if (!excludedRideIds.find(id => id.equals(conv.rideId))) {
-                    excludedRideIds.push(conv.rideId);
-                    console.log(`[MatchingService] Adding rideId ${conv.rideId.toString()} to exclusion list due to status: ${conv.status}`);
-                }
-            } else {
-                console.warn(`[MatchingService] Conversation reference missing rideId for convId: ${conv.conversationId?.toString()}`);
-            }
-        }
-    });
-
-    
-
-    // Define the criteria for finding matches
-    const matchCriteria = {
-        _id: { $nin: excludedRideIds }, // Exclude self and rides from user's confirmed conversations
-        userId: { $ne: userRideRequest.userId }, // Ensure it's not the user's own request
-        destination: userRideRequest.destination, // Must match destination
-        status: { $in: ['Available', 'Pending'] }, // Match must be Available OR Pending
-        departureTime: {
-            $gte: minDeparture,
-            $lte: maxDeparture,
-        },
-    };
+    // Preselect candidates with the strategy's queries; every rule is checked again on the loaded rides
+    const matchCriteria = buildCandidateQuery(strategyRules, userRideRequest, { filters });
 
     // --- DEBUG LOG: Log Query Criteria ---
     console.log('[MatchingService] MongoDB Query Criteria:', JSON.stringify(matchCriteria, null, 2));
     // --- END DEBUG LOG ---
 
     try {
-        // Find potential matches based on criteria, selecting only the ID
-        const results = await RideRequest.find(matchCriteria).select('_id userId departureTime status destination').lean(); // Select more fields for debugging
+        const keepCompatible = (candidates) => filterCompatible(strategyRules, userRideRequest, candidates, filters);
+
+        if (limit && KEYSET_SORTS.includes(sort)) {
+            const { page, nextCursor } = await readKeysetPage(userRideRequest, matchCriteria, { sort, cursor, limit }, keepCompatible);
+            const scoredPage = await scoreCandidates(userRideRequest, page);
+            return {
+                matches: scoredPage.map(({ ride, score, breakdown, reputation }) => ({ ride, score, breakdown, reputation })),
+                nextCursor,
+                total: null
+            };
+        }
 
-        // --- DEBUG LOG: Log Raw Results ---
-        console.log('[MatchingService] Raw DB Results:', results);
-        // --- END DEBUG LOG ---
+        const results = await RideRequest.find(matchCriteria).select(CANDIDATE_FIELDS).lean();
+        console.log(`[MatchingService] ${results.length} candidate(s) loaded.`);
 
-        // Return only the IDs
-        return results.map(match => match._id);
+        const scored = await scoreCandidates(userRideRequest, await keepCompatible(results));
+
+        const { page, nextCursor } = paginateMatches(scored, { sort, cursor, limit });
+        return {
+            matches: page.map(({ ride, score, breakdown, reputation }) => ({ ride, score, breakdown, reputation })),
+            nextCursor,
+            total: scored.length
+        };
 
     } catch (error) {
+        if (error.status) {
+            throw error;
+        }
         console.error("[MatchingService] Error finding potential matches:", error);
         throw new Error("Database error during match finding."); // Propagate a generic error
     }
 };
 
 module.exports = {
+    MATCH_SORTS,
     findPotentialMatches,
+    matchesFilters,
+    arePickupPointsCompatible,
+    getDepartureWindow,
+    getDepartureOverlap,
+    getServiceAffinity,
+    isCompatibleMatch,
 };
@@ -0,0 +1,18 @@
+const { Notification } = require('../model/index');
+const { emitToUser } = require('../socketManager');
+
+/**
+ * Stores a notification for a user and pushes it to their connected devices ('notification' event).
+ * @param {object|string} userId
+ * @param {{ type: string, message: string, data?: object }} notification - type is one of the Notification types.
+ * @returns {Promise<object>} - The saved notification (lean).
+ */
+const createNotification = async (userId, { type, message, data = {} }) => {
+    const notification = (await Notification.create({ userId, type, message, data })).toObject();
+    emitToUser(userId, 'notification', notification);
+    return notification;
+};
+
+module.exports = {
+    createNotification,
+};
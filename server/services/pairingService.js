@@ -0,0 +1,299 @@
+const mongoose = require('mongoose');
+const { User, RideRequest, Conversation } = require('../model/index');
+const { computeConversationExpiry } = require('./rideService');
+const { toParticipant, getPairBlocker } = require('./conversationService');
+const { isCompatibleMatch, getServiceAffinity } = require('./matchingService');
+const { scoreMatch } = require('./matchRankingService');
+const { formatReputation } = require('./ratingService');
+const { createNotification } = require('./notificationService');
+
+// Configuration: unmatched rides departing within this many minutes get a partner proposed
+const AUTO_PAIR_LEAD_MINUTES = 120;
+// Configuration: rides departing sooner than this are left alone (too late to agree on anything)
+const AUTO_PAIR_MIN_LEAD_MINUTES = 20;
+// The optimisation is exponential in the batch size; bigger groups of compatible rides are split into batches
+// of this many rides
+const MAX_BATCH_RIDES = 16;
+
+/**
+ * Creates a conversation between two rides that aren't talking yet and marks both Pending.
+ * Runs inside the caller's transaction; callers check that the rides may pair (campus, direction,
+ * not previously declined, no existing conversation).
+ * @param {object} rideA - RideRequest document (saved by this function).
+ * @param {object} rideB - RideRequest document (saved by this function).
+ * @param {object} session
+ * @param {{ systemProposed?: boolean }} [options] - systemProposed flags conversations started by the auto-pair job.
+ * @returns {Promise<object>} - The new Conversation document.
+ * @throws {{ status: number, message: string }} - 409 if the two requests don't fit in one vehicle.
+ */
+const createPairConversation = async (rideA, rideB, session, { systemProposed = false } = {}) => {
+    // Both requests (riders and bags) have to fit in the smaller of the two vehicles
+    const pairBlocker = getPairBlocker(rideA, rideB);
+    if (pairBlocker) {
+        throw { status: 409, message: pairBlocker };
+    }
+
+    const conversation = new Conversation({
+        participants: [toParticipant(rideA), toParticipant(rideB)],
+        capacity: Math.min(rideA.vehicleCapacity, rideB.vehicleCapacity),
+        systemProposed,
+        messages: [],
+        expiresAt: computeConversationExpiry(rideA, rideB) // based on the EARLIER departure time
+    });
+    await conversation.save({ session });
+
+    for (const [ride, otherRide] of [[rideA, rideB], [rideB, rideA]]) {
+        if (ride.status === 'Available') {
+            ride.status = 'Pending';
+        }
+        ride.conversations.push({ rideId: otherRide._id, status: 'pending', conversationId: conversation._id });
+        await ride.save({ session });
+    }
+    return conversation;
+};
+
+/**
+ * Whether the auto-pair job may propose two rides to each other: different riders, the same matching rules
+ * as findPotentialMatches, room in one vehicle, and no earlier conversation (declined or not) between them.
+ * @param {object} rideA - Lean RideRequest.
+ * @param {object} rideB - Lean RideRequest.
+ * @returns {boolean}
+ */
+const canAutoPair = (rideA, rideB) =>
+    !rideA.userId.equals(rideB.userId) &&
+    isCompatibleMatch(rideA, rideB) &&
+    getPairBlocker(rideA, rideB) === null &&
+    !rideA.conversations.some(c => c.rideId.equals(rideB._id)) &&
+    !rideB.conversations.some(c => c.rideId.equals(rideA._id));
+
+/**
+ * Splits rides into batches that are paired independently. Rides of the same campus, destination and direction
+ * are linked when they can pair (canAutoPair, so their departure windows overlap); each connected group of
+ * linked rides is a departure slot and one batch. A slot of more than MAX_BATCH_RIDES rides is split along its
+ * links (see splitComponent), so the rides of a batch stay connected to each other.
+ * @param {Array<object>} rides - Lean RideRequests.
+ * @returns {Array<Array<object>>}
+ */
+const buildBatches = (rides) => {
+    const routes = new Map();
+    for (const ride of rides) {
+        const key = [ride.campus, ride.destinationId, ride.direction || 'from_campus'].join('|');
+        if (!routes.has(key)) routes.set(key, []);
+        routes.get(key).push(ride);
+    }
+
+    const batches = [];
+    for (const routeRides of routes.values()) {
+        const neighbours = routeRides.map(() => []);
+        for (let i = 0; i < routeRides.length; i++) {
+            for (let j = i + 1; j < routeRides.length; j++) {
+                if (canAutoPair(routeRides[i], routeRides[j])) {
+                    neighbours[i].push(j);
+                    neighbours[j].push(i);
+                }
+            }
+        }
+
+        const seen = new Set();
+        for (let start = 0; start < routeRides.length; start++) {
+            if (seen.has(start)) continue;
+            // Collect the connected group of this ride
+            const component = [start];
+            seen.add(start);
+            for (let k = 0; k < component.length; k++) {
+                for (const j of neighbours[component[k]]) {
+                    if (!seen.has(j)) {
+                        seen.add(j);
+                        component.push(j);
+                    }
+                }
+            }
+            for (const batch of splitComponent(component, neighbours)) {
+                batches.push(batch.map(i => routeRides[i]));
+            }
+        }
+    }
+    return batches.filter(batch => batch.length >= 2);
+};
+
+/**
+ * Splits a connected group of rides into batches of at most MAX_BATCH_RIDES by growing each batch
+ * breadth-first over the links, starting from the ride with the fewest links left (the hardest to pair).
+ * @param {Array<number>} component - Ride indexes.
+ * @param {Array<Array<number>>} neighbours - Linked ride indexes of each ride.
+ * @returns {Array<Array<number>>}
+ */
+const splitComponent = (component, neighbours) => {
+    if (component.length <= MAX_BATCH_RIDES) {
+        return [component];
+    }
+
+    const unassigned = new Set(component);
+    const linksLeft = (i) => neighbours[i].filter(j => unassigned.has(j)).length;
+    const batches = [];
+    while (unassigned.size > 0) {
+        const start = [...unassigned].reduce((best, i) => (linksLeft(i) < linksLeft(best) ? i : best));
+        const batch = [start];
+        unassigned.delete(start);
+        for (let k = 0; k < batch.length && batch.length < MAX_BATCH_RIDES; k++) {
+            for (const j of neighbours[batch[k]]) {
+                if (batch.length >= MAX_BATCH_RIDES) break;
+                if (unassigned.has(j)) {
+                    unassigned.delete(j);
+                    batch.push(j);
+                }
+            }
+        }
+        batches.push(batch);
+    }
+    return batches;
+};
+
+/**
+ * Best set of disjoint pairs in a batch: as many pairs as possible, then the highest total weight.
+ * Exact dynamic programme over subsets of the batch (a greedy pass can use up the one partner
+ * another ride had); O(2^n * n), so n is kept to MAX_BATCH_RIDES.
+ * @param {Array<Array<number|null>>} weights - weights[i][j] of pairing rides i and j, null if they can't pair.
+ * @returns {Array<[number, number]>} - Index pairs.
+ */
+const findBestPairing = (weights) => {
+    const n = weights.length;
+    if (n > MAX_BATCH_RIDES) {
+        throw new Error(`Cannot pair a batch of more than ${MAX_BATCH_RIDES} rides.`);
+    }
+
+    // For each subset of rides (bit i = ride i), the best pairing within it; built from smaller subsets
+    const size = 1 << n;
+    const pairs = new Uint8Array(size);
+    const total = new Float64Array(size);
+    const partner = new Int8Array(size).fill(-1); // partner of the subset's lowest ride, -1 if it stays unpaired
+
+    for (let mask = 1; mask < size; mask++) {
+        const i = 31 - Math.clz32(mask & -mask);
+        const rest = mask ^ (1 << i);
+        pairs[mask] = pairs[rest];
+        total[mask] = total[rest];
+
+        for (let j = i + 1; j < n; j++) {
+            if (!(rest & (1 << j)) || weights[i][j] === null) continue;
+            const without = rest ^ (1 << j);
+            const candidatePairs = pairs[without] + 1;
+            const candidateTotal = total[without] + weights[i][j];
+            if (candidatePairs > pairs[mask] || (candidatePairs === pairs[mask] && candidateTotal > total[mask])) {
+                pairs[mask] = candidatePairs;
+                total[mask] = candidateTotal;
+                partner[mask] = j;
+            }
+        }
+    }
+
+    const result = [];
+    let mask = size - 1;
+    while (mask) {
+        const i = 31 - Math.clz32(mask & -mask);
+        const j = partner[mask];
+        if (j === -1) {
+            mask ^= 1 << i;
+        } else {
+            result.push([i, j]);
+            mask ^= (1 << i) | (1 << j);
+        }
+    }
+    return result;
+};
+
+/**
+ * Creates a system-proposed conversation between two rides if both are still unmatched and opted in
+ * (riders may have acted since the batch was computed), then notifies both riders.
+ * @param {object|string} rideIdA
+ * @param {object|string} rideIdB
+ * @returns {Promise<object|null>} - The new conversation, or null if the pair no longer applies.
+ */
+const proposePair = async (rideIdA, rideIdB) => {
+    const session = await mongoose.startSession();
+    let conversation = null;
+    let rides = [];
+
+    try {
+        await session.withTransaction(async () => {
+            conversation = null;
+            rides = await Promise.all([rideIdA, rideIdB].map(rideId => RideRequest.findById(rideId).session(session)));
+            if (rides.some(ride => !ride || ride.status !== 'Available' || ride.preferences?.autoPair === false) ||
+                !canAutoPair(rides[0], rides[1])) {
+                return;
+            }
+            conversation = await createPairConversation(rides[0], rides[1], session, { systemProposed: true });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    if (conversation) {
+        for (const [ride, otherRide] of [[rides[0], rides[1]], [rides[1], rides[0]]]) {
+            await createNotification(ride.userId, {
+                type: 'auto_pair',
+                message: `We found someone heading to ${ride.destination} around the same time as you. Confirm to share the cab.`,
+                data: {
+                    conversationId: conversation._id,
+                    rideId: ride._id,
+                    otherRideId: otherRide._id,
+                    destination: ride.destination,
+                    departureTime: otherRide.departureTime
+                }
+            });
+        }
+    }
+    return conversation;
+};
+
+/**
+ * One pass of the auto-pair job: takes the Available rides departing in the next AUTO_PAIR_LEAD_MINUTES
+ * (but not within AUTO_PAIR_MIN_LEAD_MINUTES) whose riders didn't opt out, and proposes the best set of pairs
+ * in each destination and slot. Pairs are weighted by their match score (matchRankingService.scoreMatch,
+ * averaged over both sides). A pair that fails is logged and the rest of the batch carries on.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} - Number of conversations proposed.
+ */
+const proposePairings = async (now = new Date()) => {
+    const rides = await RideRequest.find({
+        status: 'Available',
+        'preferences.autoPair': { $ne: false },
+        departureTime: {
+            $gte: new Date(now.getTime() + AUTO_PAIR_MIN_LEAD_MINUTES * 60 * 1000),
+            $lte: new Date(now.getTime() + AUTO_PAIR_LEAD_MINUTES * 60 * 1000)
+        }
+    }).select('_id userId campus destinationId destination direction pickupPoint departureTime earliestDeparture latestDeparture seatsNeeded vehicleCapacity preferences travelService conversations').lean();
+    if (rides.length < 2) {
+        return 0;
+    }
+
+    const owners = await User.find({ _id: { $in: rides.map(ride => ride.userId) } }).select('reputation').lean();
+    const reputationByUser = new Map(owners.map(owner => [owner._id.toString(), formatReputation(owner)]));
+    const scoreFor = (ride, candidate) => scoreMatch(ride, candidate, {
+        reputation: reputationByUser.get(candidate.userId.toString()) || formatReputation(null),
+        serviceAffinity: getServiceAffinity(ride, candidate)
+    }).score;
+
+    let proposed = 0;
+    for (const batch of buildBatches(rides)) {
+        const weights = batch.map((rideA, i) => batch.map((rideB, j) =>
+            i !== j && canAutoPair(rideA, rideB) ? (scoreFor(rideA, rideB) + scoreFor(rideB, rideA)) / 2 : null));
+
+        for (const [i, j] of findBestPairing(weights)) {
+            try {
+                if (await proposePair(batch[i]._id, batch[j]._id)) {
+                    proposed++;
+                }
+            } catch (error) {
+                console.error(`[PairingService] Error proposing rides ${batch[i]._id} and ${batch[j]._id}:`, error);
+            }
+        }
+    }
+    return proposed;
+};
+
+module.exports = {
+    createPairConversation,
+    findBestPairing,
+    proposePairings,
+};
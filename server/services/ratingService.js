@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { User, RideHistory, Rating } = require('../model/index');
+
+// Configuration: how long after departure ride partners can rate each other
+const RATING_WINDOW_DAYS = 7;
+const RATING_TAGS = Rating.schema.path('tags').caster.enumValues;
+
+/**
+ * Reputation shown next to a user: average score (one decimal, null until rated), number of ratings
+ * and how often each tag was given, most frequent first.
+ * @param {object} user - User document or lean object (may be null for deleted accounts).
+ * @returns {{ average: number|null, count: number, tags: Array<{ tag: string, count: number }> }}
+ */
+const formatReputation = (user) => {
+    const reputation = user?.reputation || {};
+    const count = reputation.ratingCount || 0;
+    const tagCounts = reputation.tagCounts instanceof Map
+        ? Object.fromEntries(reputation.tagCounts)
+        : (reputation.tagCounts || {});
+
+    return {
+        average: count > 0 ? Math.round((reputation.ratingTotal / count) * 10) / 10 : null,
+        count,
+        tags: Object.entries(tagCounts)
+            .filter(([, tagCount]) => tagCount > 0)
+            .map(([tag, tagCount]) => ({ tag, count: tagCount }))
+            .sort((a, b) => b.count - a.count)
+    };
+};
+
+/**
+ * Rates a ride partner of a departed confirmed ride: score 1-5 and optional tags (RATING_TAGS).
+ * Every member of the group can rate each of the others once, within RATING_WINDOW_DAYS of departure.
+ * The rating is stored and added to the ratee's reputation in one transaction.
+ * @param {object|string} raterId
+ * @param {string} historyId - The rater's RideHistory entry for the ride.
+ * @param {{ userId: string, score: number, tags?: Array<string> }} rating - userId is the partner being rated.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<object>} - The new Rating document.
+ * @throws {{ status: number, message: string }} - 400 for an invalid rating, 404 if the ride or partner isn't found,
+ *   409 if the partner was already rated or the window has closed.
+ */
+const rateRidePartner = async (raterId, historyId, { userId, score, tags = [] } = {}, now = new Date()) => {
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+        throw { status: 400, message: 'score must be a whole number between 1 and 5.' };
+    }
+    if (!Array.isArray(tags) || tags.some(tag => !RATING_TAGS.includes(tag))) {
+        throw { status: 400, message: `tags must be a list of: ${RATING_TAGS.join(', ')}` };
+    }
+    if (!mongoose.Types.ObjectId.isValid(historyId) || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw { status: 400, message: 'Invalid ride history or user ID.' };
+    }
+
+    const entry = await RideHistory.findOne({ _id: historyId, userId: raterId, conversationId: { $ne: null } }).lean();
+    if (!entry) {
+        throw { status: 404, message: 'Confirmed ride not found in your history.' };
+    }
+    if (!entry.counterparts.some(counterpart => counterpart.userId && counterpart.userId.equals(userId))) {
+        throw { status: 404, message: 'That user was not part of your ride group.' };
+    }
+    if (now.getTime() > entry.departureTime.getTime() + RATING_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+        throw { status: 409, message: `Ride partners can only be rated within ${RATING_WINDOW_DAYS} days of departure.` };
+    }
+
+    const uniqueTags = [...new Set(tags)];
+    const session = await mongoose.startSession();
+    let rating = null;
+
+    try {
+        await session.withTransaction(async () => {
+            [rating] = await Rating.create([{
+                raterId,
+                rateeId: userId,
+                conversationId: entry.conversationId,
+                historyId: entry._id,
+                score,
+                tags: uniqueTags,
+                createdAt: now
+            }], { session });
+
+            const increments = { 'reputation.ratingCount': 1, 'reputation.ratingTotal': score };
+            uniqueTags.forEach(tag => { increments[`reputation.tagCounts.${tag}`] = 1; });
+            await User.updateOne({ _id: userId }, { $inc: increments }, { session });
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw { status: 409, message: 'You have already rated this ride partner.' };
+        }
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+
+    return rating;
+};
+
+module.exports = {
+    RATING_TAGS,
+    formatReputation,
+    rateRidePartner,
+};
@@ -0,0 +1,278 @@
+const { User, RideRequest } = require('../model/index');
+const mongoose = require('mongoose');
+const { ACTIVE_STATUSES, leaveConversation, emitConversationUpdates } = require('./conversationService');
+const { getDepartureOverlap } = require('./matchingService');
+const { getAccountStanding } = require('./standingService');
+const { notifyNewMatches, notifyMatchRemoved } = require('./matchAlertService');
+const { notifyWatchers } = require('./watchService');
+const { DEFAULT_DEPARTURE_FLEX_MINUTES, getDefaultDepartureWindow, normalizePickupPoint } = require('../utils/rideValidation');
+
+const CONVERSATION_EXPIRY_BUFFER_HOURS = 2; // Conversation expires 2 hours after the ride departs
+const MAX_ACTIVE_RIDES = Number(process.env.MAX_ACTIVE_RIDE_REQUESTS) || 3; // rides a user can hold at once (e.g. outbound and return)
+
+/**
+ * Creates a ride request for a user and adds it to their active rides, enforcing the active ride limit,
+ * non-overlapping departure windows and the daily request limit, then alerts the owners of matching rides
+ * and users watching for such rides. Inputs must already be validated (see utils/rideValidation).
+ * @param {object} user - The Mongoose User document (saved by this function).
+ * @param {object} campus - The user's campus.
+ * @param {object} ride - { destinationDoc, direction, pickupPoint, departure, departureWindow, seatsNeeded, vehicleCapacity, preferences, travelService, scheduleId };
+ *   departureWindow ({ earliest, latest }) defaults to the window around the departure time, and preferences
+ *   left out fall back to the user's profile preferences.
+ * @returns {Promise<object>} - The new RideRequest document.
+ * @throws {{ status: number, message: string }} - 409 if the active ride limit is reached or the times overlap
+ *   another active ride, 429 if the daily limit (see standingService) is reached.
+ */
+const createRideForUser = async (user, campus, { destinationDoc, direction, pickupPoint, departure, departureWindow, seatsNeeded, vehicleCapacity, preferences, travelService, scheduleId }) => {
+    // Ensure seconds/ms are zeroed before saving, even if validation passed (belt and suspenders)
+    const departureTime = new Date(departure);
+    departureTime.setSeconds(0, 0);
+    const { earliest, latest } = departureWindow || getDefaultDepartureWindow(departureTime);
+
+    const activeRides = await findActiveRides(user);
+    if (activeRides.length >= MAX_ACTIVE_RIDES) {
+        throw { status: 409, message: `You can have at most ${MAX_ACTIVE_RIDES} active ride requests. Please cancel one before creating a new one.` };
+    }
+    const overlappingRide = activeRides.find(ride => getDepartureOverlap(ride, { earliestDeparture: earliest, latestDeparture: latest }));
+    if (overlappingRide) {
+        throw {
+            status: 409,
+            message: `This ride's departure window overlaps your ride to ${overlappingRide.destination} at ${overlappingRide.departureTime.toISOString()}.`
+        };
+    }
+
+    // Check daily request limit (lower for users with recent no-shows)
+    user.resetDailyCountIfNeeded(campus.timezone);
+    const { dailyRequestLimit, throttled, recentNoShows, noShowWindowDays } = await getAccountStanding(user._id);
+    if (user.requestCount.count >= dailyRequestLimit) {
+        throw {
+            status: 429,
+            message: throttled
+                ? `Daily ride request limit (${dailyRequestLimit}) reached. The limit is reduced because you were reported as a no-show ${recentNoShows} times in the last ${noShowWindowDays} days.`
+                : `Daily ride request limit (${dailyRequestLimit}) reached. Please try again tomorrow.`
+        };
+    }
+
+    // Create the new ride request
+    const newRideRequest = new RideRequest({
+        userId: user._id,
+        campus: campus.slug,
+        destinationId: destinationDoc._id,
+        destination: destinationDoc.name,
+        direction,
+        pickupPoint: normalizePickupPoint(pickupPoint),
+        departureTime,
+        earliestDeparture: earliest,
+        latestDeparture: latest,
+        seatsNeeded,
+        vehicleCapacity,
+        preferences: { ...user.toObject().preferences, ...preferences },
+        travelService,
+        scheduleId
+    });
+    await newRideRequest.save();
+
+    // Update user's request count and link the new ride
+    user.incrementRequestCount(campus.timezone);
+    user.activeRideRequests.push(newRideRequest._id);
+    await user.save(); // This save will also persist references cleared by findActiveRides()
+
+    // Alert owners of rides this one matches, and users watching for rides like it
+    await notifyNewMatches(newRideRequest);
+    await notifyWatchers(newRideRequest);
+
+    return newRideRequest;
+};
+
+/**
+ * A user's active rides, soonest departure first. References to rides that no longer exist are
+ * dropped from `user.activeRideRequests` (not saved; callers that save the user persist the fix).
+ * @param {object} user - The Mongoose User document.
+ * @param {object} [session]
+ * @returns {Promise<Array<object>>} - RideRequest documents.
+ */
+const findActiveRides = async (user, session = null) => {
+    const rides = await RideRequest.find({ _id: { $in: user.activeRideRequests }, userId: user._id })
+        .sort({ departureTime: 1 })
+        .session(session);
+
+    if (rides.length < user.activeRideRequests.length) {
+        console.warn(`Data inconsistency: Clearing invalid activeRideRequests for user ${user._id}`);
+        user.activeRideRequests = rides.map(ride => ride._id);
+    }
+    return rides;
+};
+
+/**
+ * Loads one of a user's active rides for a ride-scoped endpoint (`/api/rides/:rideId/...`).
+ * Without a rideId it falls back to the ride departing next, which is what the single-ride
+ * `/current` endpoints act on.
+ * @param {object} user - The Mongoose User document (or lean object with _id and activeRideRequests).
+ * @param {string} [rideId]
+ * @param {object} [session]
+ * @returns {Promise<object|null>} - The RideRequest document, or null if the user has no active ride (without rideId).
+ * @throws {{ status: number, message: string }} - 400 for an invalid rideId, 404 if it isn't one of the user's active rides.
+ */
+const findUserRide = async (user, rideId, session = null) => {
+    if (!rideId) {
+        return RideRequest.findOne({ _id: { $in: user.activeRideRequests }, userId: user._id })
+            .sort({ departureTime: 1 })
+            .session(session);
+    }
+    if (!mongoose.Types.ObjectId.isValid(rideId)) {
+        throw { status: 400, message: 'Invalid ride ID.' };
+    }
+    const ride = await RideRequest.findOne({ _id: rideId, userId: user._id }).session(session);
+    if (!ride) {
+        throw { status: 404, message: 'Ride request not found.' };
+    }
+    return ride;
+};
+
+/**
+ * Removes a ride from its owner's active rides. Runs inside the caller's transaction.
+ * @param {object} ride
+ * @param {object} session
+ * @returns {Promise<void>}
+ */
+const unlinkRide = async (ride, session) => {
+    await User.updateOne({ _id: ride.userId }, { $pull: { activeRideRequests: ride._id } }, { session });
+};
+
+/**
+ * Expiry of a conversation between two rides: a buffer after the EARLIER departure time.
+ * @param {object} rideA
+ * @param {object} rideB
+ * @returns {Date}
+ */
+const computeConversationExpiry = (rideA, rideB) => {
+    const earlierDepartureTime = rideA.departureTime < rideB.departureTime
+        ? rideA.departureTime
+        : rideB.departureTime;
+    return new Date(earlierDepartureTime.getTime() + CONVERSATION_EXPIRY_BUFFER_HOURS * 60 * 60 * 1000);
+};
+
+/**
+ * Takes a ride that is going away (cancelled ride, deleted account...) out of every group it is in:
+ * unconfirmed conversations are declined for everyone, confirmed groups carry on with the seat freed
+ * (or dissolve if fewer than two members remain). Runs inside the caller's transaction; does not delete the ride.
+ * @param {object} rideToRelease - The Mongoose RideRequest document being removed.
+ * @param {object} session - The Mongoose session of the surrounding transaction.
+ * @returns {Promise<Array<string>>} - IDs of the affected conversations, for emitRideReleased().
+ */
+const releaseRideConversations = async (rideToRelease, session) => {
+    const affectedConversations = [];
+
+    for (const convRef of rideToRelease.conversations || []) {
+        // Only conversations still tying this ride to others affect other rides' states
+        if (ACTIVE_STATUSES.includes(convRef.status)) {
+            affectedConversations.push(...await leaveConversation(convRef.conversationId, rideToRelease._id, session));
+        }
+    }
+
+    return affectedConversations;
+};
+
+/**
+ * Notifies the remaining participants (via their conversation rooms) that a ride left their groups.
+ * Call only after the transaction that produced `affectedConversations` has committed.
+ * @param {Array<string>} affectedConversations - Result of releaseRideConversations().
+ * @returns {Promise<void>}
+ */
+const emitRideReleased = (affectedConversations) => emitConversationUpdates(affectedConversations);
+
+/**
+ * Cancels any ride by ID on behalf of the system or a moderator (not the owner's own cancel flow):
+ * releases its conversations, unlinks it from the owner and deletes it, then notifies counterparts and
+ * the owners of rides that listed it as a match.
+ * @param {string} rideId
+ * @returns {Promise<object>} - The deleted ride (lean).
+ * @throws {{ status: number, message: string }} - 404 if the ride doesn't exist.
+ */
+const cancelRide = async (rideId) => {
+    const session = await mongoose.startSession();
+    let cancelledRide = null;
+    let affectedConversations = [];
+
+    try {
+        await session.withTransaction(async () => {
+            const ride = await RideRequest.findById(rideId).session(session);
+            if (!ride) {
+                throw { status: 404, message: 'Ride request not found.' };
+            }
+
+            affectedConversations = await releaseRideConversations(ride, session);
+
+            await unlinkRide(ride, session);
+            await RideRequest.deleteOne({ _id: ride._id }, { session });
+            cancelledRide = ride.toObject();
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    await emitRideReleased(affectedConversations);
+    await notifyMatchRemoved(cancelledRide);
+    return cancelledRide;
+};
+
+/**
+ * One-off migration run at startup: gives rides created before departure windows existed
+ * the default window around their departure time, so window-based matching finds them.
+ * @returns {Promise<number>} - Number of updated rides.
+ */
+const backfillDepartureWindows = async () => {
+    const flexMillis = DEFAULT_DEPARTURE_FLEX_MINUTES * 60 * 1000;
+    const result = await RideRequest.collection.updateMany(
+        { earliestDeparture: { $exists: false } },
+        [{
+            $set: {
+                earliestDeparture: { $subtract: ['$departureTime', flexMillis] },
+                latestDeparture: { $add: ['$departureTime', flexMillis] }
+            }
+        }]
+    );
+    if (result.modifiedCount) {
+        console.log(`[RideService] Added default departure windows to ${result.modifiedCount} ride request(s).`);
+    }
+    return result.modifiedCount;
+};
+
+/**
+ * One-off migration run at startup: turns the single currentRideRequest of each user into the
+ * activeRideRequests list. Uses the raw collection since the old field is no longer in the schema.
+ * @returns {Promise<number>} - Number of migrated users.
+ */
+const migrateActiveRideRequests = async () => {
+    const result = await User.collection.updateMany(
+        { currentRideRequest: { $exists: true } },
+        [
+            {
+                $set: {
+                    activeRideRequests: {
+                        $cond: [{ $ifNull: ['$currentRideRequest', false] }, ['$currentRideRequest'], []]
+                    }
+                }
+            },
+            { $unset: 'currentRideRequest' }
+        ]
+    );
+    if (result.modifiedCount) {
+        console.log(`[RideService] Migrated ${result.modifiedCount} user(s) to activeRideRequests.`);
+    }
+    return result.modifiedCount;
+};
+
+module.exports = {
+    MAX_ACTIVE_RIDES,
+    createRideForUser,
+    findActiveRides,
+    findUserRide,
+    unlinkRide,
+    migrateActiveRideRequests,
+    backfillDepartureWindows,
+    computeConversationExpiry,
+    releaseRideConversations,
+    emitRideReleased,
+    cancelRide,
+};
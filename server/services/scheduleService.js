@@ -0,0 +1,144 @@
+const { User, RideSchedule } = require('../model/index');
+const { getCampus, getCampusForUser } = require('./campusService');
+const { resolveDestination } = require('./destinationService');
+const { createRideForUser } = require('./rideService');
+const { getAccountRestriction } = require('./userService');
+const { getZonedParts, zonedTimeToDate } = require('../utils/timezone');
+const { isValidPoint } = require('../utils/geo');
+
+// Configuration: how far ahead of an occurrence its ride request is created
+const SCHEDULE_LEAD_HOURS = Number(process.env.RIDE_SCHEDULE_LEAD_HOURS) || 24;
+
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+
+/**
+ * Next departure of a weekly schedule strictly after a given instant, in the campus timezone.
+ * @param {{ weekday: number, slot: string }} schedule
+ * @param {string} timeZone - Campus timezone.
+ * @param {Date} [after=new Date()]
+ * @returns {Date}
+ */
+const getNextOccurrence = (schedule, timeZone, after = new Date()) => {
+    const [hour, minute] = schedule.slot.split(':').map(Number);
+    const today = getZonedParts(after, timeZone);
+
+    // Walk forward day by day (at most 8 steps) until the weekday matches and the slot is still ahead
+    for (let offset = 0; offset <= 7; offset++) {
+        // Noon UTC of the local calendar day keeps the date arithmetic clear of DST edges
+        const day = new Date(Date.UTC(today.year, today.month - 1, today.day, 12) + offset * DAY_MILLIS);
+        if (day.getUTCDay() !== schedule.weekday) continue;
+
+        const occurrence = zonedTimeToDate({
+            year: day.getUTCFullYear(),
+            month: day.getUTCMonth() + 1,
+            day: day.getUTCDate(),
+            hour,
+            minute
+        }, timeZone);
+        if (occurrence > after) {
+            return occurrence;
+        }
+    }
+    throw new Error(`Could not compute the next occurrence of schedule ${schedule._id}.`);
+};
+
+/**
+ * Next occurrence the job still has to handle: after both now and the last handled one, or null once past endDate.
+ * @param {object} schedule - RideSchedule document or lean object.
+ * @param {string} timeZone - Campus timezone.
+ * @param {Date} [now=new Date()]
+ * @returns {Date|null}
+ */
+const getUpcomingOccurrence = (schedule, timeZone, now = new Date()) => {
+    const after = schedule.lastOccurrence && schedule.lastOccurrence > now ? schedule.lastOccurrence : now;
+    const occurrence = getNextOccurrence(schedule, timeZone, after);
+    if (schedule.endDate && occurrence > schedule.endDate) {
+        return null;
+    }
+    return occurrence;
+};
+
+// Nested paths always exist on documents, so an unset pickupPoint is an empty object
+const hasPickupPoint = (pickupPoint) => Boolean(pickupPoint?.name || isValidPoint(pickupPoint?.location));
+
+// Creates the ride for one occurrence, or explains why it was skipped
+const createOccurrenceRide = async (schedule, occurrence) => {
+    const user = await User.findById(schedule.userId);
+    if (!user) {
+        return { status: 'skipped', message: 'Owner account no longer exists.' };
+    }
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+        return { status: 'skipped', message: restriction.message };
+    }
+
+    const campus = getCampusForUser(user);
+    if (!campus || campus.slug !== schedule.campus) {
+        return { status: 'skipped', message: 'Your account is no longer associated with this campus.' };
+    }
+
+    const destinationDoc = await resolveDestination(campus.slug, { destinationId: schedule.destinationId });
+    if (!destinationDoc) {
+        return { status: 'skipped', message: `Destination '${schedule.destination}' is no longer available.` };
+    }
+
+    try {
+        // Same rules as a manual request: active ride limit, no overlapping rides, daily request limit
+        const ride = await createRideForUser(user, campus, {
+            destinationDoc,
+            direction: schedule.direction,
+            pickupPoint: hasPickupPoint(schedule.pickupPoint) ? schedule.pickupPoint : undefined,
+            departure: occurrence,
+            scheduleId: schedule._id
+        });
+        return { status: 'created', message: 'Ride request created.', rideId: ride._id };
+    } catch (error) {
+        if (error.status) {
+            return { status: 'skipped', message: error.message };
+        }
+        throw error;
+    }
+};
+
+/**
+ * One pass of the schedule job: creates ride requests for every active schedule whose next
+ * occurrence is within the lead time. Each occurrence is handled once, created or skipped.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{ created: number, skipped: number }>}
+ */
+const processDueSchedules = async (now = new Date()) => {
+    const counts = { created: 0, skipped: 0 };
+    const schedules = await RideSchedule.find({
+        paused: false,
+        $or: [{ endDate: null }, { endDate: { $gt: now } }]
+    });
+
+    for (const schedule of schedules) {
+        try {
+            const campus = getCampus(schedule.campus);
+            if (!campus) continue;
+
+            const occurrence = getUpcomingOccurrence(schedule, campus.timezone, now);
+            if (!occurrence || occurrence.getTime() - now.getTime() > SCHEDULE_LEAD_HOURS * 60 * 60 * 1000) {
+                continue;
+            }
+
+            const result = await createOccurrenceRide(schedule, occurrence);
+            schedule.lastOccurrence = occurrence;
+            schedule.lastResult = { ...result, at: now };
+            await schedule.save();
+            counts[result.status]++;
+        } catch (error) {
+            console.error(`[ScheduleService] Error processing schedule ${schedule._id}:`, error);
+        }
+    }
+
+    return counts;
+};
+
+module.exports = {
+    SCHEDULE_LEAD_HOURS,
+    getNextOccurrence,
+    getUpcomingOccurrence,
+    processDueSchedules,
+};
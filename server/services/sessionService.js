@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { User, Session } = require('../model/index');
+
+// Configuration: session lifetime rules
+const SESSION_IDLE_TTL_DAYS = 30; // session expires after this long without use
+const SESSION_MAX_LIFETIME_DAYS = 90; // hard cap regardless of activity
+const SESSION_TOUCH_INTERVAL_MINUTES = 5; // avoid a write on every request
+
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+
+// Keyed hash (HMAC) of an access token - only this is persisted and indexed.
+// A database dump alone can't be used to forge or replay tokens without TOKEN_HASH_SECRET.
+const hashToken = (token) => {
+    const secret = process.env.TOKEN_HASH_SECRET;
+    if (!secret) {
+        throw new Error('TOKEN_HASH_SECRET is not configured.');
+    }
+    return crypto.createHmac('sha256', secret).update(token).digest('hex');
+};
+
+// Next expiry for a session: idle TTL from now, never past the absolute lifetime
+const computeExpiry = (createdAt, now = new Date()) => {
+    const idleExpiry = now.getTime() + SESSION_IDLE_TTL_DAYS * DAY_MILLIS;
+    const hardExpiry = createdAt.getTime() + SESSION_MAX_LIFETIME_DAYS * DAY_MILLIS;
+    return new Date(Math.min(idleExpiry, hardExpiry));
+};
+
+// Device details recorded for the session list
+const describeClient = (req) => {
+    const userAgent = req?.headers?.['user-agent'];
+    const deviceName = typeof req?.body?.deviceName === 'string' && req.body.deviceName.trim()
+        ? req.body.deviceName.trim().slice(0, 100)
+        : undefined;
+
+    return {
+        deviceName,
+        userAgent: userAgent ? userAgent.slice(0, 300) : undefined,
+        ipAddress: req?.ip
+    };
+};
+
+/**
+ * Creates a new session (i.e. logs in one more device) for a user.
+ * @param {object} user - The Mongoose User document.
+ * @param {object} req - The Express request, used for device details.
+ * @returns {Promise<{ accessToken: string, session: object }>}
+ */
+const createSession = async (user, req) => {
+    const accessToken = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const session = await Session.create({
+        userId: user._id,
+        tokenHash: hashToken(accessToken),
+        ...describeClient(req),
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: computeExpiry(now, now)
+    });
+
+    return { accessToken, session };
+};
+
+/**
+ * One-off migration run at startup: converts plaintext tokens into hashed sessions.
+ * Covers sessions created before tokens were hashed and the older single User.accessToken,
+ * so existing logins keep working without anyone being forced to log in again.
+ * Uses the raw collections since the plaintext fields are no longer part of the schemas.
+ * @returns {Promise<{ sessions: number, users: number }>} - Counts of migrated records.
+ */
+const migratePlaintextTokens = async () => {
+    let migratedSessions = 0;
+    let migratedUsers = 0;
+
+    // 0. Drop the unique index over the old plaintext field first, otherwise sessions without it collide on null
+    await Session.collection.dropIndex('token_1').catch(() => {}); // ignore if already gone
+
+    // 1. Sessions still carrying a plaintext token
+    const plaintextSessions = Session.collection.find(
+        { token: { $exists: true } },
+        { projection: { token: 1 } }
+    );
+    for await (const legacySession of plaintextSessions) {
+        await Session.collection.updateOne(
+            { _id: legacySession._id },
+            { $set: { tokenHash: hashToken(legacySession.token) }, $unset: { token: '' } }
+        );
+        migratedSessions++;
+    }
+
+    // 2. Users still carrying the pre-session accessToken
+    const legacyUsers = User.collection.find(
+        { accessToken: { $type: 'string' } },
+        { projection: { accessToken: 1 } }
+    );
+    for await (const legacyUser of legacyUsers) {
+        const now = new Date();
+        await Session.create({
+            userId: legacyUser._id,
+            tokenHash: hashToken(legacyUser.accessToken),
+            deviceName: 'Legacy session',
+            createdAt: now,
+            lastUsedAt: now,
+            expiresAt: computeExpiry(now, now)
+        });
+        await User.collection.updateOne({ _id: legacyUser._id }, { $unset: { accessToken: '' } });
+        migratedUsers++;
+    }
+
+    // 3. Drop the user token index and (re)build the tokenHash index, which can't build while
+    //    unmigrated sessions are missing the field
+    await User.collection.dropIndex('accessToken_1').catch(() => {}); // ignore if already gone
+    await Session.createIndexes();
+
+    if (migratedSessions || migratedUsers) {
+        console.log(`[SessionService] Hashed ${migratedSessions} plaintext session token(s) and migrated ${migratedUsers} legacy user token(s).`);
+    }
+    return { sessions: migratedSessions, users: migratedUsers };
+};
+
+/**
+ * Resolves a bearer token to its live session and user, sliding the expiry forward.
+ * @param {string} token - The raw access token presented by the client.
+ * @returns {Promise<{ session: object, user: object } | null>} - null if the token is unknown or expired.
+ */
+const resolveSession = async (token) => {
+    if (!token) {
+        return null;
+    }
+
+    const now = new Date();
+    const session = await Session.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: now } });
+    if (!session) {
+        return null;
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+        // Orphaned session (user removed) - clean it up
+        await Session.deleteOne({ _id: session._id });
+        return null;
+    }
+
+    // Sliding refresh, throttled so active clients don't write on every request
+    if (now.getTime() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MINUTES * 60 * 1000) {
+        session.lastUsedAt = now;
+        session.expiresAt = computeExpiry(session.createdAt, now);
+        await session.save();
+    }
+
+    return { session, user };
+};
+
+/**
+ * Lists a user's live sessions, newest activity first.
+ * @param {string} userId
+ * @returns {Promise<Array<object>>} - Lean session documents without tokens.
+ */
+const listSessions = async (userId) => {
+    return Session.find({ userId, expiresAt: { $gt: new Date() } })
+        .select('-tokenHash')
+        .sort({ lastUsedAt: -1 })
+        .lean();
+};
+
+/**
+ * Revokes one of a user's sessions.
+ * @param {string} userId - Owner of the session (prevents revoking other users' sessions).
+ * @param {string} sessionId
+ * @returns {Promise<boolean>} - true if a session was removed.
+ */
+const revokeSession = async (userId, sessionId) => {
+    const result = await Session.deleteOne({ _id: sessionId, userId });
+    return result.deletedCount > 0;
+};
+
+/**
+ * Revokes all of a user's sessions, optionally keeping one (e.g. the current device).
+ * @param {string} userId
+ * @param {string} [exceptSessionId]
+ * @returns {Promise<Array<string>>} - IDs of the revoked sessions.
+ */
+const revokeAllSessions = async (userId, exceptSessionId = null) => {
+    const filter = { userId };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+
+    const sessions = await Session.find(filter).select('_id').lean();
+    const sessionIds = sessions.map(s => s._id.toString());
+    if (sessionIds.length > 0) {
+        await Session.deleteMany({ _id: { $in: sessionIds } });
+    }
+    return sessionIds;
+};
+
+module.exports = {
+    migratePlaintextTokens,
+    createSession,
+    resolveSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+};
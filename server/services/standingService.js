@@ -0,0 +1,48 @@
+const { RideHistory } = require('../model/index');
+
+const MAX_DAILY_REQUESTS = 50; //number of rides a user can create in a day
+// Configuration: no-shows reported against a user count towards their standing for this long
+const NO_SHOW_WINDOW_DAYS = 30;
+// Configuration: daily ride request limit by recent no-shows (the first entry whose minimum is reached applies)
+const NO_SHOW_LIMITS = [
+    { minNoShows: 3, dailyRequests: 1 },
+    { minNoShows: 2, dailyRequests: 3 }
+];
+
+/**
+ * Number of confirmed rides in the last NO_SHOW_WINDOW_DAYS in which someone reported the user as a no-show.
+ * Several reports from the same group count once.
+ * @param {object|string} userId
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>}
+ */
+const countRecentNoShows = async (userId, now = new Date()) => {
+    const since = new Date(now.getTime() - NO_SHOW_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const conversationIds = await RideHistory.distinct('conversationId', {
+        'outcome.noShowUserIds': userId,
+        departureTime: { $gte: since }
+    });
+    return conversationIds.length;
+};
+
+/**
+ * A user's account standing: recent no-shows and the daily ride request limit they lead to.
+ * @param {object|string} userId
+ * @returns {Promise<{ recentNoShows: number, noShowWindowDays: number, dailyRequestLimit: number, throttled: boolean }>}
+ */
+const getAccountStanding = async (userId) => {
+    const recentNoShows = await countRecentNoShows(userId);
+    const limit = NO_SHOW_LIMITS.find(entry => recentNoShows >= entry.minNoShows);
+
+    return {
+        recentNoShows,
+        noShowWindowDays: NO_SHOW_WINDOW_DAYS,
+        dailyRequestLimit: limit ? limit.dailyRequests : MAX_DAILY_REQUESTS,
+        throttled: Boolean(limit)
+    };
+};
+
+module.exports = {
+    countRecentNoShows,
+    getAccountStanding,
+};
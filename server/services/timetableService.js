@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const { Destination, TimetableEntry } = require('../model/index');
+const { getCampus } = require('./campusService');
+const { getZonedParts, getDateKey, zonedTimeToDate } = require('../utils/timezone');
+
+const SERVICE_TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIMETABLE_MODES = TimetableEntry.schema.path('mode').enumValues;
+
+// Configuration: how long before a service leaves the rider should be at the destination (check-in, security, platform)
+const DEPARTURE_BUFFER_MINUTES = { flight: 120, train: 20 };
+// Configuration: how long after a service arrives the rider is ready to be picked up (baggage, walking out)
+const ARRIVAL_BUFFER_MINUTES = { flight: 45, train: 15 };
+
+/**
+ * Canonical form of a carrier code or service number: upper-case, no whitespace ('ai 101' -> 'AI101').
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizeServiceCode = (value) => String(value).replace(/\s+/g, '').toUpperCase();
+
+// Weekdays from a JSON array or a CSV cell such as '1-5' or '0,6' (empty means every day)
+const parseWeekdays = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return [0, 1, 2, 3, 4, 5, 6];
+    }
+    if (Array.isArray(value)) {
+        return value;
+    }
+    const range = /^([0-6])-([0-6])$/.exec(String(value).trim());
+    if (range) {
+        const days = [];
+        for (let day = Number(range[1]); day <= Number(range[2]); day++) days.push(day);
+        return days;
+    }
+    return String(value).split(/[,;|\s]+/).filter(Boolean).map(Number);
+};
+
+// Validates one import row and converts it to entry fields (destination still unresolved)
+const parseTimetableRow = (row) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        return { error: 'Row must be an object.' };
+    }
+    const { campus, destinationId, destination, mode, carrier, serviceNumber, departsAt, arrivesAt, validFrom, validUntil } = row;
+
+    if (!campus || !getCampus(campus)) {
+        return { error: 'A valid campus slug is required.' };
+    }
+    if (!destinationId && !destination) {
+        return { error: 'destinationId or destination (name) is required.' };
+    }
+    if (!TIMETABLE_MODES.includes(mode)) {
+        return { error: `mode must be one of: ${TIMETABLE_MODES.join(', ')}` };
+    }
+    if (!carrier || !serviceNumber) {
+        return { error: 'carrier and serviceNumber are required.' };
+    }
+    if (!departsAt && !arrivesAt) {
+        return { error: 'At least one of departsAt and arrivesAt is required.' };
+    }
+    for (const time of [departsAt, arrivesAt]) {
+        if (time && !SERVICE_TIME_REGEX.test(time)) {
+            return { error: `Invalid time '${time}'. Use 24-hour 'HH:MM'.` };
+        }
+    }
+    for (const date of [validFrom, validUntil]) {
+        if (date && !DATE_KEY_REGEX.test(date)) {
+            return { error: `Invalid date '${date}'. Use 'YYYY-MM-DD'.` };
+        }
+    }
+    const weekdays = parseWeekdays(row.weekdays);
+    if (weekdays.length === 0 || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return { error: 'weekdays must list days from 0 (Sunday) to 6, e.g. "1-5" or "0,6".' };
+    }
+
+    return {
+        entry: {
+            campus,
+            mode,
+            carrier: normalizeServiceCode(carrier),
+            serviceNumber: normalizeServiceCode(serviceNumber),
+            departsAt: departsAt || null,
+            arrivesAt: arrivesAt || null,
+            weekdays: [...new Set(weekdays)].sort(),
+            validFrom: validFrom || null,
+            validUntil: validUntil || null
+        },
+        destinationChoice: { destinationId, name: destination }
+    };
+};
+
+/**
+ * Imports timetable rows (from JSON, or CSV parsed with utils/csv). Each row needs campus, destinationId or
+ * destination (name), mode, carrier, serviceNumber and departsAt and/or arrivesAt (campus-local 'HH:MM');
+ * weekdays, validFrom and validUntil are optional. Existing entries for the same service and destination are
+ * replaced, so large timetables can be imported in several batches. Invalid rows are skipped and reported.
+ * @param {Array<object>} rows
+ * @returns {Promise<{ imported: number, errors: Array<{ row: number, message: string }> }>} - row is 1-based.
+ */
+const importTimetableEntries = async (rows) => {
+    const errors = [];
+    const operations = [];
+    const destinationCache = new Map();
+
+    for (const [index, row] of rows.entries()) {
+        const { entry, destinationChoice, error } = parseTimetableRow(row);
+        if (error) {
+            errors.push({ row: index + 1, message: error });
+            continue;
+        }
+
+        // Inactive destinations are accepted so timetables can be loaded before a destination goes live
+        const cacheKey = `${entry.campus}|${destinationChoice.destinationId || ''}|${destinationChoice.name || ''}`;
+        if (!destinationCache.has(cacheKey)) {
+            const filter = { campus: entry.campus };
+            if (destinationChoice.destinationId) {
+                filter._id = mongoose.Types.ObjectId.isValid(destinationChoice.destinationId) ? destinationChoice.destinationId : null;
+            } else {
+                filter.name = String(destinationChoice.name).trim();
+            }
+            destinationCache.set(cacheKey, await Destination.findOne(filter).select('_id').lean());
+        }
+        const destinationDoc = destinationCache.get(cacheKey);
+        if (!destinationDoc) {
+            errors.push({ row: index + 1, message: `Unknown destination for campus ${entry.campus}.` });
+            continue;
+        }
+
+        const key = { campus: entry.campus, destinationId: destinationDoc._id, carrier: entry.carrier, serviceNumber: entry.serviceNumber };
+        operations.push({ replaceOne: { filter: key, replacement: { ...entry, ...key }, upsert: true } });
+    }
+
+    if (operations.length > 0) {
+        await TimetableEntry.bulkWrite(operations, { ordered: false });
+    }
+    return { imported: operations.length, errors };
+};
+
+// Moves an instant to a :00/:30 slot of the campus timezone, earlier ('down') or later ('up')
+const roundToSlot = (date, timeZone, direction) => {
+    const { minute, second } = getZonedParts(date, timeZone);
+    const offsetMillis = ((minute % 30) * 60 + second) * 1000 + date.getMilliseconds();
+    if (offsetMillis === 0) {
+        return date;
+    }
+    return direction === 'down'
+        ? new Date(date.getTime() - offsetMillis)
+        : new Date(date.getTime() - offsetMillis + 30 * 60 * 1000);
+};
+
+/**
+ * Looks a service up in the campus timetable and works out when to leave campus (or be picked up).
+ * Trips from campus use the time the service leaves the destination, minus the check-in buffer and the
+ * destination's typical travel time, rounded down to a slot; trips to campus use its arrival time plus
+ * a buffer, rounded up.
+ * @param {object} campus - The user's campus.
+ * @param {{ carrier: string, serviceNumber: string, date: string }} service - date is the campus-local 'YYYY-MM-DD' of the service.
+ * @param {{ direction: string, destinationId?: string }} trip - destinationId is needed only if the service calls at several destinations.
+ * @returns {Promise<{ entry: object, destinationDoc: object, scheduledAt: Date, suggestedDeparture: Date }>}
+ * @throws {{ status: number, message: string }} - 404 if the service isn't in the timetable for that trip and date, 400 otherwise.
+ */
+const resolveTravelService = async (campus, { carrier, serviceNumber, date }, { direction, destinationId }) => {
+    if (!date || !DATE_KEY_REGEX.test(date)) {
+        throw { status: 400, message: "travelService.date must be the service's local date as 'YYYY-MM-DD'." };
+    }
+    const timeField = direction === 'to_campus' ? 'arrivesAt' : 'departsAt';
+
+    const filter = {
+        campus: campus.slug,
+        carrier: normalizeServiceCode(carrier),
+        serviceNumber: normalizeServiceCode(serviceNumber),
+        [timeField]: { $ne: null }
+    };
+    if (destinationId) {
+        if (!mongoose.Types.ObjectId.isValid(destinationId)) {
+            throw { status: 400, message: 'Invalid destination ID.' };
+        }
+        filter.destinationId = destinationId;
+    }
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+    const entries = (await TimetableEntry.find(filter).lean()).filter(entry =>
+        entry.weekdays.includes(weekday) &&
+        (!entry.validFrom || entry.validFrom <= date) &&
+        (!entry.validUntil || entry.validUntil >= date)
+    );
+    if (entries.length === 0) {
+        throw { status: 404, message: `${filter.serviceNumber} was not found in the timetable for that date and trip direction.` };
+    }
+    if (entries.length > 1) {
+        throw { status: 400, message: `${filter.serviceNumber} calls at several destinations. Please choose a destination.` };
+    }
+
+    const [entry] = entries;
+    const destinationDoc = await Destination.findOne({ _id: entry.destinationId, campus: campus.slug, active: true }).lean();
+    if (!destinationDoc) {
+        throw { status: 400, message: `${filter.serviceNumber} calls at a destination that is not currently available.` };
+    }
+
+    const [hour, minute] = entry[timeField].split(':').map(Number);
+    const scheduledAt = zonedTimeToDate({ year, month, day, hour, minute }, campus.timezone);
+
+    let suggestedDeparture;
+    if (direction === 'to_campus') {
+        const readyAt = new Date(scheduledAt.getTime() + ARRIVAL_BUFFER_MINUTES[entry.mode] * 60 * 1000);
+        suggestedDeparture = roundToSlot(readyAt, campus.timezone, 'up');
+    } else {
+        const leadMinutes = DEPARTURE_BUFFER_MINUTES[entry.mode] + (destinationDoc.typicalTravelMinutes || 0);
+        const leaveBy = new Date(scheduledAt.getTime() - leadMinutes * 60 * 1000);
+        suggestedDeparture = roundToSlot(leaveBy, campus.timezone, 'down');
+    }
+
+    return { entry, destinationDoc, scheduledAt, suggestedDeparture };
+};
+
+/**
+ * Travel service details to store on a new ride, filling in the destination and departure time from the
+ * timetable when the rider left them out. A service missing from the timetable is still stored (without
+ * mode and scheduledAt) if the rider chose the destination and departure time themselves.
+ * @param {object} campus - The user's campus.
+ * @param {{ carrier: string, serviceNumber: string, date?: string }} service - date defaults to the local date of departureTime.
+ * @param {{ direction: string, destinationId?: string, departureTime?: string }} ride - As sent by the client.
+ * @returns {Promise<{ travelService: object, destinationId: string, departureTime: string|Date }>}
+ * @throws {{ status: number, message: string }} - See resolveTravelService().
+ */
+const resolveRideTravelService = async (campus, service, { direction, destinationId, departureTime }) => {
+    const travelService = {
+        carrier: normalizeServiceCode(service.carrier),
+        serviceNumber: normalizeServiceCode(service.serviceNumber)
+    };
+    const departureDate = departureTime && new Date(departureTime);
+    const date = service.date || (departureDate && !isNaN(departureDate.getTime()) ? getDateKey(departureDate, campus.timezone) : undefined);
+
+    try {
+        const { entry, destinationDoc, scheduledAt, suggestedDeparture } = await resolveTravelService(campus, { ...travelService, date }, { direction, destinationId });
+        return {
+            travelService: { ...travelService, mode: entry.mode, scheduledAt },
+            destinationId: destinationId || destinationDoc._id,
+            departureTime: departureTime || suggestedDeparture
+        };
+    } catch (error) {
+        if (error.status === 404 && destinationId && departureTime) {
+            return { travelService, destinationId, departureTime };
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    normalizeServiceCode,
+    importTimetableEntries,
+    resolveTravelService,
+    resolveRideTravelService,
+};
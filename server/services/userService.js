@@ -0,0 +1,91 @@
+const { User } = require('../model/index');
+const { formatReputation } = require('./ratingService');
+
+// --- Helper for Display Name Generation ---
+const adjectives = ["Quick", "Bright", "Silent", "Happy", "Lucky", "Clever", "Brave", "Calm", "Eager", "Gentle", "Swift", "Wise", "Bold", "Keen", "Vivid"];
+const nouns = ["Fox", "Tiger", "Panda", "Eagle", "Wolf", "Lion", "Bear", "Shark", "Hawk", "Jaguar", "Sparrow", "Robin", "Falcon", "Owl", "Badger"];
+
+// Basic generator, collisions possible but less likely with number
+async function generateUniqueDisplayName() {
+    let displayName = '';
+    let isUnique = false;
+    let attempts = 0;
+    const maxAttempts = 10; // Prevent infinite loops
+
+    while (!isUnique && attempts < maxAttempts) {
+        const adj = adjectives[Math.floor(Math.random() * adjectives.length)];
+        const noun = nouns[Math.floor(Math.random() * nouns.length)];
+        const num = Math.floor(Math.random() * 900) + 100; // 100-999
+        displayName = `${adj}${noun}${num}`;
+
+        // Check if displayName already exists (optional but recommended)
+        const existingUser = await User.findOne({ displayName: displayName }).lean();
+        if (!existingUser) {
+            isUnique = true;
+        }
+        attempts++;
+    }
+    if (!isUnique) {
+        // Fallback if unique name not found after attempts (e.g., use email prefix or timestamp)
+        console.warn("Could not generate unique display name, using fallback.");
+        displayName = `User${Date.now().toString().slice(-6)}`;
+    }
+    return displayName;
+}
+
+// Helper to generate avatar URL
+function generateAvatarUrl(seed) {
+    // Using a public placeholder service. Replace with your preferred service or logic.
+    // Using encodeURIComponent ensures the seed works correctly in the URL
+    return `https://api.dicebear.com/8.x/initials/svg?seed=${encodeURIComponent(seed)}`;
+    // Alternative: https://avatar.iran.liara.run/public/boy?username=${encodeURIComponent(seed)}
+}
+
+// Shape of the user object returned to the client (login and profile endpoints).
+// Excludes sensitive/internal fields such as sessions and request counts.
+function formatUserResponse(user) {
+    return {
+        _id: user._id,
+        email: user.email,
+        phoneNumber: user.phoneNumber,
+        displayName: user.displayName,
+        avatarUrl: user.avatarUrl,
+        isEmailVerified: user.isEmailVerified,
+        campus: user.campus,
+        role: user.role,
+        preferences: user.preferences,
+        reputation: formatReputation(user),
+        // Include other fields needed by the frontend
+    };
+}
+
+// Returns why an account may not be used right now (banned / still suspended), or null if it's in good standing.
+// Suspensions lift themselves once suspendedUntil has passed.
+function getAccountRestriction(user) {
+    if (user.accountStatus === 'banned') {
+        return { status: 'banned', message: 'This account has been banned.' };
+    }
+    if (user.accountStatus === 'suspended' && (!user.suspendedUntil || user.suspendedUntil > new Date())) {
+        const until = user.suspendedUntil ? ` until ${user.suspendedUntil.toISOString()}` : '';
+        return { status: 'suspended', message: `This account is suspended${until}.` };
+    }
+    return null;
+}
+
+// Phone numbers are 10-15 digits, optionally prefixed with + (callers trim first)
+const PHONE_NUMBER_REGEX = /^\+?[0-9]{10,15}$/;
+const PHONE_NUMBER_MESSAGE = 'Invalid phone number. Use 10-15 digits, optionally prefixed with +.';
+
+function isValidPhoneNumber(phoneNumber) {
+    return typeof phoneNumber === 'string' && PHONE_NUMBER_REGEX.test(phoneNumber);
+}
+// --- End Helpers ---
+
+module.exports = {
+    generateUniqueDisplayName,
+    generateAvatarUrl,
+    formatUserResponse,
+    getAccountRestriction,
+    isValidPhoneNumber,
+    PHONE_NUMBER_MESSAGE
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { VerificationCode } = require('../model/index');
+
+// Configuration: one-time code rules
+const CODE_LENGTH = 6;
+const CODE_TTL_MINUTES = 10;
+const MAX_VERIFY_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+
+// Keyed hash (HMAC) of a code, salted with the email so identical codes never share a hash.
+// Six digits are quick to brute-force from a plain hash; without TOKEN_HASH_SECRET a database dump reveals nothing.
+const hashCode = (email, code) => {
+    const secret = process.env.TOKEN_HASH_SECRET;
+    if (!secret) {
+        throw new Error('TOKEN_HASH_SECRET is not configured.');
+    }
+    return crypto.createHmac('sha256', secret).update(`${email}:${code}`).digest('hex');
+};
+
+const generateCode = () => {
+    return crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+};
+
+/**
+ * Creates a fresh one-time code for an email, replacing any previous one.
+ * @param {object} params - { email, purpose, phoneNumber }
+ * @returns {Promise<{ code: string, expiresAt: Date }>} - The plaintext code (to be emailed) and its expiry.
+ * @throws {{ status: number, message: string }} - 429 if a code was requested too recently.
+ */
+const issueCode = async ({ email, purpose = 'login', phoneNumber }) => {
+    const existing = await VerificationCode.findOne({ email, purpose }).lean();
+    if (existing && Date.now() - existing.createdAt.getTime() < RESEND_COOLDOWN_SECONDS * 1000) {
+        throw { status: 429, message: `Please wait ${RESEND_COOLDOWN_SECONDS} seconds before requesting another code.` };
+    }
+
+    const code = generateCode();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + CODE_TTL_MINUTES * 60 * 1000);
+
+    // Upsert so a new request invalidates the previous code and resets attempts
+    await VerificationCode.findOneAndUpdate(
+        { email, purpose },
+        {
+            codeHash: hashCode(email, code),
+            phoneNumber,
+            attempts: 0,
+            createdAt: now,
+            expiresAt
+        },
+        { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return { code, expiresAt };
+};
+
+/**
+ * Checks a submitted code and consumes it on success.
+ * @param {object} params - { email, purpose, code }
+ * @returns {Promise<object>} - The consumed verification record (lean).
+ * @throws {{ status: number, message: string }} - 400 for a wrong code, 410 if expired/missing, 429 after too many attempts.
+ */
+const verifyCode = async ({ email, purpose = 'login', code }) => {
+    // Count the attempt atomically before comparing so parallel guesses can't exceed the limit
+    const record = await VerificationCode.findOneAndUpdate(
+        { email, purpose, expiresAt: { $gt: new Date() } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    ).lean();
+
+    if (!record) {
+        throw { status: 410, message: 'Verification code has expired or was never requested. Please request a new one.' };
+    }
+
+    if (record.attempts > MAX_VERIFY_ATTEMPTS) {
+        await VerificationCode.deleteOne({ _id: record._id });
+        throw { status: 429, message: 'Too many incorrect attempts. Please request a new code.' };
+    }
+
+    const submittedHash = Buffer.from(hashCode(email, String(code)), 'hex');
+    const storedHash = Buffer.from(record.codeHash, 'hex');
+    if (submittedHash.length !== storedHash.length || !crypto.timingSafeEqual(submittedHash, storedHash)) {
+        throw { status: 400, message: 'Incorrect verification code.' };
+    }
+
+    // Codes are single use
+    await VerificationCode.deleteOne({ _id: record._id });
+    return record;
+};
+
+module.exports = {
+    CODE_TTL_MINUTES,
+    issueCode,
+    verifyCode,
+};
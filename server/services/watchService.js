@@ -0,0 +1,119 @@
+const { RideWatch } = require('../model/index');
+const { getCampus } = require('./campusService');
+const { createNotification } = require('./notificationService');
+const { getZonedParts, getDateKey } = require('../utils/timezone');
+
+// Configuration: watches a user can have at once
+const MAX_WATCHES_PER_USER = 5;
+// Configuration: longest time range a single watch can cover
+const MAX_WATCH_RANGE_HOURS = 24;
+
+// 'YYYY-MM-DD HH:MM' in the campus timezone, for notification messages
+const formatLocalTime = (date, timeZone) => {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return `${getDateKey(date, timeZone)} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Checks a watch's time range: both bounds parse, until is in the future and after from,
+ * and the range spans at most MAX_WATCH_RANGE_HOURS.
+ * @param {string|Date} from
+ * @param {string|Date} until
+ * @returns {{ range?: { from: Date, until: Date }, error?: string }}
+ */
+const validateWatchRange = (from, until) => {
+    const fromDate = new Date(from);
+    const untilDate = new Date(until);
+    if (!from || !until || isNaN(fromDate.getTime()) || isNaN(untilDate.getTime())) {
+        return { error: 'from and until must be valid dates.' };
+    }
+    if (untilDate <= new Date()) {
+        return { error: 'until must be in the future.' };
+    }
+    if (untilDate <= fromDate) {
+        return { error: 'until must be after from.' };
+    }
+    if (untilDate.getTime() - fromDate.getTime() > MAX_WATCH_RANGE_HOURS * 60 * 60 * 1000) {
+        return { error: `A watch can cover at most ${MAX_WATCH_RANGE_HOURS} hours.` };
+    }
+    return { range: { from: fromDate, until: untilDate } };
+};
+
+/**
+ * Saves a watch for a user. Inputs must already be validated (destination with validateDestination,
+ * range with validateWatchRange).
+ * @param {object} user - The User document.
+ * @param {object} campus - The user's campus.
+ * @param {{ destinationDoc: object, direction: string, range: { from: Date, until: Date } }} watch
+ * @returns {Promise<object>} - The new RideWatch document.
+ * @throws {{ status: number, message: string }} - 409 if the user already has MAX_WATCHES_PER_USER watches.
+ */
+const createWatch = async (user, campus, { destinationDoc, direction, range }) => {
+    const watchCount = await RideWatch.countDocuments({ userId: user._id, until: { $gt: new Date() } });
+    if (watchCount >= MAX_WATCHES_PER_USER) {
+        throw { status: 409, message: `You can have at most ${MAX_WATCHES_PER_USER} watches. Delete one before adding another.` };
+    }
+
+    return RideWatch.create({
+        userId: user._id,
+        campus: campus.slug,
+        destinationId: destinationDoc._id,
+        destination: destinationDoc.name,
+        direction,
+        from: range.from,
+        until: range.until
+    });
+};
+
+/**
+ * Notifies the owners of watches a new ride falls into (same campus, destination and direction, departure
+ * window overlapping the watched range). The ride's owner is never notified about their own ride.
+ * Best effort: failures are logged, never thrown, so creating the ride isn't affected.
+ * @param {object} ride - The new RideRequest document.
+ * @returns {Promise<number>} - Number of notifications created.
+ */
+const notifyWatchers = async (ride) => {
+    try {
+        const now = new Date();
+        const watches = await RideWatch.find({
+            campus: ride.campus,
+            destinationId: ride.destinationId,
+            direction: ride.direction,
+            userId: { $ne: ride.userId },
+            from: { $lte: ride.latestDeparture },
+            until: { $gte: ride.earliestDeparture > now ? ride.earliestDeparture : now }
+        }).lean();
+        if (watches.length === 0) {
+            return 0;
+        }
+
+        const campus = getCampus(ride.campus);
+        const departure = campus ? formatLocalTime(ride.departureTime, campus.timezone) : ride.departureTime.toISOString();
+        for (const watch of watches) {
+            await createNotification(watch.userId, {
+                type: 'watch_match',
+                message: `Someone is heading to ${ride.destination} at ${departure}. Create a ride request to match with them.`,
+                data: {
+                    watchId: watch._id,
+                    rideId: ride._id,
+                    destinationId: ride.destinationId,
+                    destination: ride.destination,
+                    direction: ride.direction,
+                    departureTime: ride.departureTime
+                }
+            });
+        }
+        await RideWatch.updateMany({ _id: { $in: watches.map(watch => watch._id) } }, { $set: { lastNotifiedAt: now } });
+        return watches.length;
+    } catch (error) {
+        console.error(`[WatchService] Error notifying watchers of ride ${ride._id}:`, error);
+        return 0;
+    }
+};
+
+module.exports = {
+    MAX_WATCHES_PER_USER,
+    validateWatchRange,
+    createWatch,
+    notifyWatchers,
+};
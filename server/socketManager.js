@@ -34,12 +34,42 @@ const emitToConversation = (conversationId, eventName, data) => {
     }
 };
 
-// Helper function to emit events directly to a user (if we track sockets by userId)
-// For now, we'll primarily use room-based emission.
-// const emitToUser = (userId, eventName, data) => { ... }
+// Room every socket joins for its login session, so revoking a session can drop its sockets
+const getSessionRoom = (sessionId) => `session:${sessionId.toString()}`;
+
+// Helper function to disconnect all sockets opened with the given sessions (logout/revocation)
+const disconnectSessions = (sessionIds) => {
+    const ioInstance = getIoInstance();
+    if (!ioInstance) {
+        console.error('Socket.IO instance not available for disconnecting sessions');
+        return;
+    }
+    sessionIds.forEach(sessionId => {
+        ioInstance.in(getSessionRoom(sessionId)).disconnectSockets(true);
+    });
+};
+
+// Room every socket of a user joins, for events meant for the user rather than a conversation
+const getUserRoom = (userId) => `user:${userId.toString()}`;
+
+// Helper function to emit events to every connected device of a user
+const emitToUser = (userId, eventName, data) => {
+    const ioInstance = getIoInstance();
+    if (ioInstance && userId) {
+        ioInstance.to(getUserRoom(userId)).emit(eventName, data);
+    } else if (!ioInstance) {
+         console.error(`Socket.IO instance not available for emitting ${eventName}`);
+    } else {
+         console.warn(`Attempted to emit ${eventName} without a valid userId`);
+    }
+};
 
 module.exports = {
     initializeSocketIO,
     getIoInstance,
     emitToConversation,
+    getSessionRoom,
+    getUserRoom,
+    emitToUser,
+    disconnectSessions,
 };
@@ -0,0 +1,227 @@
+// Unit tests for the matching rules and buildCandidateQuery (plain ride objects, no database)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { rules, buildCandidateQuery, filterCandidates, getStrategy } = require('../services/matching');
+
+const { sameDestination, direction, timeWindow, blocklist, pickup, preferences, capacity } = rules;
+
+const DEPARTURE = new Date('2026-11-02T14:00:00Z');
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+// Lean RideRequest with the fields the rules look at; overrides replace any of them
+const makeRide = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    campus: 'main',
+    destinationId: new mongoose.Types.ObjectId('64b000000000000000000001'),
+    direction: 'from_campus',
+    departureTime: DEPARTURE,
+    earliestDeparture: minutesFrom(DEPARTURE, -30),
+    latestDeparture: minutesFrom(DEPARTURE, 30),
+    status: 'Available',
+    seatsNeeded: 1,
+    vehicleCapacity: 4,
+    preferences: { luggageCount: 0, openToMoreRiders: true, quietRide: false, preferredCabType: 'Any' },
+    pickupPoint: {},
+    conversations: [],
+    ...overrides
+});
+
+describe('sameDestination rule', () => {
+    it('passes rides of the same campus and destination, whatever the ID type', () => {
+        const ride = makeRide();
+        assert.equal(sameDestination.test(ride, makeRide({ destinationId: ride.destinationId.toString() })), true);
+    });
+
+    it('rejects another campus or another destination', () => {
+        const ride = makeRide();
+        assert.equal(sameDestination.test(ride, makeRide({ campus: 'downtown' })), false);
+        assert.equal(sameDestination.test(ride, makeRide({ destinationId: new mongoose.Types.ObjectId() })), false);
+    });
+
+    it('queries on campus and destinationId', () => {
+        const ride = makeRide();
+        assert.deepEqual(sameDestination.query(ride), { campus: 'main', destinationId: ride.destinationId });
+    });
+});
+
+describe('direction rule', () => {
+    it('treats rides without a direction as leaving campus', () => {
+        assert.equal(direction.test(makeRide({ direction: undefined }), makeRide()), true);
+        assert.equal(direction.test(makeRide({ direction: undefined }), makeRide({ direction: 'to_campus' })), false);
+    });
+
+    it('queries legacy rides only for rides leaving campus', () => {
+        assert.deepEqual(direction.query(makeRide()), { direction: { $in: ['from_campus', null] } });
+        assert.deepEqual(direction.query(makeRide({ direction: 'to_campus' })), { direction: 'to_campus' });
+    });
+});
+
+describe('timeWindow rule', () => {
+    it('passes overlapping windows and rejects disjoint ones', () => {
+        const ride = makeRide();
+        const touching = makeRide({ earliestDeparture: minutesFrom(DEPARTURE, 30), latestDeparture: minutesFrom(DEPARTURE, 90) });
+        const later = makeRide({ earliestDeparture: minutesFrom(DEPARTURE, 31), latestDeparture: minutesFrom(DEPARTURE, 90) });
+        assert.equal(timeWindow.test(ride, touching), true);
+        assert.equal(timeWindow.test(ride, later), false);
+    });
+
+    it('uses the default window around departureTime for rides saved without one', () => {
+        const ride = makeRide({ earliestDeparture: undefined, latestDeparture: undefined });
+        assert.equal(timeWindow.test(ride, makeRide({ departureTime: minutesFrom(DEPARTURE, 50), earliestDeparture: undefined, latestDeparture: undefined })), true);
+        assert.equal(timeWindow.test(ride, makeRide({ departureTime: minutesFrom(DEPARTURE, 70), earliestDeparture: undefined, latestDeparture: undefined })), false);
+    });
+
+    it('queries candidates whose window overlaps the ride', () => {
+        const ride = makeRide();
+        assert.deepEqual(timeWindow.query(ride), {
+            earliestDeparture: { $lte: ride.latestDeparture },
+            latestDeparture: { $gte: ride.earliestDeparture }
+        });
+    });
+});
+
+describe('blocklist rule', () => {
+    it('rejects the ride itself and the owner\'s other rides', () => {
+        const ride = makeRide();
+        assert.equal(blocklist.test(ride, { ...ride }), false);
+        assert.equal(blocklist.test(ride, makeRide({ userId: ride.userId.toString() })), false);
+        assert.equal(blocklist.test(ride, makeRide()), true);
+    });
+
+    it('rejects rides it is confirmed with but not declined ones', () => {
+        const confirmedWith = makeRide();
+        const declinedWith = makeRide();
+        const ride = makeRide({
+            conversations: [
+                { conversationId: new mongoose.Types.ObjectId(), rideId: confirmedWith._id, status: 'confirmed' },
+                { conversationId: new mongoose.Types.ObjectId(), rideId: declinedWith._id, status: 'declined' }
+            ]
+        });
+        assert.equal(blocklist.test(ride, { ...confirmedWith, _id: confirmedWith._id.toString() }), false);
+        assert.equal(blocklist.test(ride, declinedWith), true);
+        assert.deepEqual(blocklist.query(ride), { _id: { $nin: [ride._id, confirmedWith._id] }, userId: { $ne: ride.userId } });
+    });
+});
+
+describe('pickup rule', () => {
+    it('compares coordinates by distance', () => {
+        const ride = makeRide({ pickupPoint: { name: 'Gate A', location: { lat: 42.35, lng: -71.1 } } });
+        assert.equal(pickup.test(ride, makeRide({ pickupPoint: { name: 'Gate B', location: { lat: 42.36, lng: -71.1 } } })), true);
+        assert.equal(pickup.test(ride, makeRide({ pickupPoint: { name: 'Gate A', location: { lat: 42.37, lng: -71.1 } } })), false);
+    });
+
+    it('compares names case-insensitively without coordinates', () => {
+        const ride = makeRide({ pickupPoint: { name: 'Main Gate' } });
+        assert.equal(pickup.test(ride, makeRide({ pickupPoint: { name: ' main gate ' } })), true);
+        assert.equal(pickup.test(ride, makeRide({ pickupPoint: { name: 'Library' } })), false);
+    });
+
+    it('treats a ride without a pickup point as flexible', () => {
+        assert.equal(pickup.test(makeRide({ pickupPoint: { name: 'Main Gate' } }), makeRide({ pickupPoint: undefined })), true);
+    });
+});
+
+describe('preferences rule', () => {
+    const candidate = makeRide({ preferences: { luggageCount: 2, openToMoreRiders: false, quietRide: true, preferredCabType: 'Any' } });
+
+    it('passes everything without filters', () => {
+        assert.equal(preferences.test(makeRide(), candidate), true);
+        assert.equal(preferences.test(makeRide(), candidate, { filters: {} }), true);
+    });
+
+    it('applies each filter to the candidate\'s preferences', () => {
+        const ride = makeRide();
+        assert.equal(preferences.test(ride, candidate, { filters: { quietRide: false } }), false);
+        assert.equal(preferences.test(ride, candidate, { filters: { maxLuggage: 1 } }), false);
+        assert.equal(preferences.test(ride, candidate, { filters: { maxLuggage: 2 } }), true);
+        assert.equal(preferences.test(ride, candidate, { filters: { openToMoreRiders: true } }), false);
+    });
+
+    it('lets a candidate without a cab type preference match any cab type', () => {
+        const ride = makeRide();
+        assert.equal(preferences.test(ride, candidate, { filters: { cabType: 'SUV' } }), true);
+        const sedan = makeRide({ preferences: { preferredCabType: 'Sedan' } });
+        assert.equal(preferences.test(ride, sedan, { filters: { cabType: 'SUV' } }), false);
+    });
+});
+
+describe('capacity rule', () => {
+    it('rejects statuses that can\'t be offered', () => {
+        assert.equal(capacity.test(makeRide(), makeRide({ status: 'Cancelled' })), false);
+        assert.deepEqual(capacity.query(), { status: { $in: ['Available', 'Pending', 'Confirmed'] } });
+    });
+
+    it('requires a new pair to fit the smaller vehicle', () => {
+        const ride = makeRide({ seatsNeeded: 2 });
+        assert.equal(capacity.test(ride, makeRide({ seatsNeeded: 2 })), true);
+        assert.equal(capacity.test(ride, makeRide({ seatsNeeded: 2, vehicleCapacity: 3 })), false);
+        assert.equal(capacity.test(makeRide({ preferences: { luggageCount: 3 } }), makeRide({ preferences: { luggageCount: 2 } })), false);
+    });
+
+    it('looks up the group of a Confirmed candidate', () => {
+        const groupId = new mongoose.Types.ObjectId();
+        const candidate = makeRide({ status: 'Confirmed', conversations: [{ conversationId: groupId, status: 'confirmed' }] });
+        const group = {
+            _id: groupId,
+            capacity: 4,
+            participants: [
+                { seats: 1, luggage: 0, approved: true, openToMoreRiders: true },
+                { seats: 1, luggage: 0, approved: true, openToMoreRiders: true }
+            ]
+        };
+        const ride = makeRide();
+
+        assert.equal(capacity.test(ride, candidate, { groupsById: new Map([[groupId.toString(), group]]) }), true);
+        assert.equal(capacity.test(ride, candidate), false); // group not loaded
+
+        const full = { ...group, capacity: 2 };
+        assert.equal(capacity.test(ride, candidate, { groupsById: new Map([[groupId.toString(), full]]) }), false);
+
+        const deciding = { ...group, participants: [...group.participants, { seats: 1, luggage: 0, approved: false }] };
+        assert.equal(capacity.test(ride, candidate, { groupsById: new Map([[groupId.toString(), deciding]]) }), false);
+    });
+});
+
+describe('buildCandidateQuery', () => {
+    it('combines the rule queries, skipping rules without one', () => {
+        const ride = makeRide();
+        const query = buildCandidateQuery([sameDestination, pickup, capacity], ride);
+        assert.deepEqual(query, {
+            campus: 'main',
+            destinationId: ride.destinationId,
+            status: { $in: ['Available', 'Pending', 'Confirmed'] }
+        });
+    });
+
+    it('moves criteria on a field already used by an earlier rule into $and', () => {
+        const notLate = { name: 'notLate', query: () => ({ departureTime: { $lte: DEPARTURE } }) };
+        const notEarly = { name: 'notEarly', query: () => ({ departureTime: { $gte: minutesFrom(DEPARTURE, -60) }, status: 'Available' }) };
+        const query = buildCandidateQuery([notLate, capacity, notEarly], makeRide());
+        assert.deepEqual(query, {
+            departureTime: { $lte: DEPARTURE },
+            status: { $in: ['Available', 'Pending', 'Confirmed'] },
+            $and: [{ departureTime: { $gte: minutesFrom(DEPARTURE, -60) } }, { status: 'Available' }]
+        });
+    });
+
+    it('passes the context to each rule query', () => {
+        const byContext = { name: 'byContext', query: (ride, { campus }) => ({ campus }) };
+        assert.deepEqual(buildCandidateQuery([byContext], makeRide(), { campus: 'downtown' }), { campus: 'downtown' });
+    });
+});
+
+describe('default strategy', () => {
+    it('keeps only candidates that pass every rule', () => {
+        const ride = makeRide();
+        const match = makeRide();
+        const otherCampus = makeRide({ campus: 'downtown' });
+        const ownRide = makeRide({ userId: ride.userId });
+        assert.deepEqual(filterCandidates(getStrategy('default'), ride, [match, otherCampus, ownRide]), [match]);
+    });
+
+    it('throws for an unknown strategy', () => {
+        assert.throws(() => getStrategy('nope'), /Unknown matching strategy 'nope'/);
+    });
+});
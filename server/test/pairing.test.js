@@ -0,0 +1,59 @@
+// Unit tests for findBestPairing (weight matrices only, no database)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findBestPairing } = require('../services/pairingService');
+
+// Order-independent view of a pairing: each pair ascending, pairs sorted
+const normalize = (pairs) => pairs.map(pair => [...pair].sort((a, b) => a - b)).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+describe('findBestPairing', () => {
+    it('returns no pairs for an empty batch or rides that can\'t pair', () => {
+        assert.deepEqual(findBestPairing([]), []);
+        assert.deepEqual(findBestPairing([[null]]), []);
+        assert.deepEqual(findBestPairing([[null, null], [null, null]]), []);
+    });
+
+    it('pairs two compatible rides', () => {
+        assert.deepEqual(normalize(findBestPairing([[null, 0.3], [0.3, null]])), [[0, 1]]);
+    });
+
+    it('prefers more pairs over a heavier single pair', () => {
+        // Greedy would take 0-1 (0.9) and leave 2 and 3 without a partner
+        const weights = [
+            [null, 0.9, 0.5, null],
+            [0.9, null, null, 0.4],
+            [0.5, null, null, null],
+            [null, 0.4, null, null]
+        ];
+        assert.deepEqual(normalize(findBestPairing(weights)), [[0, 2], [1, 3]]);
+    });
+
+    it('takes the highest total weight among pairings of the same size', () => {
+        const weights = [
+            [null, 0.9, 0.6, 0.6],
+            [0.9, null, 0.6, 0.6],
+            [0.6, 0.6, null, 0.1],
+            [0.6, 0.6, 0.1, null]
+        ];
+        // 0-1 + 2-3 totals 1.0; 0-2 + 1-3 (or 0-3 + 1-2) totals 1.2
+        const pairs = normalize(findBestPairing(weights));
+        assert.equal(pairs.length, 2);
+        assert.ok(pairs.every(([i, j]) => weights[i][j] === 0.6));
+    });
+
+    it('leaves a ride unpaired in an odd batch and never reuses a ride', () => {
+        const weights = [
+            [null, 0.5, 0.7],
+            [0.5, null, 0.2],
+            [0.7, 0.2, null]
+        ];
+        const pairs = findBestPairing(weights);
+        assert.deepEqual(normalize(pairs), [[0, 2]]);
+        assert.equal(new Set(pairs.flat()).size, pairs.length * 2);
+    });
+
+    it('refuses batches over the size limit', () => {
+        const weights = Array.from({ length: 17 }, () => Array(17).fill(null));
+        assert.throws(() => findBestPairing(weights), /more than 16 rides/);
+    });
+});
@@ -0,0 +1,73 @@
+// Minimal CSV reader for admin imports (RFC 4180 quoting, comma separated, first row is the header).
+
+/**
+ * Splits CSV text into rows of fields. Quoted fields may contain commas, newlines and "" escapes.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parses CSV text into one object per data row, keyed by the (trimmed) header names.
+ * Values are trimmed; empty values are left out.
+ * @param {string} text
+ * @returns {Array<object>}
+ */
+const parseCsv = (text) => {
+    const [header = [], ...dataRows] = parseCsvRows(String(text));
+    const columns = header.map(name => name.trim());
+
+    return dataRows.map(fields => {
+        const record = {};
+        columns.forEach((column, index) => {
+            const value = (fields[index] || '').trim();
+            if (column && value !== '') {
+                record[column] = value;
+            }
+        });
+        return record;
+    });
+};
+
+module.exports = {
+    parseCsv,
+};
@@ -0,0 +1,35 @@
+// Small geometry helpers for { lat, lng } points
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points (haversine formula).
+ * @param {{ lat: number, lng: number }} a
+ * @param {{ lat: number, lng: number }} b
+ * @returns {number} - Distance in kilometres.
+ */
+const distanceKm = (a, b) => {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Checks that a value is a usable { lat, lng } point.
+ * @param {object} point
+ * @returns {boolean}
+ */
+const isValidPoint = (point) => {
+    return Boolean(point) &&
+        typeof point.lat === 'number' && typeof point.lng === 'number' &&
+        Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180;
+};
+
+module.exports = {
+    distanceKm,
+    isValidPoint,
+};
@@ -0,0 +1,234 @@
+// Validation shared by everything that describes a ride (ride requests, schedules).
+// Each helper returns a client-facing error message, or a result object with an `error` field.
+const { RideRequest } = require('../model/index');
+const { resolveDestination, listActiveDestinations } = require('../services/destinationService');
+const { getZonedParts } = require('./timezone');
+const { isValidPoint } = require('./geo');
+
+// Configuration: flexibility around departureTime when a ride gives no window of its own
+// (two default windows overlap when departures are at most an hour apart)
+const DEFAULT_DEPARTURE_FLEX_MINUTES = 30;
+// Configuration: widest earliest-to-latest departure window a ride may ask for
+const MAX_DEPARTURE_WINDOW_HOURS = 6;
+
+/**
+ * Departure must parse, be in the future and fall on a :00/:30 slot in the campus timezone.
+ * @param {string|Date} departureTime
+ * @param {string} timeZone - Campus timezone.
+ * @returns {{ departure?: Date, error?: string }}
+ */
+const validateDepartureTime = (departureTime, timeZone) => {
+    const now = new Date();
+    const departure = new Date(departureTime);
+
+    // Check if parsing failed or date is invalid
+    if (isNaN(departure.getTime())) {
+        return { error: 'Invalid departure time format provided.' };
+    }
+
+    // Check if time is in the past
+    if (departure <= now) {
+        return { error: 'Departure time must be in the future.' };
+    }
+
+    // Check for allowed time slots (minutes 00 or 30, seconds/ms 0)
+    const { minute, second } = getZonedParts(departure, timeZone);
+    if (![0, 30].includes(minute) || second !== 0 || departure.getMilliseconds() !== 0) {
+        return { error: 'Invalid departure time slot. Please select a time ending in :00 or :30.' };
+    }
+
+    return { departure };
+};
+
+/**
+ * Window of a ride without explicit bounds: departureTime +/- DEFAULT_DEPARTURE_FLEX_MINUTES.
+ * @param {Date} departure
+ * @returns {{ earliest: Date, latest: Date }}
+ */
+const getDefaultDepartureWindow = (departure) => {
+    const flexMillis = DEFAULT_DEPARTURE_FLEX_MINUTES * 60 * 1000;
+    return {
+        earliest: new Date(departure.getTime() - flexMillis),
+        latest: new Date(departure.getTime() + flexMillis)
+    };
+};
+
+/**
+ * Earliest/latest acceptable departure are optional (a missing bound falls back to the default window);
+ * the window must contain the departure time and span at most MAX_DEPARTURE_WINDOW_HOURS.
+ * @param {Date} departure - Validated departure time.
+ * @param {{ earliestDeparture?: string|Date, latestDeparture?: string|Date }} bounds
+ * @returns {{ window?: { earliest: Date, latest: Date }, error?: string }}
+ */
+const validateDepartureWindow = (departure, { earliestDeparture, latestDeparture }) => {
+    const defaultWindow = getDefaultDepartureWindow(departure);
+    const earliest = earliestDeparture !== undefined && earliestDeparture !== null ? new Date(earliestDeparture) : defaultWindow.earliest;
+    const latest = latestDeparture !== undefined && latestDeparture !== null ? new Date(latestDeparture) : defaultWindow.latest;
+
+    if (isNaN(earliest.getTime()) || isNaN(latest.getTime())) {
+        return { error: 'Invalid earliestDeparture or latestDeparture format provided.' };
+    }
+    if (earliest > departure || latest < departure) {
+        return { error: 'The departure time must fall between earliestDeparture and latestDeparture.' };
+    }
+    if (latest.getTime() - earliest.getTime() > MAX_DEPARTURE_WINDOW_HOURS * 60 * 60 * 1000) {
+        return { error: `The departure window can span at most ${MAX_DEPARTURE_WINDOW_HOURS} hours.` };
+    }
+
+    return { window: { earliest, latest } };
+};
+
+/**
+ * Destination must be an active catalog entry of the campus (by ID, or by name for older clients).
+ * @param {string} campusSlug
+ * @param {{ destinationId?: string, name?: string }} choice
+ * @returns {Promise<{ destinationDoc?: object, error?: string }>}
+ */
+const validateDestination = async (campusSlug, choice) => {
+    const destinationDoc = await resolveDestination(campusSlug, choice);
+    if (!destinationDoc) {
+        const allowedDestinations = await listActiveDestinations(campusSlug);
+        return { error: `Invalid destination. Allowed destinations are: ${allowedDestinations.map(d => d.name).join(', ')}` };
+    }
+    return { destinationDoc };
+};
+
+/**
+ * Direction must be one of the RideRequest directions.
+ * @param {string} direction
+ * @returns {string|null} - Error message, or null if valid.
+ */
+const validateDirection = (direction) => {
+    const allowedDirections = RideRequest.schema.path('direction').enumValues;
+    if (!allowedDirections.includes(direction)) {
+        return `Invalid direction. Allowed directions are: ${allowedDirections.join(', ')}`;
+    }
+    return null;
+};
+
+/**
+ * pickupPoint is optional; when given it needs a name and/or { lat, lng } coordinates.
+ * @param {object} [pickupPoint]
+ * @returns {string|null} - Error message, or null if valid.
+ */
+const validatePickupPoint = (pickupPoint) => {
+    if (pickupPoint === undefined || pickupPoint === null) {
+        return null;
+    }
+    if (typeof pickupPoint !== 'object' || Array.isArray(pickupPoint)) {
+        return 'pickupPoint must be an object with a name and/or location.';
+    }
+    const { name, location } = pickupPoint;
+    if (name === undefined && location === undefined) {
+        return 'pickupPoint must include a name and/or location.';
+    }
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.length > 100)) {
+        return 'pickupPoint.name must be a non-empty string of at most 100 characters.';
+    }
+    if (location !== undefined && !isValidPoint(location)) {
+        return 'pickupPoint.location must be { "lat": number, "lng": number } with valid coordinates.';
+    }
+    return null;
+};
+
+/**
+ * Seat settings are optional: seatsNeeded 1-6 (the rider plus companions) and vehicleCapacity 2-7,
+ * with room for at least one more rider.
+ * @param {{ seatsNeeded?: number, vehicleCapacity?: number }} seats
+ * @returns {string|null} - Error message, or null if valid.
+ */
+const validateSeats = ({ seatsNeeded, vehicleCapacity }) => {
+    if (seatsNeeded !== undefined && (!Number.isInteger(seatsNeeded) || seatsNeeded < 1 || seatsNeeded > 6)) {
+        return 'seatsNeeded must be a whole number between 1 and 6.';
+    }
+    if (vehicleCapacity !== undefined && (!Number.isInteger(vehicleCapacity) || vehicleCapacity < 2 || vehicleCapacity > 7)) {
+        return 'vehicleCapacity must be a whole number between 2 and 7.';
+    }
+    if ((seatsNeeded || 1) >= (vehicleCapacity || 4)) {
+        return 'vehicleCapacity must leave at least one seat for another rider.';
+    }
+    return null;
+};
+
+/**
+ * travelService is optional; when given it needs a carrier and service number, and date (if any) is 'YYYY-MM-DD'.
+ * @param {object} [travelService] - { carrier, serviceNumber, date }
+ * @returns {string|null} - Error message, or null if valid.
+ */
+const validateTravelService = (travelService) => {
+    if (travelService === undefined || travelService === null) {
+        return null;
+    }
+    if (typeof travelService !== 'object' || Array.isArray(travelService)) {
+        return 'travelService must be an object with a carrier and serviceNumber.';
+    }
+    const { carrier, serviceNumber, date } = travelService;
+    if (typeof carrier !== 'string' || carrier.trim().length === 0 || carrier.length > 50) {
+        return 'travelService.carrier must be a non-empty string of at most 50 characters.';
+    }
+    if (typeof serviceNumber !== 'string' || serviceNumber.trim().length === 0 || serviceNumber.length > 20) {
+        return 'travelService.serviceNumber must be a non-empty string of at most 20 characters.';
+    }
+    if (date !== undefined && (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+        return "travelService.date must be a date as 'YYYY-MM-DD'.";
+    }
+    return null;
+};
+
+const PREFERENCE_FIELDS = ['luggageCount', 'openToMoreRiders', 'autoPair', 'quietRide', 'preferredCabType'];
+
+/**
+ * Ride preferences (of a ride request, or the profile defaults for new rides) are optional and may be partial:
+ * luggageCount 0-4, openToMoreRiders, autoPair and quietRide booleans, preferredCabType one of the RideRequest cab types.
+ * @param {object} [preferences]
+ * @returns {string|null} - Error message, or null if valid.
+ */
+const validateRidePreferences = (preferences) => {
+    if (preferences === undefined || preferences === null) {
+        return null;
+    }
+    if (typeof preferences !== 'object' || Array.isArray(preferences)) {
+        return 'preferences must be an object.';
+    }
+    const unknownPrefs = Object.keys(preferences).filter(key => !PREFERENCE_FIELDS.includes(key));
+    if (unknownPrefs.length > 0) {
+        return `Unknown preference(s): ${unknownPrefs.join(', ')}. Allowed preferences are: ${PREFERENCE_FIELDS.join(', ')}`;
+    }
+    for (const flag of ['openToMoreRiders', 'autoPair', 'quietRide']) {
+        if (preferences[flag] !== undefined && typeof preferences[flag] !== 'boolean') {
+            return `preferences.${flag} must be a boolean.`;
+        }
+    }
+    const allowedCabTypes = RideRequest.schema.path('preferences.preferredCabType').enumValues;
+    if (preferences.preferredCabType !== undefined && !allowedCabTypes.includes(preferences.preferredCabType)) {
+        return `preferences.preferredCabType must be one of: ${allowedCabTypes.join(', ')}`;
+    }
+    if (preferences.luggageCount !== undefined &&
+        (!Number.isInteger(preferences.luggageCount) || preferences.luggageCount < 0 || preferences.luggageCount > 4)) {
+        return 'preferences.luggageCount must be a whole number between 0 and 4.';
+    }
+    return null;
+};
+
+/**
+ * Normalized copy of a validated pickupPoint for storage.
+ * @param {object} [pickupPoint]
+ * @returns {object|undefined}
+ */
+const normalizePickupPoint = (pickupPoint) => {
+    return pickupPoint ? { name: pickupPoint.name?.trim(), location: pickupPoint.location } : undefined;
+};
+
+module.exports = {
+    DEFAULT_DEPARTURE_FLEX_MINUTES,
+    validateDepartureTime,
+    getDefaultDepartureWindow,
+    validateDepartureWindow,
+    validateDestination,
+    validateDirection,
+    validatePickupPoint,
+    validateSeats,
+    validateTravelService,
+    validateRidePreferences,
+    normalizePickupPoint,
+};
@@ -0,0 +1,100 @@
+// Helpers for reading dates in a campus timezone (IANA name, e.g. 'Asia/Kolkata')
+// using only the built-in Intl API.
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatterCache.get(timeZone);
+};
+
+/**
+ * Checks whether a string is a timezone the runtime understands.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Splits an instant into calendar fields as seen in a timezone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number }} - month is 1-12, weekday is 0 (Sunday) to 6.
+ */
+const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+};
+
+/**
+ * Calendar day of an instant in a timezone, e.g. '2025-04-18' (useful for "same day" checks).
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+const getDateKey = (date, timeZone) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Converts a wall-clock time in a timezone to the instant it denotes.
+ * Times skipped by a DST jump resolve to the same wall time under the earlier offset.
+ * @param {{ year: number, month: number, day: number, hour: number, minute: number }} parts - month is 1-12.
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+const zonedTimeToDate = ({ year, month, day, hour, minute }, timeZone) => {
+    const wallClockMillis = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Offset of the zone at a given instant, in ms (local wall time minus UTC)
+    const offsetAt = (millis) => {
+        const zoned = getZonedParts(new Date(millis), timeZone);
+        return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second) - millis;
+    };
+
+    // Two passes settle the offset even when the first guess lands across a DST change
+    let instant = wallClockMillis - offsetAt(wallClockMillis);
+    instant = wallClockMillis - offsetAt(instant);
+    return new Date(instant);
+};
+
+module.exports = {
+    isValidTimeZone,
+    getZonedParts,
+    getDateKey,
+    zonedTimeToDate,
+};